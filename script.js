@@ -1,12 +1,13 @@
 // IIFE to encapsulate the entire application and avoid polluting the global scope
 (() => {
   // Pull dependencies from the global scope (loaded via CDN in index.html)
-  const { useState, useEffect, useMemo, StrictMode, FC, FormEvent, MouseEvent } = React;
+  const { useState, useEffect, useMemo, useRef, StrictMode, FC, FormEvent, MouseEvent } = React;
   const { createRoot } = ReactDOM;
   const { v4: uuidv4 } = uuid;
-  const { PieChart, Pie, Cell, Tooltip, Legend, ResponsiveContainer } = Recharts;
+  const { PieChart, Pie, Cell, Tooltip, Legend, ResponsiveContainer, BarChart, Bar, LineChart, Line, XAxis, YAxis, CartesianGrid, ReferenceLine } = Recharts;
 
   // --- Inlined from types.ts ---
+  // Seed list for new installs; the user's own categories live in storage (see categoryService).
   const ExpenseCategoryValues = [
     'Household',
     'Groceries',
@@ -15,293 +16,4916 @@
     'Travel',
     'Other'
   ];
+  const IncomeCategoryValues = [
+    'Salary',
+    'Freelance',
+    'Child Allowance',
+    'Refunds',
+    'Other Income'
+  ];
   const TRANSACTION_TYPE_INCOME = 'Income';
   const TRANSACTION_TYPE_EXPENSE = 'Expense';
+  // Money moved between two of the user's accounts; neither income nor expense.
+  const TRANSACTION_TYPE_TRANSFER = 'Transfer';
+  const TRANSACTION_TYPES = [TRANSACTION_TYPE_EXPENSE, TRANSACTION_TYPE_INCOME, TRANSACTION_TYPE_TRANSFER];
+  // Where entries without a (known) category are counted.
+  const FALLBACK_CATEGORY = {
+    [TRANSACTION_TYPE_EXPENSE]: 'Other',
+    [TRANSACTION_TYPE_INCOME]: 'Other Income'
+  };
+  const CATEGORY_COLORS = ['#0088FE', '#00C49F', '#FFBB28', '#FF8042', '#AF19FF', '#FF19A3', '#19D4FF', '#FFD419', '#8C19FF', '#FF1919'];
 
-  // --- Inlined from services/storageService.ts ---
-  const TRANSACTIONS_KEY = 'budget-visualizer-transactions';
-  const BUDGETS_KEY = 'budget-visualizer-budgets';
-  const storageService = {
-    getTransactions: () => {
+  // --- Inlined from services/formatService.ts ---
+  const DEFAULT_DISPLAY_SETTINGS = {
+    locale: 'he-IL',
+    weekStart: 0,
+    dateFormat: 'locale'
+  };
+  const LOCALE_OPTIONS = [
+    { id: 'he-IL', label: 'עברית (ישראל)' },
+    { id: 'en-US', label: 'English (United States)' },
+    { id: 'en-GB', label: 'English (United Kingdom)' },
+    { id: 'ar-IL', label: 'العربية (إسرائيل)' },
+    { id: 'ru-RU', label: 'Русский (Россия)' },
+    { id: 'de-DE', label: 'Deutsch (Deutschland)' },
+    { id: 'fr-FR', label: 'Français (France)' }
+  ];
+  // 'locale' leaves the order and separators to the display locale.
+  const DATE_FORMATS = ['locale', 'DD/MM/YYYY', 'MM/DD/YYYY', 'DD.MM.YYYY', 'YYYY-MM-DD'];
+  const RTL_LANGUAGES = ['he', 'ar', 'fa', 'ur'];
+  // Display preferences apply app-wide, so the service holds the current ones; App passes them in on every render.
+  let displaySettings = DEFAULT_DISPLAY_SETTINGS;
+  const formatService = {
+    configure: (settings) => {
+      displaySettings = Object.fromEntries(Object.entries(DEFAULT_DISPLAY_SETTINGS).map(([field, fallback]) => [field, settings[field] ?? fallback]));
+    },
+    // `whole` drops the fractional part, for budget figures.
+    money: (amount, currency, { whole = false } = {}) => amount.toLocaleString(displaySettings.locale, {
+      style: 'currency',
+      currency,
+      ...(whole ? {
+        minimumFractionDigits: 0,
+        maximumFractionDigits: 0
+      } : {})
+    }),
+    symbol: (currency) => {
+      const part = new Intl.NumberFormat(displaySettings.locale, {
+        style: 'currency',
+        currency
+      }).formatToParts(0).find(p => p.type === 'currency');
+      return part ? part.value : currency;
+    },
+    // Takes a Date or a date key.
+    date: (value, dateFormat = displaySettings.dateFormat) => {
+      const date = value instanceof Date ? value : fromDateKey(value);
+      if (dateFormat === 'locale') return date.toLocaleDateString(displaySettings.locale);
+      const pad = (n) => n.toString().padStart(2, '0');
+      return dateFormat.replace('DD', pad(date.getDate())).replace('MM', pad(date.getMonth() + 1)).replace('YYYY', date.getFullYear());
+    },
+    monthYear: (date) => date.toLocaleDateString(displaySettings.locale, {
+      month: 'long',
+      year: 'numeric'
+    }),
+    shortMonth: (date) => date.toLocaleDateString(displaySettings.locale, {
+      month: 'short',
+      year: '2-digit'
+    }),
+    // 0 is Sunday, as in Date#getDay.
+    weekdayName: (day, { short = false } = {}) => new Date(2024, 0, 7 + day).toLocaleDateString(displaySettings.locale, {
+      weekday: short ? 'short' : 'long'
+    }),
+    isSupportedLocale: (locale) => {
       try {
-        const transactionsJson = localStorage.getItem(TRANSACTIONS_KEY);
-        return transactionsJson ? JSON.parse(transactionsJson) : [];
-      } catch (error) {
-        console.error('Error loading transactions from local storage:', error);
-        return [];
+        return typeof locale === 'string' && Intl.NumberFormat.supportedLocalesOf([locale]).length > 0;
+      } catch (e) {
+        return false;
       }
     },
-    saveTransactions: (transactions) => {
-      try {
-        localStorage.setItem(TRANSACTIONS_KEY, JSON.stringify(transactions));
-      } catch (error) {
-        console.error('Error saving transactions to local storage:', error);
+    direction: (locale = displaySettings.locale) => RTL_LANGUAGES.includes(locale.split('-')[0]) ? 'rtl' : 'ltr'
+  };
+
+  // --- Inlined from services/categoryService.ts ---
+  const categoryService = {
+    createCategory: (name, index, kind = TRANSACTION_TYPE_EXPENSE) => ({
+      id: uuidv4(),
+      name,
+      kind,
+      color: CATEGORY_COLORS[index % CATEGORY_COLORS.length],
+      archived: false,
+      parentId: null,
+      rollover: false
+    }),
+    createDefaultCategories: () => [
+      ...ExpenseCategoryValues.map((name, index) => categoryService.createCategory(name, index, TRANSACTION_TYPE_EXPENSE)),
+      ...IncomeCategoryValues.map((name, index) => categoryService.createCategory(name, index, TRANSACTION_TYPE_INCOME))
+    ],
+    // Expense and income categories share one list; `kind` is the transaction type they apply to.
+    ofKind: (categories, kind) => categories.filter(c => c.kind === kind),
+    activeNames: (categories) => categories.filter(c => !c.archived).map(c => c.name),
+    // Top-level categories in the user's order, each with its sub-categories. Only two levels exist.
+    tree: (categories) => categories.filter(c => !c.parentId || !categories.some(p => p.id === c.parentId)).map(parent => ({
+      category: parent,
+      children: categories.filter(c => c.parentId === parent.id)
+    })),
+    // The top-level category a name rolls up into; names that are not (or no longer) categories stand on their own.
+    parentName: (categories, name) => {
+      const category = categories.find(c => c.name === name);
+      const parent = category && category.parentId && categories.find(c => c.id === category.parentId);
+      return parent ? parent.name : name;
+    },
+    // Rolls { categoryName: amount } up into { parentName: { total, own, children: { childName: amount } } }.
+    rollup: (amounts, categories) => Object.entries(amounts).reduce((acc, [name, amount]) => {
+      const parent = categoryService.parentName(categories, name);
+      const entry = acc[parent] || (acc[parent] = {
+        total: 0,
+        own: 0,
+        children: {}
+      });
+      entry.total += amount;
+      if (parent === name) {
+        entry.own += amount;
+      } else {
+        entry.children[name] = (entry.children[name] || 0) + amount;
       }
+      return acc;
+    }, {}),
+    // Budgets can be set on a parent, on its children, or both. A parent's own amount wins; otherwise its children add up.
+    effectiveBudgets: (expenseBudgets, categories) => Object.fromEntries(Object.entries(categoryService.rollup(expenseBudgets, categories)).map(([parent, entry]) => {
+      const childTotal = Object.values(entry.children).reduce((sum, amount) => sum + amount, 0);
+      return [parent, entry.own > 0 ? entry.own : childTotal];
+    })),
+    totalBudgeted: (expenseBudgets, categories) => Object.values(categoryService.effectiveBudgets(expenseBudgets, categories)).reduce((sum, amount) => sum + amount, 0),
+    colorOf: (categories, name, index) => {
+      const category = categories.find(c => c.name === name);
+      return category ? category.color : CATEGORY_COLORS[index % CATEGORY_COLORS.length];
     },
-    getBudgets: () => {
-      try {
-        const budgetsJson = localStorage.getItem(BUDGETS_KEY);
-        return budgetsJson ? JSON.parse(budgetsJson) : {};
-      } catch (error) {
-        console.error('Error loading budgets from local storage:', error);
-        return {};
+    // Applies { oldName: newName } renames to every month's expense budgets, income targets and their recurring flags.
+    renameInBudgets: (budgets, renames) => {
+      const renameKeys = (values) => values && Object.fromEntries(Object.entries(values).map(([name, value]) => [renames[name] || name, value]));
+      return Object.fromEntries(Object.entries(budgets).map(([monthKey, budget]) => [monthKey, { ...budget,
+        expenseBudgets: renameKeys(budget.expenseBudgets),
+        incomeTargets: renameKeys(budget.incomeTargets),
+        moves: renameKeys(budget.moves),
+        recurring: budget.recurring && { ...budget.recurring,
+          expenseBudgets: renameKeys(budget.recurring.expenseBudgets),
+          incomeTargets: renameKeys(budget.recurring.incomeTargets)
+        }
+      }]));
+    },
+    // A split expense has `splits`: [{ category, amount }] in its own currency, adding up to `originalAmount`.
+    // Its `category` mirrors the first line. Returns the base-currency amount per category; rounding goes on the first line.
+    lines: (transaction) => {
+      if (!transaction.splits) {
+        return [{
+          category: transaction.category || FALLBACK_CATEGORY[transaction.type],
+          amount: transaction.amount
+        }];
       }
+      const lines = transaction.splits.map(split => ({
+        category: split.category,
+        amount: currencyService.round(split.amount * transaction.rate)
+      }));
+      lines[0].amount = currencyService.round(transaction.amount - lines.slice(1).reduce((sum, line) => sum + line.amount, 0));
+      return lines;
     },
-    saveBudgets: (budgets) => {
-      try {
-        localStorage.setItem(BUDGETS_KEY, JSON.stringify(budgets));
-      } catch (error) {
-        console.error('Error saving budgets to local storage:', error);
+    totalsByCategory: (transactions) => transactions.flatMap(categoryService.lines).reduce((acc, line) => {
+      acc[line.category] = (acc[line.category] || 0) + line.amount;
+      return acc;
+    }, {}),
+    isBalancedSplit: (splits, total) => Math.round(splits.reduce((sum, split) => sum + split.amount, 0) * 100) === Math.round(total * 100),
+    renameInTransactions: (transactions, renames) => transactions.map(t => renames[t.category] || (t.splits && t.splits.some(split => renames[split.category])) ? { ...t,
+      category: renames[t.category] || t.category,
+      ...(t.splits && {
+        splits: t.splits.map(split => ({ ...split,
+          category: renames[split.category] || split.category
+        }))
+      })
+    } : t)
+  };
+
+  // --- Inlined from services/accountService.ts ---
+  const ACCOUNT_KIND_CREDIT = 'credit';
+  const ACCOUNT_KINDS = [
+    { id: 'checking', label: 'Checking' },
+    { id: 'savings', label: 'Savings' },
+    { id: ACCOUNT_KIND_CREDIT, label: 'Credit card' },
+    { id: 'cash', label: 'Cash' }
+  ];
+  // Which date puts a transaction into a month's budget.
+  const BUDGET_BASIS_PURCHASE = 'purchase';
+  const BUDGET_BASIS_BILLING = 'billing';
+  // Every transaction belongs to an account (`accountId`). A transfer leaves `accountId` for `toAccountId`.
+  // Opening balances are in the base currency, like transaction amounts. Credit cards may have a `billingDay`.
+  const accountService = {
+    createAccount: (name, kind = 'checking', openingBalance = 0) => ({
+      id: uuidv4(),
+      name,
+      kind,
+      openingBalance,
+      billingDay: null,
+      archived: false
+    }),
+    kindLabel: (kind) => (ACCOUNT_KINDS.find(k => k.id === kind) || { label: kind }).label,
+    nameOf: (accounts, id) => (accounts.find(a => a.id === id) || { name: 'Unknown account' }).name,
+    involves: (transaction, accountId) => transaction.accountId === accountId || (transaction.type === TRANSACTION_TYPE_TRANSFER && transaction.toAccountId === accountId),
+    // How much a transaction adds to (or, when negative, takes from) an account's balance.
+    effectOn: (transaction, accountId) => {
+      if (transaction.type === TRANSACTION_TYPE_TRANSFER) {
+        return (transaction.toAccountId === accountId ? transaction.amount : 0) - (transaction.accountId === accountId ? transaction.amount : 0);
       }
+      if (transaction.accountId !== accountId) return 0;
+      return transaction.type === TRANSACTION_TYPE_INCOME ? transaction.amount : -transaction.amount;
+    },
+    // A card's purchases and refunds are billed on its billing day in the month after they were made (shorter months
+    // bill on their last day). Returns the statement's date key, or null when the entry is not billed that way.
+    statementDate: (accounts, transaction) => {
+      if (transaction.type === TRANSACTION_TYPE_TRANSFER) return null;
+      const account = accounts.find(a => a.id === transaction.accountId);
+      if (!account || account.kind !== ACCOUNT_KIND_CREDIT || !account.billingDay) return null;
+      const date = fromDateKey(transaction.date);
+      const lastDay = new Date(date.getFullYear(), date.getMonth() + 2, 0).getDate();
+      return toDateKey(new Date(date.getFullYear(), date.getMonth() + 1, Math.min(account.billingDay, lastDay)));
+    },
+    // How much an entry adds to a card statement; refunds reduce it.
+    statementAmount: (transaction) => transaction.type === TRANSACTION_TYPE_INCOME ? -transaction.amount : transaction.amount,
+    // The card's statement date keys from `count - 1` months back to the one after `date`, newest first.
+    recentStatementDates: (account, date, count = 12) => Array.from({ length: count }, (_, index) => accountService.statementDate([account], {
+      type: TRANSACTION_TYPE_EXPENSE,
+      accountId: account.id,
+      date: toDateKey(new Date(date.getFullYear(), date.getMonth() - index, 1))
+    })),
+    budgetDate: (accounts, transaction, basis) => {
+      const statementDate = basis === BUDGET_BASIS_BILLING && accountService.statementDate(accounts, transaction);
+      return fromDateKey(statementDate || transaction.date);
+    },
+    // Balance of each account (by id) after all of `transactions`.
+    balances: (accounts, transactions) => Object.fromEntries(accounts.map(account => [account.id, currencyService.round(transactions.reduce((sum, t) => sum + accountService.effectOn(t, account.id), account.openingBalance))])),
+    // The account's balance right after each of its transactions (by transaction id), taken in date order.
+    runningBalances: (account, transactions) => {
+      let balance = account.openingBalance;
+      return Object.fromEntries(transactions.filter(t => accountService.involves(t, account.id)).sort((a, b) => a.date.localeCompare(b.date)).map(t => {
+        balance = currencyService.round(balance + accountService.effectOn(t, account.id));
+        return [t.id, balance];
+      }));
     }
   };
 
-  // --- Inlined Components ---
-
-  const Header = ({ currentDate, onMonthChange }) => {
-    const monthName = currentDate.toLocaleString('default', { month: 'long' });
-    const year = currentDate.getFullYear();
-    return React.createElement(
-      'header', {
-        className: 'mb-8 p-4 bg-gray-800/50 rounded-xl shadow-lg flex flex-col sm:flex-row justify-between items-center'
-      },
-      React.createElement('h1', {
-        className: 'text-2xl sm:text-3xl font-bold text-emerald-400 tracking-wider mb-4 sm:mb-0'
-      }, 'Monthly Budget Visualizer'),
-      React.createElement('div', {
-        className: 'flex items-center space-x-4 bg-gray-700 p-2 rounded-lg'
-      }, React.createElement('button', {
-        onClick: () => onMonthChange('prev'),
-        className: 'p-2 rounded-md hover:bg-emerald-500 transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-emerald-400',
-        'aria-label': 'Previous month'
-      }, React.createElement('svg', {
-        xmlns: 'http://www.w3.org/2000/svg',
-        className: 'h-6 w-6',
-        fill: 'none',
-        viewBox: '0 0 24 24',
-        stroke: 'currentColor'
-      }, React.createElement('path', {
-        strokeLinecap: 'round',
-        strokeLinejoin: 'round',
-        strokeWidth: 2,
-        d: 'M15 19l-7-7 7-7'
-      }))), React.createElement('span', {
-        className: 'text-lg font-semibold w-36 text-center tabular-nums'
-      }, `${monthName} ${year}`), React.createElement('button', {
-        onClick: () => onMonthChange('next'),
-        className: 'p-2 rounded-md hover:bg-emerald-500 transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-emerald-400',
-        'aria-label': 'Next month'
-      }, React.createElement('svg', {
-        xmlns: 'http://www.w3.org/2000/svg',
-        className: 'h-6 w-6',
-        fill: 'none',
-        viewBox: '0 0 24 24',
-        stroke: 'currentColor'
-      }, React.createElement('path', {
-        strokeLinecap: 'round',
-        strokeLinejoin: 'round',
-        strokeWidth: 2,
-        d: 'M9 5l7 7-7 7'
-      }))))
-    );
+  // --- Inlined from services/recurrenceService.ts ---
+  const RECURRENCE_WEEKLY = 'week';
+  const RECURRENCE_MONTHLY = 'month';
+  const RECURRENCE_YEARLY = 'year';
+  // `interval: null` means the user picks the number of months.
+  const RECURRENCE_PRESETS = [{
+    id: 'weekly',
+    label: 'Weekly',
+    frequency: RECURRENCE_WEEKLY,
+    interval: 1
+  }, {
+    id: 'biweekly',
+    label: 'Every 2 weeks',
+    frequency: RECURRENCE_WEEKLY,
+    interval: 2
+  }, {
+    id: 'monthly',
+    label: 'Monthly',
+    frequency: RECURRENCE_MONTHLY,
+    interval: 1
+  }, {
+    id: 'months',
+    label: 'Every N months',
+    frequency: RECURRENCE_MONTHLY,
+    interval: null
+  }, {
+    id: 'yearly',
+    label: 'Yearly',
+    frequency: RECURRENCE_YEARLY,
+    interval: 1
+  }];
+  const toDateKey = (date) => `${date.getFullYear()}-${(date.getMonth() + 1).toString().padStart(2, '0')}-${date.getDate().toString().padStart(2, '0')}`;
+  const fromDateKey = (key) => {
+    const [year, month, day] = key.split('-').map(Number);
+    return new Date(year, month - 1, day);
+  };
+  const isDateKey = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+  // Whole calendar days from one date key to another; rounding absorbs daylight-saving shifts.
+  const daysBetween = (fromKey, toKey) => Math.round((fromDateKey(toKey) - fromDateKey(fromKey)) / 86400000);
+  const addDays = (key, days) => {
+    const date = fromDateKey(key);
+    date.setDate(date.getDate() + days);
+    return toDateKey(date);
+  };
+  // Transactions are dated by local calendar day: `date` is a date key (YYYY-MM-DD) with no time or time zone.
+  // A series stores its transaction fields once, plus { startDate, frequency, interval, dayOfMonth, until, exceptions }.
+  // Occurrences are expanded on demand and keyed by their scheduled date (YYYY-MM-DD). `exceptions` maps such a key
+  // to { skipped: true } or to the fields that occurrence changed; `until` is an inclusive date key or null.
+  const SERIES_RULE_FIELDS = ['id', 'startDate', 'frequency', 'interval', 'dayOfMonth', 'until', 'exceptions'];
+  const OCCURRENCE_FIELDS = ['id', 'recurringId', 'occurrenceKey'];
+  const omit = (object, keys) => Object.fromEntries(Object.entries(object).filter(([key]) => !keys.includes(key)));
+  const recurrenceService = {
+    createSeries: (transaction, { frequency, interval, dayOfMonth, until }) => ({ ...omit(transaction, ['id', 'date']),
+      id: uuidv4(),
+      startDate: transaction.date,
+      frequency,
+      interval,
+      dayOfMonth: frequency === RECURRENCE_MONTHLY ? dayOfMonth : null,
+      until: until || null,
+      exceptions: {}
+    }),
+    // The n-th scheduled date (n = 0, 1, ...). Days past the end of a short month fall on its last day.
+    scheduledDate: (series, n) => {
+      const start = fromDateKey(series.startDate);
+      const date = new Date(start);
+      if (series.frequency === RECURRENCE_WEEKLY) {
+        date.setDate(start.getDate() + 7 * series.interval * n);
+        return date;
+      }
+      const months = (series.frequency === RECURRENCE_YEARLY ? 12 : 1) * series.interval * n;
+      const day = series.frequency === RECURRENCE_MONTHLY ? series.dayOfMonth : start.getDate();
+      date.setDate(1);
+      date.setMonth(start.getMonth() + months);
+      date.setDate(Math.min(day, new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate()));
+      return date;
+    },
+    occurrence: (series, key) => ({ ...omit(series, SERIES_RULE_FIELDS),
+      date: key,
+      ...omit(series.exceptions[key] || {}, ['skipped']),
+      id: `${series.id}:${key}`,
+      recurringId: series.id,
+      occurrenceKey: key
+    }),
+    // Occurrences dated within [from, to] (inclusive, local days), exceptions applied.
+    occurrences: (series, from, to) => {
+      const fromKey = toDateKey(from);
+      const toKey = toDateKey(to);
+      const inRange = (occurrence) => occurrence.date >= fromKey && occurrence.date <= toKey;
+      const result = [];
+      for (let n = 0;; n++) {
+        const scheduled = recurrenceService.scheduledDate(series, n);
+        const key = toDateKey(scheduled);
+        if (key > toKey || (series.until && key > series.until)) break;
+        if (key < fromKey || key < series.startDate || series.exceptions[key]?.skipped) continue;
+        const occurrence = recurrenceService.occurrence(series, key);
+        if (inRange(occurrence)) result.push(occurrence);
+      }
+      // Occurrences moved into the range from a scheduled date outside it.
+      Object.entries(series.exceptions).forEach(([key, exception]) => {
+        if (exception.skipped || !exception.date || (key >= fromKey && key <= toKey)) return;
+        const occurrence = recurrenceService.occurrence(series, key);
+        if (inRange(occurrence)) result.push(occurrence);
+      });
+      return result;
+    },
+    expand: (seriesList, from, to) => seriesList.flatMap(series => recurrenceService.occurrences(series, from, to)),
+    // Stores an edited occurrence as the fields it changed relative to its series.
+    saveOccurrence: (seriesList, occurrence) => seriesList.map(series => {
+      if (series.id !== occurrence.recurringId) return series;
+      const key = occurrence.occurrenceKey;
+      const scheduled = recurrenceService.occurrence({ ...series,
+        exceptions: {}
+      }, key);
+      const changes = Object.fromEntries(Object.entries(omit(occurrence, OCCURRENCE_FIELDS)).filter(([field, value]) => scheduled[field] !== value));
+      return { ...series,
+        exceptions: { ...series.exceptions,
+          [key]: changes
+        }
+      };
+    }),
+    // Ends a series just before the given occurrence; a series left without occurrences is dropped.
+    endBefore: (series, key) => {
+      if (key <= series.startDate) return [];
+      const lastDay = fromDateKey(key);
+      lastDay.setDate(lastDay.getDate() - 1);
+      return [{ ...series,
+        until: toDateKey(lastDay),
+        exceptions: omit(series.exceptions, Object.keys(series.exceptions).filter(exceptionKey => exceptionKey >= key))
+      }];
+    },
+    removeOccurrence: (seriesList, occurrence, andFuture) => seriesList.flatMap(series => {
+      if (series.id !== occurrence.recurringId) return [series];
+      if (andFuture) return recurrenceService.endBefore(series, occurrence.occurrenceKey);
+      return [{ ...series,
+        exceptions: { ...series.exceptions,
+          [occurrence.occurrenceKey]: {
+            skipped: true
+          }
+        }
+      }];
+    }),
+    // "This and future" edits end the series before the occurrence and start a new one from the edited entry.
+    // Later exceptions carry over only when the new series keeps the same schedule.
+    split: (seriesList, occurrence) => seriesList.flatMap(series => {
+      if (series.id !== occurrence.recurringId) return [series];
+      const key = occurrence.occurrenceKey;
+      const keepsSchedule = occurrence.date === key;
+      return [...recurrenceService.endBefore(series, key), { ...series,
+        ...omit(occurrence, [...OCCURRENCE_FIELDS, 'date']),
+        id: uuidv4(),
+        startDate: occurrence.date,
+        dayOfMonth: series.frequency === RECURRENCE_MONTHLY ? fromDateKey(occurrence.date).getDate() : null,
+        exceptions: keepsSchedule ? omit(series.exceptions, Object.keys(series.exceptions).filter(exceptionKey => exceptionKey <= key)) : {}
+      }];
+    }),
+    renameCategories: (seriesList, renames) => seriesList.map(series => ({ ...series,
+      category: renames[series.category] || series.category,
+      exceptions: Object.fromEntries(Object.entries(series.exceptions).map(([key, exception]) => [key, exception.category && renames[exception.category] ? { ...exception,
+        category: renames[exception.category]
+      } : exception]))
+    })),
+    describe: (series) => {
+      const preset = RECURRENCE_PRESETS.find(p => p.frequency === series.frequency && p.interval === series.interval);
+      const label = preset ? preset.label : `Every ${series.interval} ${series.frequency}s`;
+      const day = series.frequency === RECURRENCE_MONTHLY ? ` on day ${series.dayOfMonth}` : '';
+      return `${label}${day}${series.until ? ` until ${formatService.date(fromDateKey(series.until))}` : ''}`;
+    }
   };
 
-  const Summary = ({ transactions, budget }) => {
-    const totalIncome = transactions.filter(t => t.type === TRANSACTION_TYPE_INCOME).reduce((sum, t) => sum + t.amount, 0);
-    const totalExpenses = transactions.filter(t => t.type === TRANSACTION_TYPE_EXPENSE).reduce((sum, t) => sum + t.amount, 0);
-    const balance = totalIncome - totalExpenses;
-    const formatCurrency = (amount) => amount.toLocaleString('he-IL', {
-      style: 'currency',
-      currency: 'ILS'
-    });
-    const totalBudgetedExpenses = Object.values(budget.expenseBudgets).reduce((sum, amount) => sum + amount, 0);
-    return React.createElement(
-      'div', {
-        className: 'grid grid-cols-1 md:grid-cols-3 gap-6 mb-8'
-      },
-      React.createElement('div', {
-        className: 'bg-gray-800 p-6 rounded-xl shadow-lg text-center'
-      }, React.createElement('h3', {
-        className: 'text-lg font-medium text-gray-400 mb-2'
-      }, 'Income'), React.createElement('p', {
-        className: 'text-3xl font-bold text-emerald-400'
-      }, formatCurrency(totalIncome)), React.createElement('p', {
-        className: 'text-sm text-gray-500 mt-1'
-      }, `Budgeted: ${formatCurrency(budget.incomeGoal)}`)),
-      React.createElement('div', {
-        className: 'bg-gray-800 p-6 rounded-xl shadow-lg text-center'
-      }, React.createElement('h3', {
-        className: 'text-lg font-medium text-gray-400 mb-2'
-      }, 'Expenses'), React.createElement('p', {
-        className: 'text-3xl font-bold text-rose-400'
-      }, formatCurrency(totalExpenses)), React.createElement('p', {
-        className: 'text-sm text-gray-500 mt-1'
-      }, `Budgeted: ${formatCurrency(totalBudgetedExpenses)}`)),
-      React.createElement('div', {
-        className: 'bg-gray-800 p-6 rounded-xl shadow-lg text-center'
-      }, React.createElement('h3', {
-        className: 'text-lg font-medium text-gray-400 mb-2'
-      }, 'Actual Balance'), React.createElement('p', {
-        className: `text-3xl font-bold ${balance >= 0 ? 'text-gray-100' : 'text-rose-500'}`
-      }, formatCurrency(balance)), React.createElement('p', {
-        className: 'text-sm text-gray-500 mt-1 invisible'
-      }, 'Placeholder'))
-    );
+  // --- Inlined from services/installmentService.ts ---
+  // An installment purchase is stored as one transaction per monthly payment, linked by `installmentId` and numbered
+  // `installmentNumber` of `installmentCount`. Every payment keeps the purchase's `installmentTotal` (in its currency).
+  const INSTALLMENT_SHARED_FIELDS = ['description', 'type', 'category', 'accountId', 'toAccountId', 'currency', 'rate'];
+  const installmentService = {
+    // Splits `total` into `count` amounts to the cent, with the rounding remainder on the first.
+    split: (total, count) => {
+      const cents = Math.round(total * 100);
+      const part = Math.floor(cents / count);
+      return Array.from({ length: count }, (_, index) => (index === 0 ? cents - part * (count - 1) : part) / 100);
+    },
+    // The payments for a purchase of `transaction.originalAmount`, a month apart from its date.
+    createPayments: (transaction, count) => {
+      const installmentId = uuidv4();
+      const schedule = {
+        startDate: transaction.date,
+        frequency: RECURRENCE_MONTHLY,
+        interval: 1,
+        dayOfMonth: fromDateKey(transaction.date).getDate()
+      };
+      return installmentService.split(transaction.originalAmount, count).map((originalAmount, index) => ({ ...transaction,
+        amount: currencyService.round(originalAmount * transaction.rate),
+        originalAmount,
+        date: toDateKey(recurrenceService.scheduledDate(schedule, index)),
+        installmentId,
+        installmentNumber: index + 1,
+        installmentCount: count,
+        installmentTotal: transaction.originalAmount
+      }));
+    },
+    // The payments a changed total is spread over: those not yet due on `today`, or the last one once all are.
+    openPayments: (payments, today) => {
+      const sorted = [...payments].sort((a, b) => a.installmentNumber - b.installmentNumber);
+      const upcoming = sorted.filter(t => t.date > toDateKey(today));
+      return upcoming.length > 0 ? upcoming : sorted.slice(-1);
+    },
+    settledAmount: (payments, today) => {
+      const open = installmentService.openPayments(payments, today);
+      return currencyService.round(payments.filter(t => !open.includes(t)).reduce((sum, t) => sum + t.originalAmount, 0));
+    },
+    // Applies an edited payment to its whole purchase. The edited payment keeps its own date.
+    update: (transactions, edited, today) => {
+      const payments = transactions.filter(t => t.installmentId === edited.installmentId);
+      const previous = payments.find(t => t.id === edited.id);
+      const open = installmentService.openPayments(payments, today);
+      const spread = edited.installmentTotal === previous.installmentTotal ? null : installmentService.split(edited.installmentTotal - installmentService.settledAmount(payments, today), open.length);
+      const shared = Object.fromEntries(INSTALLMENT_SHARED_FIELDS.map(field => [field, edited[field]]));
+      return transactions.map(t => {
+        if (t.installmentId !== edited.installmentId) return t;
+        const originalAmount = spread && open.includes(t) ? spread[open.indexOf(t)] : t.originalAmount;
+        return { ...t,
+          ...shared,
+          date: t.id === edited.id ? edited.date : t.date,
+          originalAmount,
+          amount: currencyService.round(originalAmount * edited.rate),
+          installmentTotal: edited.installmentTotal
+        };
+      });
+    },
+    // Removes the transactions in `ids`. What is left of each purchase they paid toward is renumbered, and its count
+    // and total cover only the remaining payments.
+    remove: (transactions, ids) => {
+      const kept = transactions.filter(t => !ids.has(t.id));
+      const plans = new Map(transactions.filter(t => ids.has(t.id) && t.installmentId).map(t => [t.installmentId, []]));
+      kept.filter(t => plans.has(t.installmentId)).forEach(t => plans.get(t.installmentId).push(t));
+      plans.forEach(payments => payments.sort((a, b) => a.installmentNumber - b.installmentNumber));
+      return kept.map(t => {
+        const payments = plans.get(t.installmentId);
+        if (!payments) return t;
+        return { ...t,
+          installmentNumber: payments.indexOf(t) + 1,
+          installmentCount: payments.length,
+          installmentTotal: currencyService.round(payments.reduce((sum, payment) => sum + payment.originalAmount, 0))
+        };
+      });
+    }
   };
 
-  const TransactionForm = ({ onAddTransaction, currentDate }) => {
-    const [description, setDescription] = useState('');
-    const [amount, setAmount] = useState('');
-    const [type, setType] = useState(TRANSACTION_TYPE_EXPENSE);
-    const [category, setCategory] = useState('Groceries');
-    const [isRecurring, setIsRecurring] = useState(false);
-    const [recurrence, setRecurrence] = useState(1);
-    const [error, setError] = useState('');
-    const handleSubmit = (e) => {
-      e.preventDefault();
-      const numericAmount = parseFloat(amount);
-      if (!description || !numericAmount || numericAmount <= 0) {
-        setError('Please enter a valid description and positive amount.');
-        return;
+  // --- Inlined from services/envelopeService.ts ---
+  // Envelopes are top-level expense categories. A month's `moves` ({ name: amount }, adding up to zero) shift budgeted
+  // money between them. Categories with `rollover` carry what was left, or overspent, into the next month.
+  // In zero-based mode the month's received income is the money to assign, and the month counts as planned once
+  // budgets plus the savings goal assign all of it.
+  const BUDGET_MODE_GOAL = 'goal';
+  const BUDGET_MODE_ZERO_BASED = 'zero-based';
+  const nextMonthKey = (monthKey) => {
+    const [year, month] = monthKey.split('-').map(Number);
+    return toDateKey(new Date(year, month, 1)).slice(0, 7);
+  };
+  const envelopeService = {
+    spent: (expenses, categories) => Object.fromEntries(Object.entries(categoryService.rollup(categoryService.totalsByCategory(expenses), categories)).map(([name, entry]) => [name, entry.total])),
+    // The envelopes of a month: { name: { carriedIn, budgeted, moved, spent, available } }.
+    summarize: (budget, expenses, categories, carriedIn) => {
+      const budgeted = categoryService.effectiveBudgets(budget.expenseBudgets, categories);
+      const moves = budget.moves || {};
+      const spent = envelopeService.spent(expenses, categories);
+      const names = [...new Set([...Object.keys(budgeted), ...Object.keys(moves), ...Object.keys(carriedIn)])];
+      return Object.fromEntries(names.map(name => {
+        const envelope = {
+          carriedIn: carriedIn[name] || 0,
+          budgeted: budgeted[name] || 0,
+          moved: moves[name] || 0,
+          spent: spent[name] || 0
+        };
+        return [name, { ...envelope,
+          available: currencyService.round(envelope.carriedIn + envelope.budgeted + envelope.moved - envelope.spent)
+        }];
+      }));
+    },
+    // What each rollover envelope brings into `monthKey`, counted from the first month that has a budget.
+    // `expensesOf(monthKey)` returns the expenses that count toward that month.
+    carriedIn: (budgets, categories, monthKey, expensesOf) => {
+      const rolling = categories.filter(c => c.rollover && c.kind === TRANSACTION_TYPE_EXPENSE && !c.parentId).map(c => c.name);
+      const carried = {};
+      const [firstKey] = Object.keys(budgets).sort();
+      if (rolling.length === 0 || !firstKey) return carried;
+      for (let key = firstKey; key < monthKey; key = nextMonthKey(key)) {
+        const envelopes = envelopeService.summarize(budgets[key] || { expenseBudgets: {} }, expensesOf(key), categories, carried);
+        rolling.forEach(name => {
+          carried[name] = envelopes[name] ? envelopes[name].available : carried[name] || 0;
+        });
       }
-      setError('');
-      onAddTransaction({
-        description,
-        amount: numericAmount,
-        type,
-        category: type === TRANSACTION_TYPE_EXPENSE ? category : undefined,
-        date: currentDate.toISOString(),
-      }, isRecurring ? recurrence : 0);
-      setDescription('');
-      setAmount('');
-      setIsRecurring(false);
-      setRecurrence(1);
-    };
-    return React.createElement('div', {
-      className: 'bg-gray-800 p-6 rounded-xl shadow-lg h-full'
-    }, React.createElement('h2', {
-      className: 'text-xl font-semibold mb-4 text-emerald-400'
-    }, 'Add New Transaction'), React.createElement('form', {
-      onSubmit: handleSubmit,
-      className: 'space-y-4'
-    }, React.createElement('div', null, React.createElement('label', {
-      htmlFor: 'description',
-      className: 'block text-sm font-medium text-gray-300 mb-1'
-    }, 'Description'), React.createElement('input', {
-      id: 'description',
-      type: 'text',
-      value: description,
-      onChange: (e) => setDescription(e.target.value),
-      placeholder: 'e.g., Groceries',
-      className: 'w-full bg-gray-700 border-gray-600 rounded-md p-2 text-gray-100 focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 outline-none transition'
-    })), React.createElement('div', null, React.createElement('label', {
-      htmlFor: 'amount',
-      className: 'block text-sm font-medium text-gray-300 mb-1'
-    }, 'Amount (₪)'), React.createElement('input', {
-      id: 'amount',
-      type: 'number',
-      value: amount,
-      onChange: (e) => setAmount(e.target.value),
-      placeholder: '0.00',
-      className: 'w-full bg-gray-700 border-gray-600 rounded-md p-2 text-gray-100 focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 outline-none transition'
-    })), React.createElement('div', {
-      className: 'flex space-x-4'
-    }, React.createElement('div', {
-      className: 'flex-1'
-    }, React.createElement('input', {
-      type: 'radio',
-      id: 'expense',
-      name: 'type',
-      value: TRANSACTION_TYPE_EXPENSE,
-      checked: type === TRANSACTION_TYPE_EXPENSE,
-      onChange: () => setType(TRANSACTION_TYPE_EXPENSE),
-      className: 'hidden'
-    }), React.createElement('label', {
-      htmlFor: 'expense',
-      className: `block w-full text-center p-2 rounded-md cursor-pointer transition ${type === TRANSACTION_TYPE_EXPENSE ? 'bg-rose-500 text-white font-bold' : 'bg-gray-700 hover:bg-gray-600'}`
-    }, 'Expense')), React.createElement('div', {
-      className: 'flex-1'
-    }, React.createElement('input', {
-      type: 'radio',
-      id: 'income',
-      name: 'type',
-      value: TRANSACTION_TYPE_INCOME,
-      checked: type === TRANSACTION_TYPE_INCOME,
-      onChange: () => setType(TRANSACTION_TYPE_INCOME),
-      className: 'hidden'
-    }), React.createElement('label', {
-      htmlFor: 'income',
-      className: `block w-full text-center p-2 rounded-md cursor-pointer transition ${type === TRANSACTION_TYPE_INCOME ? 'bg-emerald-500 text-white font-bold' : 'bg-gray-700 hover:bg-gray-600'}`
-    }, 'Income'))), type === TRANSACTION_TYPE_EXPENSE && React.createElement('div', null, React.createElement('label', {
-      htmlFor: 'category',
-      className: 'block text-sm font-medium text-gray-300 mb-1'
-    }, 'Category'), React.createElement('select', {
-      id: 'category',
-      value: category,
-      onChange: (e) => setCategory(e.target.value),
-      className: 'w-full bg-gray-700 border-gray-600 rounded-md p-2 text-gray-100 focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 outline-none transition'
-    }, ExpenseCategoryValues.map(cat => React.createElement('option', {
-      key: cat,
-      value: cat
-    }, cat)))), React.createElement('div', {
-      className: 'pt-2'
-    }, React.createElement('div', {
-      className: 'flex items-center'
-    }, React.createElement('input', {
-      type: 'checkbox',
-      id: 'recurring',
-      checked: isRecurring,
-      onChange: (e) => setIsRecurring(e.target.checked),
-      className: 'h-4 w-4 rounded bg-gray-700 border-gray-500 text-emerald-500 focus:ring-emerald-500'
-    }), React.createElement('label', {
-      htmlFor: 'recurring',
-      className: 'ml-2 text-sm font-medium text-gray-300'
-    }, 'Make this a recurring transaction')), isRecurring && React.createElement('div', {
-      className: 'mt-2 flex items-center space-x-2'
-    }, React.createElement('label', {
-      htmlFor: 'recurrence-months',
-      className: 'text-sm'
-    }, 'Repeat for the next'), React.createElement('input', {
-      type: 'number',
-      id: 'recurrence-months',
-      min: '1',
-      max: '60',
-      value: recurrence,
-      onChange: (e) => setRecurrence(parseInt(e.target.value, 10) || 1),
-      className: 'w-20 bg-gray-700 border-gray-600 rounded-md p-1 text-center text-gray-100 focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 outline-none transition'
-    }), React.createElement('span', {
-      className: 'text-sm'
-    }, 'months'))), error && React.createElement('p', {
-      className: 'text-sm text-rose-400'
-    }, error), React.createElement('button', {
-      type: 'submit',
-      className: 'w-full bg-emerald-600 hover:bg-emerald-700 text-white font-bold py-2 px-4 rounded-md transition duration-300 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-offset-gray-800 focus:ring-emerald-500'
-    }, 'Add Transaction')));
+      return carried;
+    },
+    toBeAssigned: (budget, receivedIncome, categories) => currencyService.round(receivedIncome - categoryService.totalBudgeted(budget.expenseBudgets, categories) - budget.savingsGoal),
+    move: (budget, from, to, amount) => {
+      const moves = budget.moves || {};
+      return { ...budget,
+        moves: { ...moves,
+          [from]: currencyService.round((moves[from] || 0) - amount),
+          [to]: currencyService.round((moves[to] || 0) + amount)
+        }
+      };
+    }
   };
 
-  const TransactionList = ({ title, transactions, onDelete, onEdit, type }) => {
-    const TransactionItem = ({ transaction, onDelete, onEdit, type }) => React.createElement('li', {
-      className: 'flex justify-between items-center p-3 bg-gray-800 rounded-lg group'
-    }, React.createElement('div', null, React.createElement('p', {
-      className: 'font-medium text-gray-200'
-    }, transaction.description), transaction.category && React.createElement('p', {
-      className: 'text-xs text-gray-400'
-    }, transaction.category)), React.createElement('div', {
-      className: 'flex items-center space-x-2'
-    }, React.createElement('span', {
-      className: `font-semibold ${type === TRANSACTION_TYPE_INCOME ? 'text-emerald-400' : 'text-rose-400'}`
-    }, transaction.amount.toLocaleString('he-IL', {
-      style: 'currency',
-      currency: 'ILS'
-    })), React.createElement('div', {
-      className: 'flex items-center space-x-1 opacity-0 group-hover:opacity-100 transition-opacity'
-    }, React.createElement('button', {
-      onClick: () => onEdit(transaction),
-      className: 'p-1 text-gray-500 hover:text-sky-400 focus:outline-none focus:text-sky-400',
-      'aria-label': `Edit ${transaction.description}`
+  // --- Inlined from services/reportService.ts ---
+  const REPORT_RANGES = [
+    { id: '6', label: 'Last 6 months', months: 6 },
+    { id: '12', label: 'Last 12 months', months: 12 },
+    { id: '24', label: 'Last 24 months', months: 24 },
+    { id: 'ytd', label: 'Year to date' },
+    { id: 'custom', label: 'Custom' }
+  ];
+  // Categories over budget in at least this many months of a report are highlighted.
+  const REPEATED_OVERSPEND_MONTHS = 3;
+  const monthKeyOf = (date) => toDateKey(date).slice(0, 7);
+  const reportService = {
+    // The entries that count toward a month's budget: its own plus the occurrences of every series that fall in it.
+    // On the billing basis card purchases count in the month they are billed, which is the one after they were made.
+    budgetMonth: ({ transactions, recurrences, accounts }, basis, monthDate) => {
+      const from = new Date(monthDate.getFullYear(), monthDate.getMonth() - (basis === BUDGET_BASIS_BILLING ? 1 : 0), 1);
+      const monthEnd = new Date(monthDate.getFullYear(), monthDate.getMonth() + 1, 0);
+      return [...transactions, ...recurrenceService.expand(recurrences, from, monthEnd)].filter(t => {
+        const budgetDate = accountService.budgetDate(accounts, t, basis);
+        return budgetDate.getFullYear() === monthDate.getFullYear() && budgetDate.getMonth() === monthDate.getMonth();
+      });
+    },
+    // Inclusive { from, to } month keys. Preset ranges end with the month of `today`.
+    range: (rangeId, today, custom) => {
+      if (rangeId === 'custom') return custom;
+      if (rangeId === 'ytd') return { from: `${today.getFullYear()}-01`, to: monthKeyOf(today) };
+      const { months } = REPORT_RANGES.find(r => r.id === rangeId);
+      return { from: monthKeyOf(new Date(today.getFullYear(), today.getMonth() - months + 1, 1)), to: monthKeyOf(today) };
+    },
+    monthKeys: (from, to) => {
+      const keys = [];
+      for (let key = from; key <= to; key = nextMonthKey(key)) {
+        keys.push(key);
+      }
+      return keys;
+    },
+    // One row per month: { monthKey, income, expenses, savings, categories: { topLevelName: spent } }.
+    monthlyTotals: (data, basis, categories, monthKeys) => monthKeys.map(monthKey => {
+      const entries = reportService.budgetMonth(data, basis, fromDateKey(`${monthKey}-01`));
+      const total = (type) => currencyService.round(entries.filter(t => t.type === type).reduce((sum, t) => sum + t.amount, 0));
+      const income = total(TRANSACTION_TYPE_INCOME);
+      const expenses = total(TRANSACTION_TYPE_EXPENSE);
+      return {
+        monthKey,
+        income,
+        expenses,
+        savings: currencyService.round(income - expenses),
+        categories: envelopeService.spent(entries.filter(t => t.type === TRANSACTION_TYPE_EXPENSE), categories)
+      };
+    }),
+    // Top-level category names in the user's order, followed by names that are no longer categories.
+    inCategoryOrder: (names, categories) => {
+      const ordered = categoryService.tree(categoryService.ofKind(categories, TRANSACTION_TYPE_EXPENSE)).map(({ category }) => category.name);
+      return [...ordered.filter(name => names.includes(name)), ...names.filter(name => !ordered.includes(name))];
+    },
+    // What can be charted: the three totals, then every top-level category with spending in the range.
+    series: (rows, categories) => {
+      const spentNames = [...new Set(rows.flatMap(row => Object.keys(row.categories)))];
+      return [
+        { id: 'income', label: 'Income', value: (row) => row.income },
+        { id: 'expenses', label: 'Expenses', value: (row) => row.expenses },
+        { id: 'savings', label: 'Savings', value: (row) => row.savings },
+        ...reportService.inCategoryOrder(spentNames, categories).map(name => ({
+          id: `category:${name}`,
+          label: name,
+          category: name,
+          value: (row) => row.categories[name] || 0
+        }))
+      ];
+    },
+    average: (rows, series) => rows.length > 0 ? currencyService.round(rows.reduce((sum, row) => sum + series.value(row), 0) / rows.length) : 0,
+    // The largest month-over-month moves across all series, biggest first.
+    biggestChanges: (rows, seriesList, count = 5) => seriesList.flatMap(series => rows.slice(1).map((row, index) => ({
+      series,
+      from: rows[index].monthKey,
+      to: row.monthKey,
+      change: currencyService.round(series.value(row) - series.value(rows[index]))
+    }))).filter(entry => entry.change !== 0).sort((a, b) => Math.abs(b.change) - Math.abs(a.change)).slice(0, count),
+    // Budget against actual spending per top-level category, for each month of `rows` with either, plus yearly totals.
+    // The difference is what was left (negative when over budget); `percent` is that share of the budget.
+    variance: (rows, budgets, categories) => {
+      const compare = (budgeted, actual) => ({
+        budgeted: currencyService.round(budgeted),
+        actual: currencyService.round(actual),
+        difference: currencyService.round(budgeted - actual),
+        percent: budgeted > 0 ? Math.round((budgeted - actual) / budgeted * 1000) / 10 : null
+      });
+      const budgetedByMonth = Object.fromEntries(rows.map(row => [row.monthKey, budgets[row.monthKey] ? categoryService.effectiveBudgets(budgets[row.monthKey].expenseBudgets, categories) : {}]));
+      const names = [...new Set(rows.flatMap(row => [...Object.keys(budgetedByMonth[row.monthKey]).filter(name => budgetedByMonth[row.monthKey][name] > 0), ...Object.keys(row.categories)]))];
+      return reportService.inCategoryOrder(names, categories).map(category => {
+        const months = rows.map(row => ({
+          monthKey: row.monthKey,
+          ...compare(budgetedByMonth[row.monthKey][category] || 0, row.categories[category] || 0)
+        })).filter(month => month.budgeted > 0 || month.actual > 0);
+        const years = [...new Set(months.map(month => month.monthKey.slice(0, 4)))].map(year => {
+          const inYear = months.filter(month => month.monthKey.startsWith(year));
+          return {
+            year,
+            ...compare(inYear.reduce((sum, month) => sum + month.budgeted, 0), inYear.reduce((sum, month) => sum + month.actual, 0))
+          };
+        });
+        return {
+          category,
+          months,
+          years,
+          overBudgetMonths: months.filter(month => month.difference < 0).length
+        };
+      });
+    },
+    varianceCsv: (variance) => {
+      const quote = (value) => /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+      const line = (category, period, entry) => [category, period, entry.budgeted.toFixed(2), entry.actual.toFixed(2), entry.difference.toFixed(2), entry.percent === null ? '' : entry.percent.toFixed(1)].map(quote).join(',');
+      return ['Category,Period,Budgeted,Actual,Difference,Difference %', ...variance.flatMap(({ category, months, years }) => [
+        ...months.map(month => line(category, month.monthKey, month)),
+        ...years.map(year => line(category, `${year.year} total`, year))
+      ])].join('\n');
+    }
+  };
+
+  // --- Inlined from services/searchService.ts ---
+  // Filters are kept as the strings the search form edits, so a saved search ({ id, name, filters }) restores as typed.
+  // Empty fields do not filter. `recurring` is 'recurring', 'one-off' or ''.
+  const EMPTY_SEARCH_FILTERS = {
+    text: '',
+    minAmount: '',
+    maxAmount: '',
+    category: '',
+    type: '',
+    from: '',
+    to: '',
+    recurring: ''
+  };
+  const SEARCH_RECURRING_ONLY = 'recurring';
+  const SEARCH_ONE_OFF_ONLY = 'one-off';
+  const SEARCH_SORT_FIELDS = [
+    { id: 'date', label: 'Date' },
+    { id: 'description', label: 'Description' },
+    { id: 'category', label: 'Category' },
+    { id: 'type', label: 'Type' },
+    { id: 'amount', label: 'Amount' }
+  ];
+  const searchService = {
+    // Every stored entry plus the occurrences of every series up to today, or up to the end of the date range when later.
+    entries: ({ transactions, recurrences }, filters, today) => {
+      const rangeEnd = isDateKey(filters.to) ? fromDateKey(filters.to) : today;
+      return [...transactions, ...recurrenceService.expand(recurrences, new Date(0), rangeEnd > today ? rangeEnd : today)];
+    },
+    // A category also matches its sub-categories; on a split entry only the matching lines count toward totals.
+    matchedAmount: (transaction, filters, categories) => {
+      if (!filters.category) return transaction.amount;
+      const lines = categoryService.lines(transaction).filter(line => line.category === filters.category || categoryService.parentName(categories, line.category) === filters.category);
+      return lines.length === 0 ? null : currencyService.round(lines.reduce((sum, line) => sum + line.amount, 0));
+    },
+    matches: (transaction, filters, categories) => {
+      const text = filters.text.trim().toLowerCase();
+      const minAmount = parseFloat(filters.minAmount);
+      const maxAmount = parseFloat(filters.maxAmount);
+      return (!text || transaction.description.toLowerCase().includes(text)) &&
+        (isNaN(minAmount) || transaction.amount >= minAmount) &&
+        (isNaN(maxAmount) || transaction.amount <= maxAmount) &&
+        (!filters.type || transaction.type === filters.type) &&
+        (!filters.from || transaction.date >= filters.from) &&
+        (!filters.to || transaction.date <= filters.to) &&
+        (!filters.recurring || !!transaction.occurrenceKey === (filters.recurring === SEARCH_RECURRING_ONLY)) &&
+        (!filters.category || (transaction.type !== TRANSACTION_TYPE_TRANSFER && searchService.matchedAmount(transaction, filters, categories) !== null));
+    },
+    // Matching entries as { transaction, amount }, where `amount` is what counts toward the totals.
+    search: (entries, filters, categories) => entries.filter(t => searchService.matches(t, filters, categories)).map(transaction => ({
+      transaction,
+      amount: searchService.matchedAmount(transaction, filters, categories)
+    })),
+    // Returns a sorted copy. Ties keep date order.
+    sort: (results, field, direction) => {
+      const valueOf = ({ transaction, amount }) => {
+        if (field === 'amount') return amount;
+        if (field === 'category') return transaction.type === TRANSACTION_TYPE_TRANSFER ? '' : categoryService.lines(transaction)[0].category;
+        return transaction[field];
+      };
+      const compare = (a, b) => {
+        const x = valueOf(a);
+        const y = valueOf(b);
+        return typeof x === 'number' ? x - y : x.localeCompare(y, undefined, { sensitivity: 'base' });
+      };
+      const sign = direction === 'desc' ? -1 : 1;
+      return [...results].sort((a, b) => sign * compare(a, b) || a.transaction.date.localeCompare(b.transaction.date));
+    },
+    totals: (results) => {
+      const total = (type) => currencyService.round(results.filter(result => result.transaction.type === type).reduce((sum, result) => sum + result.amount, 0));
+      const income = total(TRANSACTION_TYPE_INCOME);
+      const expenses = total(TRANSACTION_TYPE_EXPENSE);
+      return {
+        count: results.length,
+        income,
+        expenses,
+        transfers: total(TRANSACTION_TYPE_TRANSFER),
+        net: currencyService.round(income - expenses)
+      };
+    },
+    isEmpty: (filters) => Object.keys(EMPTY_SEARCH_FILTERS).every(field => !filters[field])
+  };
+
+  // --- Inlined from services/bulkService.ts ---
+  // A batch change is one of { kind: 'category', category }, { kind: 'type', type }, { kind: 'shift', days },
+  // { kind: 'detach' } or { kind: 'delete' }. Selections may mix stored entries and recurring occurrences; an
+  // occurrence is changed as an exception of its series, and deleting one skips only that date.
+  const BULK_CATEGORY = 'category';
+  const BULK_TYPE = 'type';
+  const BULK_SHIFT = 'shift';
+  const BULK_DETACH = 'detach';
+  const BULK_DELETE = 'delete';
+  const bulkService = {
+    // The entries a change applies to: categories and types are not changed on transfers, and only occurrences detach.
+    affected: (selected, change) => selected.filter(t => {
+      if (change.kind === BULK_CATEGORY || change.kind === BULK_TYPE) return t.type !== TRANSACTION_TYPE_TRANSFER;
+      if (change.kind === BULK_DETACH) return !!t.occurrenceKey;
+      return true;
+    }),
+    // A changed category replaces any split. A changed type keeps the category when the new kind has one by that name.
+    edit: (transaction, change, categories) => {
+      if (change.kind === BULK_CATEGORY) {
+        return { ...omit(transaction, ['splits']),
+          category: change.category
+        };
+      }
+      if (change.kind === BULK_TYPE) {
+        const names = categoryService.activeNames(categoryService.ofKind(categories, change.type));
+        return { ...omit(transaction, ['splits']),
+          type: change.type,
+          category: names.includes(transaction.category) ? transaction.category : FALLBACK_CATEGORY[change.type]
+        };
+      }
+      return { ...transaction,
+        date: addDays(transaction.date, change.days)
+      };
+    },
+    // Returns the new { transactions, recurrences }.
+    apply: ({ transactions, recurrences }, selected, change, categories) => {
+      const affected = bulkService.affected(selected, change);
+      const storedIds = new Set(affected.filter(t => !t.occurrenceKey).map(t => t.id));
+      const occurrences = affected.filter(t => t.occurrenceKey);
+      const skipOccurrences = () => occurrences.reduce((list, occurrence) => recurrenceService.removeOccurrence(list, occurrence, false), recurrences);
+      if (change.kind === BULK_DELETE) {
+        return {
+          transactions: installmentService.remove(transactions, storedIds),
+          recurrences: skipOccurrences()
+        };
+      }
+      if (change.kind === BULK_DETACH) {
+        return {
+          transactions: [...transactions, ...occurrences.map(occurrence => ({ ...omit(occurrence, OCCURRENCE_FIELDS),
+            id: uuidv4()
+          }))],
+          recurrences: skipOccurrences()
+        };
+      }
+      return {
+        transactions: transactions.map(t => storedIds.has(t.id) ? bulkService.edit(t, change, categories) : t),
+        recurrences: occurrences.map(occurrence => bulkService.edit(occurrence, change, categories)).reduce(recurrenceService.saveOccurrence, recurrences)
+      };
+    },
+    // { prompt, label } for confirming a change to `what` (e.g. "3 transactions") and for the undo history.
+    describe: (change, what) => {
+      if (change.kind === BULK_CATEGORY) {
+        return {
+          prompt: `Change the category of ${what} to ${change.category}?`,
+          label: `changed the category of ${what} to ${change.category}`
+        };
+      }
+      if (change.kind === BULK_TYPE) {
+        return {
+          prompt: `Change ${what} to ${change.type}?`,
+          label: `changed ${what} to ${change.type}`
+        };
+      }
+      if (change.kind === BULK_SHIFT) {
+        const distance = `${Math.abs(change.days)} day${Math.abs(change.days) === 1 ? '' : 's'} ${change.days > 0 ? 'later' : 'earlier'}`;
+        return {
+          prompt: `Move ${what} ${distance}?`,
+          label: `moved ${what} ${distance}`
+        };
+      }
+      if (change.kind === BULK_DETACH) {
+        return {
+          prompt: `Detach ${what} from their recurring series? They become one-off entries.`,
+          label: `detached ${what} from their series`
+        };
+      }
+      return {
+        prompt: `Delete ${what}?`,
+        label: `deleted ${what}`
+      };
+    }
+  };
+
+  // --- Inlined from services/currencyService.ts ---
+  const DEFAULT_CURRENCY = 'ILS';
+  // Transactions keep `amount` in the base currency, plus the `originalAmount` in their own `currency` and the
+  // `rate` used (base units per unit of that currency). Exchange rates are a local table in the same terms.
+  const currencyService = {
+    isValidCode: (code) => /^[A-Z]{3}$/.test(code),
+    round: (amount) => Math.round(amount * 100) / 100,
+    rateOf: (rates, currency, baseCurrency) => currency === baseCurrency ? 1 : rates[currency] || null,
+    // Returns { amount, currency, originalAmount, rate }, or null when the table has no rate for `currency`.
+    convert: (originalAmount, currency, rates, baseCurrency) => {
+      const rate = currencyService.rateOf(rates, currency, baseCurrency);
+      return rate === null ? null : {
+        amount: currencyService.round(originalAmount * rate),
+        currency,
+        originalAmount,
+        rate
+      };
+    },
+    // Re-expresses the rate table in `newBase`, which must be in it. `factor` turns old-base amounts into new-base ones.
+    rebase: (rates, oldBase, newBase) => {
+      const newBaseRate = rates[newBase];
+      const rebased = Object.fromEntries(Object.entries(rates).filter(([code]) => code !== newBase).map(([code, rate]) => [code, rate / newBaseRate]));
+      return {
+        rates: { ...rebased,
+          [oldBase]: 1 / newBaseRate
+        },
+        factor: 1 / newBaseRate
+      };
+    },
+    // Scales every base-currency amount (transactions, series, budgets, rule limits, opening balances, statement
+    // totals) by `factor`. Entries recorded in `newBase` itself get their original amount back at a rate of 1.
+    convertData: ({ transactions, recurrences, budgets, rules, accounts, statements }, factor, newBase) => {
+      const scale = (amount) => currencyService.round(amount * factor);
+      const scaleValues = (values) => values && Object.fromEntries(Object.entries(values).map(([key, amount]) => [key, scale(amount)]));
+      const scaleEntry = (entry) => entry.amount === undefined ? entry : entry.currency === newBase ? { ...entry,
+        amount: entry.originalAmount,
+        rate: 1
+      } : { ...entry,
+        amount: scale(entry.amount),
+        rate: entry.rate * factor
+      };
+      return {
+        transactions: transactions.map(scaleEntry),
+        recurrences: recurrences.map(series => ({ ...scaleEntry(series),
+          exceptions: Object.fromEntries(Object.entries(series.exceptions).map(([key, exception]) => [key, 'currency' in exception ? scaleEntry(exception) : omit(scaleEntry({ ...exception,
+            currency: series.currency
+          }), ['currency'])]))
+        })),
+        budgets: Object.fromEntries(Object.entries(budgets).map(([monthKey, budget]) => [monthKey, { ...budget,
+          incomeGoal: scale(budget.incomeGoal),
+          savingsGoal: scale(budget.savingsGoal),
+          expenseBudgets: scaleValues(budget.expenseBudgets),
+          incomeTargets: scaleValues(budget.incomeTargets),
+          moves: scaleValues(budget.moves)
+        }])),
+        rules: rules.map(rule => ({ ...rule,
+          minAmount: rule.minAmount === null ? null : scale(rule.minAmount),
+          maxAmount: rule.maxAmount === null ? null : scale(rule.maxAmount)
+        })),
+        accounts: accounts.map(account => ({ ...account,
+          openingBalance: scale(account.openingBalance)
+        })),
+        statements: statements.map(statement => ({ ...statement,
+          total: scale(statement.total)
+        }))
+      };
+    },
+    // Reads a rate file: a JSON object ({ "USD": 3.7 }) or lines of "code,rate".
+    parseRates: (text) => {
+      const trimmed = text.replace(/^\uFEFF/, '').trim();
+      const entries = trimmed.startsWith('{') ? Object.entries(JSON.parse(trimmed)) : trimmed.split(/\r?\n/).filter(line => line.trim()).map(line => line.split(/[,;\t]/).map(cell => cell.trim()));
+      const rates = {};
+      entries.forEach(([code, value], index) => {
+        const upperCode = String(code).toUpperCase();
+        const rate = typeof value === 'number' ? value : parseFloat(value);
+        if (index === 0 && isNaN(rate)) return; // header row
+        if (!currencyService.isValidCode(upperCode) || !(rate > 0)) {
+          throw new Error(`Unrecognized rate "${code}: ${value}".`);
+        }
+        rates[upperCode] = rate;
+      });
+      if (Object.keys(rates).length === 0) {
+        throw new Error('No exchange rates found in the file.');
+      }
+      return rates;
+    }
+  };
+
+  // --- Inlined from services/storageService.ts ---
+  const TRANSACTIONS_KEY = 'budget-visualizer-transactions';
+  const BUDGETS_KEY = 'budget-visualizer-budgets';
+  const SETTINGS_KEY = 'budget-visualizer-settings';
+  const CATEGORIES_KEY = 'budget-visualizer-categories';
+  const RULES_KEY = 'budget-visualizer-rules';
+  const RECURRENCES_KEY = 'budget-visualizer-recurrences';
+  const RATES_KEY = 'budget-visualizer-rates';
+  const ACCOUNTS_KEY = 'budget-visualizer-accounts';
+  const STATEMENTS_KEY = 'budget-visualizer-statements';
+  const SAVED_SEARCHES_KEY = 'budget-visualizer-saved-searches';
+  const HISTORY_KEY = 'budget-visualizer-history';
+  const SCHEMA_VERSION_KEY = 'budget-visualizer-schema-version';
+  const QUARANTINE_KEY_PREFIX = 'budget-visualizer-quarantine-';
+  // Data written before versioning was introduced counts as version 1.
+  const SCHEMA_VERSION = 12;
+  const isPlainObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+  // Timestamps from before dates were stored as date keys, read in the local time zone. Date keys pass through, and
+  // anything that is not a readable timestamp gives null.
+  const toLocalDateKey = (value) => {
+    if (isDateKey(value)) return value;
+    const date = typeof value === 'string' ? new Date(value) : null;
+    return date && !isNaN(date) ? toDateKey(date) : null;
+  };
+  // Everything except transactions is stored as one named value each.
+  const STORED_VALUES = {
+    budgets: {
+      key: BUDGETS_KEY,
+      fallback: {},
+      isValid: isPlainObject
+    },
+    settings: {
+      key: SETTINGS_KEY,
+      fallback: {
+        baseCurrency: DEFAULT_CURRENCY,
+        budgetBasis: BUDGET_BASIS_PURCHASE,
+        budgetMode: BUDGET_MODE_GOAL,
+        ...DEFAULT_DISPLAY_SETTINGS
+      },
+      isValid: isPlainObject
+    },
+    categories: {
+      key: CATEGORIES_KEY,
+      fallback: [],
+      isValid: Array.isArray
+    },
+    rules: {
+      key: RULES_KEY,
+      fallback: [],
+      isValid: Array.isArray
+    },
+    recurrences: {
+      key: RECURRENCES_KEY,
+      fallback: [],
+      isValid: Array.isArray
+    },
+    rates: {
+      key: RATES_KEY,
+      fallback: {},
+      isValid: isPlainObject
+    },
+    accounts: {
+      key: ACCOUNTS_KEY,
+      fallback: [],
+      isValid: Array.isArray
+    },
+    // Reconciled card statements: { id, accountId, date, total, checkedIds }.
+    statements: {
+      key: STATEMENTS_KEY,
+      fallback: [],
+      isValid: Array.isArray
+    },
+    savedSearches: {
+      key: SAVED_SEARCHES_KEY,
+      fallback: [],
+      isValid: Array.isArray
+    },
+    // Undo history, see historyService. It belongs to this device and is left out of backups.
+    history: {
+      key: HISTORY_KEY,
+      fallback: {
+        undo: [],
+        redo: []
+      },
+      isValid: (value) => isPlainObject(value) && Array.isArray(value.undo) && Array.isArray(value.redo),
+      inBackup: false
+    }
+  };
+  const STORED_VALUE_NAMES = Object.keys(STORED_VALUES);
+  const emptyStoredData = () => ({
+    transactions: [],
+    ...Object.fromEntries(STORED_VALUE_NAMES.map(name => [name, STORED_VALUES[name].fallback]))
+  });
+  const BACKUP_VALUE_NAMES = STORED_VALUE_NAMES.filter(name => STORED_VALUES[name].inBackup !== false);
+  // Keyed by the version each migration upgrades to. Each one receives and returns { transactions, ...stored values }.
+  const schemaMigrations = {
+    2: (data) => ({ ...data,
+      transactions: data.transactions.filter(isPlainObject).map(t => ({ ...t,
+        id: t.id || uuidv4(),
+        amount: typeof t.amount === 'number' ? t.amount : parseFloat(t.amount) || 0,
+      })),
+      budgets: Object.fromEntries(Object.entries(data.budgets).filter(([, budget]) => isPlainObject(budget)).map(([monthKey, budget]) => [monthKey, { ...budget,
+        incomeGoal: Number(budget.incomeGoal) || 0,
+        savingsGoal: Number(budget.savingsGoal) || 0,
+        expenseBudgets: isPlainObject(budget.expenseBudgets) ? budget.expenseBudgets : {},
+        recurring: isPlainObject(budget.recurring) ? budget.recurring : {},
+      }])),
+    }),
+    3: (data) => {
+      const categories = categoryService.createDefaultCategories();
+      const usedNames = [
+        ...data.transactions.map(t => t.category),
+        ...Object.values(data.budgets).flatMap(budget => Object.keys(budget.expenseBudgets))
+      ];
+      usedNames.forEach(name => {
+        if (name && !categories.some(c => c.name === name)) {
+          categories.push(categoryService.createCategory(name, categories.length));
+        }
+      });
+      return { ...data,
+        categories
+      };
+    },
+    4: (data) => {
+      const categories = data.categories.map(c => ({
+        kind: TRANSACTION_TYPE_EXPENSE,
+        ...c
+      }));
+      IncomeCategoryValues.forEach((name, index) => {
+        if (!categories.some(c => c.name === name)) {
+          categories.push(categoryService.createCategory(name, index, TRANSACTION_TYPE_INCOME));
+        }
+      });
+      return { ...data,
+        categories,
+        transactions: data.transactions.map(t => t.type === TRANSACTION_TYPE_INCOME && !t.category ? { ...t,
+          category: FALLBACK_CATEGORY[TRANSACTION_TYPE_INCOME]
+        } : t),
+        budgets: Object.fromEntries(Object.entries(data.budgets).map(([monthKey, budget]) => [monthKey, {
+          incomeTargets: {},
+          ...budget
+        }]))
+      };
+    },
+    // Recurring entries used to be stored as monthly copies sharing a `recurringId`. Each group becomes a monthly
+    // series running to the end of its last copy's month: edited copies become exceptions, missing months are skipped.
+    // The copies are dated by local day here already, as the series code expects.
+    5: (data) => {
+      const transactions = [];
+      const groups = new Map();
+      data.transactions.forEach(t => {
+        const date = t.recurringId && toLocalDateKey(t.date);
+        if (!t.recurringId) {
+          transactions.push(t);
+        } else if (!isDateKey(date)) {
+          // A copy without a usable date cannot be placed in its series; it stays as a plain entry.
+          transactions.push(omit(t, ['recurringId']));
+        } else {
+          groups.set(t.recurringId, [...(groups.get(t.recurringId) || []), { ...t,
+            date
+          }]);
+        }
+      });
+      const recurrences = [...data.recurrences];
+      groups.forEach((copies, recurringId) => {
+        const remaining = [...copies].sort((a, b) => a.date.localeCompare(b.date));
+        const first = remaining[0];
+        const firstDate = fromDateKey(first.date);
+        const lastDate = fromDateKey(remaining[remaining.length - 1].date);
+        const months = (lastDate.getFullYear() - firstDate.getFullYear()) * 12 + lastDate.getMonth() - firstDate.getMonth();
+        const series = { ...recurrenceService.createSeries(first, {
+            frequency: RECURRENCE_MONTHLY,
+            interval: 1,
+            dayOfMonth: firstDate.getDate(),
+            until: toDateKey(new Date(lastDate.getFullYear(), lastDate.getMonth() + 1, 0))
+          }),
+          id: recurringId
+        };
+        delete series.recurringId;
+        for (let n = 0; n <= months; n++) {
+          const scheduled = recurrenceService.scheduledDate(series, n);
+          const key = toDateKey(scheduled);
+          if (key > series.until) break;
+          const index = remaining.findIndex(t => t.date.slice(0, 7) === key.slice(0, 7));
+          if (index < 0) {
+            series.exceptions[key] = {
+              skipped: true
+            };
+            continue;
+          }
+          const [copy] = remaining.splice(index, 1);
+          const expected = recurrenceService.occurrence(series, key);
+          const changes = Object.fromEntries(Object.entries(omit(copy, ['id', 'recurringId'])).filter(([field, value]) => expected[field] !== value));
+          if (Object.keys(changes).length > 0) series.exceptions[key] = changes;
+        }
+        recurrences.push(series);
+        // Two copies in one month cannot both be occurrences; extras stay as plain entries.
+        remaining.forEach(copy => transactions.push(omit(copy, ['recurringId'])));
+      });
+      return { ...data,
+        transactions,
+        recurrences
+      };
+    },
+    // Everything recorded so far was in shekels.
+    6: (data) => {
+      const withCurrency = (entry) => ({
+        currency: DEFAULT_CURRENCY,
+        originalAmount: entry.amount,
+        rate: 1,
+        ...entry
+      });
+      return { ...data,
+        settings: {
+          baseCurrency: DEFAULT_CURRENCY,
+          ...data.settings
+        },
+        transactions: data.transactions.map(withCurrency),
+        recurrences: data.recurrences.map(series => ({ ...withCurrency(series),
+          exceptions: Object.fromEntries(Object.entries(series.exceptions).map(([key, exception]) => [key, exception.amount === undefined ? exception : {
+            originalAmount: exception.amount,
+            ...exception
+          }]))
+        }))
+      };
+    },
+    // Display preferences were fixed to Hebrew formatting until now.
+    7: (data) => ({ ...data,
+      settings: { ...DEFAULT_DISPLAY_SETTINGS,
+        ...data.settings
+      }
+    }),
+    // Everything so far was one pool of money, which becomes the first account. Its id is fixed so that restoring
+    // several older backups fills the same account.
+    8: (data) => {
+      const account = { ...accountService.createAccount('Main Account'),
+        id: 'main'
+      };
+      const withAccount = (entry) => ({
+        accountId: account.id,
+        toAccountId: null,
+        ...entry
+      });
+      return { ...data,
+        accounts: [account],
+        transactions: data.transactions.map(withAccount),
+        recurrences: data.recurrences.map(withAccount)
+      };
+    },
+    9: (data) => ({ ...data,
+      accounts: data.accounts.map(account => ({
+        billingDay: null,
+        ...account
+      })),
+      settings: {
+        budgetBasis: BUDGET_BASIS_PURCHASE,
+        ...data.settings
+      }
+    }),
+    10: (data) => ({ ...data,
+      categories: data.categories.map(category => ({
+        rollover: false,
+        ...category
+      })),
+      budgets: Object.fromEntries(Object.entries(data.budgets).map(([monthKey, budget]) => [monthKey, {
+        moves: {},
+        ...budget
+      }]))
+    }),
+    11: (data) => ({ ...data,
+      settings: {
+        budgetMode: BUDGET_MODE_GOAL,
+        ...data.settings
+      }
+    }),
+    // Dates were UTC timestamps. Each becomes the local calendar day it was shown on; an unreadable one fails the
+    // migration, so the data is set aside instead of being saved with an invalid key.
+    12: (data) => {
+      const dateKey = (value) => {
+        const key = toLocalDateKey(value);
+        if (!key) throw new Error(`Unreadable date: ${JSON.stringify(value)}`);
+        return key;
+      };
+      return { ...data,
+        transactions: data.transactions.map(t => ({ ...t,
+          date: dateKey(t.date)
+        })),
+        recurrences: data.recurrences.map(series => ({ ...series,
+          startDate: dateKey(series.startDate),
+          exceptions: Object.fromEntries(Object.entries(series.exceptions).map(([key, exception]) => [key, exception.date === undefined ? exception : { ...exception,
+            date: dateKey(exception.date)
+          }]))
+        }))
+      };
+    },
+  };
+  // A storage adapter persists transactions as individual records and everything else as named values
+  // (see STORED_VALUES, plus 'schemaVersion'). All methods return promises:
+  //   open(), hasData(), getValue(name), setValue(name, value), getRecords(),
+  //   writeRecords(upserts, deletedIds), quarantine(name) -> location of the set-aside copy, clear(names).
+  const LOCAL_STORAGE_KEYS = {
+    transactions: TRANSACTIONS_KEY,
+    schemaVersion: SCHEMA_VERSION_KEY,
+    ...Object.fromEntries(STORED_VALUE_NAMES.map(name => [name, STORED_VALUES[name].key]))
+  };
+  // localStorage has no per-record writes, so the adapter keeps the last written list and rewrites it whole.
+  let localStorageRecords = [];
+  const localStorageAdapter = {
+    name: 'local storage',
+    open: async () => {},
+    hasData: async () => ['transactions', ...STORED_VALUE_NAMES].some(name => localStorage.getItem(LOCAL_STORAGE_KEYS[name]) !== null),
+    getValue: async (name) => {
+      const json = localStorage.getItem(LOCAL_STORAGE_KEYS[name]);
+      return json === null ? undefined : JSON.parse(json);
+    },
+    setValue: async (name, value) => {
+      localStorage.setItem(LOCAL_STORAGE_KEYS[name], JSON.stringify(value));
+    },
+    getRecords: async () => {
+      const records = await localStorageAdapter.getValue('transactions');
+      localStorageRecords = Array.isArray(records) ? records : [];
+      return records;
+    },
+    writeRecords: async (upserts, deletedIds) => {
+      const byId = new Map(localStorageRecords.map(record => [record.id, record]));
+      deletedIds.forEach(id => byId.delete(id));
+      upserts.forEach(record => byId.set(record.id, record));
+      localStorageRecords = [...byId.values()];
+      localStorage.setItem(TRANSACTIONS_KEY, JSON.stringify(localStorageRecords));
+    },
+    quarantine: async (name) => {
+      const location = `${QUARANTINE_KEY_PREFIX}${name}-${Date.now()}`;
+      localStorage.setItem(location, localStorage.getItem(LOCAL_STORAGE_KEYS[name]));
+      return location;
+    },
+    clear: async (names) => {
+      names.forEach(name => localStorage.removeItem(LOCAL_STORAGE_KEYS[name]));
+    }
+  };
+  const IDB_DATABASE_NAME = 'budget-visualizer';
+  const IDB_DATABASE_VERSION = 2;
+  const IDB_TRANSACTIONS_STORE = 'transactions';
+  const IDB_META_STORE = 'meta';
+  const idbRequest = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+  const idbCompletion = (transaction) => new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+  let idbDatabase = null;
+  const indexedDbAdapter = {
+    name: 'IndexedDB',
+    open: () => new Promise((resolve, reject) => {
+      const request = indexedDB.open(IDB_DATABASE_NAME, IDB_DATABASE_VERSION);
+      request.onupgradeneeded = (e) => {
+        const database = request.result;
+        if (e.oldVersion < 1) {
+          const transactionsStore = database.createObjectStore(IDB_TRANSACTIONS_STORE, {
+            keyPath: 'id'
+          });
+          transactionsStore.createIndex('date', 'date');
+          transactionsStore.createIndex('category', 'category');
+          database.createObjectStore(IDB_META_STORE);
+          return;
+        }
+        // Transactions no longer carry a recurringId now that recurring entries are series.
+        const transactionsStore = request.transaction.objectStore(IDB_TRANSACTIONS_STORE);
+        if (transactionsStore.indexNames.contains('recurringId')) transactionsStore.deleteIndex('recurringId');
+      };
+      request.onsuccess = () => {
+        idbDatabase = request.result;
+        resolve();
+      };
+      request.onerror = () => reject(request.error);
+    }),
+    hasData: async () => (await indexedDbAdapter.getValue('schemaVersion')) !== undefined,
+    getValue: (name) => idbRequest(idbDatabase.transaction(IDB_META_STORE).objectStore(IDB_META_STORE).get(name)),
+    setValue: (name, value) => {
+      const transaction = idbDatabase.transaction(IDB_META_STORE, 'readwrite');
+      transaction.objectStore(IDB_META_STORE).put(value, name);
+      return idbCompletion(transaction);
+    },
+    getRecords: () => idbRequest(idbDatabase.transaction(IDB_TRANSACTIONS_STORE).objectStore(IDB_TRANSACTIONS_STORE).getAll()),
+    writeRecords: (upserts, deletedIds) => {
+      const transaction = idbDatabase.transaction(IDB_TRANSACTIONS_STORE, 'readwrite');
+      const store = transaction.objectStore(IDB_TRANSACTIONS_STORE);
+      deletedIds.forEach(id => store.delete(id));
+      upserts.forEach(record => store.put(record));
+      return idbCompletion(transaction);
+    },
+    quarantine: async (name) => {
+      const value = name === 'transactions' ? await indexedDbAdapter.getRecords() : await indexedDbAdapter.getValue(name);
+      const location = `quarantine-${name}-${Date.now()}`;
+      await indexedDbAdapter.setValue(location, value);
+      return location;
+    },
+    clear: async (names) => {
+      const transaction = idbDatabase.transaction([IDB_TRANSACTIONS_STORE, IDB_META_STORE], 'readwrite');
+      names.forEach(name => name === 'transactions' ? transaction.objectStore(IDB_TRANSACTIONS_STORE).clear() : transaction.objectStore(IDB_META_STORE).delete(name));
+      return idbCompletion(transaction);
+    }
+  };
+  let storageAdapter = localStorageAdapter;
+  let loadPromise = null;
+  // The records last handed to the adapter, by id. Saves write only what changed since then.
+  let savedRecords = new Map();
+  // Values whose stored payload could neither be read nor set aside; they are never written so nothing is lost.
+  const protectedNames = new Set();
+  const setAside = async (adapter, name, problem, warnings) => {
+    try {
+      const location = await adapter.quarantine(name);
+      warnings.push(`Your saved ${name} could not be ${problem}. The original data was set aside under "${location}" and the app started without it.`);
+    } catch (quarantineError) {
+      protectedNames.add(name);
+      warnings.push(`Your saved ${name} could not be ${problem} or set aside. Changes to ${name} will not be saved until this is resolved.`);
+    }
+  };
+  const readStoredValue = async (adapter, name, fallback, isValid, warnings) => {
+    try {
+      const value = name === 'transactions' ? await adapter.getRecords() : await adapter.getValue(name);
+      if (value === undefined) return fallback;
+      if (!isValid(value)) {
+        throw new Error(`Unexpected ${name} format`);
+      }
+      return value;
+    } catch (error) {
+      console.error(`Error loading ${name} from ${adapter.name}:`, error);
+      await setAside(adapter, name, 'read', warnings);
+      return fallback;
+    }
+  };
+  // A migration that throws leaves the whole payload unusable, so every value that was read is set aside.
+  const migrateStoredData = async (adapter, data, storedVersion, warnings) => {
+    try {
+      return storageService.migrate(data, storedVersion);
+    } catch (error) {
+      console.error(`Error upgrading data from schema version ${storedVersion}:`, error);
+      const wasStored = (name) => name === 'transactions' ? data.transactions.length > 0 : data[name] !== STORED_VALUES[name].fallback;
+      for (const name of ['transactions', ...STORED_VALUE_NAMES].filter(wasStored)) {
+        await setAside(adapter, name, 'upgraded', warnings);
+      }
+      return emptyStoredData();
+    }
+  };
+  const readStoredData = async (adapter, warnings) => {
+    const storedVersion = parseInt(await adapter.getValue('schemaVersion').catch(() => undefined), 10) || 1;
+    if (storedVersion > SCHEMA_VERSION) {
+      ['transactions', ...STORED_VALUE_NAMES].forEach(name => protectedNames.add(name));
+      warnings.push('Your data was saved by a newer version of this app. It is shown as-is and changes will not be saved.');
+    }
+    const data = {
+      transactions: await readStoredValue(adapter, 'transactions', [], Array.isArray, warnings)
+    };
+    for (const name of STORED_VALUE_NAMES) {
+      data[name] = await readStoredValue(adapter, name, STORED_VALUES[name].fallback, STORED_VALUES[name].isValid, warnings);
+    }
+    return {
+      data: storedVersion < SCHEMA_VERSION ? await migrateStoredData(adapter, data, storedVersion, warnings) : data,
+      storedRecords: data.transactions
+    };
+  };
+  // Resolves to false when the write failed, e.g. over the storage quota.
+  const writeValue = async (name, value) => {
+    if (protectedNames.has(name)) return true;
+    try {
+      await storageAdapter.setValue(name, value);
+      await storageAdapter.setValue('schemaVersion', SCHEMA_VERSION);
+      return true;
+    } catch (error) {
+      console.error(`Error saving ${name} to ${storageAdapter.name}:`, error);
+      return false;
+    }
+  };
+  // Moves data saved by earlier versions from localStorage into the IndexedDB adapter.
+  const importFromLocalStorage = async (warnings) => {
+    const { data } = await readStoredData(localStorageAdapter, warnings);
+    const names = ['transactions', ...STORED_VALUE_NAMES].filter(name => !protectedNames.has(name));
+    if (names.includes('transactions')) {
+      await indexedDbAdapter.writeRecords(data.transactions, []);
+    }
+    for (const name of names.filter(name => name !== 'transactions')) {
+      await indexedDbAdapter.setValue(name, data[name]);
+    }
+    await indexedDbAdapter.setValue('schemaVersion', SCHEMA_VERSION);
+    await localStorageAdapter.clear(names);
+    return data;
+  };
+  const storageService = {
+    // Upgrades data written by an older schema version to the current shape.
+    migrate: (data, fromVersion) => {
+      let migrated = data;
+      for (let version = fromVersion + 1; version <= SCHEMA_VERSION; version++) {
+        migrated = schemaMigrations[version](migrated);
+      }
+      return migrated;
+    },
+    // Resolves to { transactions, ...stored values, warnings }; `warnings` lists problems the user should be told about.
+    // Uses IndexedDB where the browser offers it and falls back to localStorage otherwise.
+    load: () => {
+      if (!loadPromise) {
+        loadPromise = (async () => {
+          const warnings = [];
+          if (typeof indexedDB !== 'undefined') {
+            try {
+              await indexedDbAdapter.open();
+              storageAdapter = indexedDbAdapter;
+            } catch (error) {
+              console.error('Error opening IndexedDB, falling back to local storage:', error);
+            }
+          }
+          let data;
+          let storedRecords;
+          if (storageAdapter !== localStorageAdapter && !(await storageAdapter.hasData()) && await localStorageAdapter.hasData()) {
+            data = await importFromLocalStorage(warnings);
+            storedRecords = data.transactions;
+          } else {
+            ({ data, storedRecords } = await readStoredData(storageAdapter, warnings));
+          }
+          // Start from the records as stored, so the first save rewrites migrated ones and deletes those a migration removed.
+          savedRecords = new Map(storedRecords.filter(isPlainObject).map(t => [t.id, t]));
+          return { ...data,
+            warnings
+          };
+        })().catch(error => {
+          // Nothing is known to be safe to overwrite, so keep everything as stored.
+          ['transactions', ...STORED_VALUE_NAMES].forEach(name => protectedNames.add(name));
+          throw error;
+        });
+      }
+      return loadPromise;
+    },
+    // Both saves resolve to false when the write failed.
+    saveTransactions: async (transactions) => {
+      if (protectedNames.has('transactions')) return true;
+      const upserts = transactions.filter(t => savedRecords.get(t.id) !== t);
+      const nextIds = new Set(transactions.map(t => t.id));
+      const deletedIds = [...savedRecords.keys()].filter(id => !nextIds.has(id));
+      if (upserts.length === 0 && deletedIds.length === 0) return true;
+      savedRecords = new Map(transactions.map(t => [t.id, t]));
+      try {
+        await storageAdapter.writeRecords(upserts, deletedIds);
+        await storageAdapter.setValue('schemaVersion', SCHEMA_VERSION);
+        return true;
+      } catch (error) {
+        console.error(`Error saving transactions to ${storageAdapter.name}:`, error);
+        return false;
+      }
+    },
+    saveValue: (name, value) => writeValue(name, value)
+  };
+
+  // --- Inlined from services/historyService.ts ---
+  // Each entry holds { id, label, at, schemaVersion, size, changes }. `changes` maps the named data values (as in
+  // STORED_VALUES, plus transactions) to what puts them back: for lists of records, { records, removed, addedIds } with
+  // the earlier versions of changed records, the removed records by position, and the ids of added ones; for anything
+  // else, or a list whose order changed, { value }. Undoing an entry moves its inverse to `redo`.
+  // Entries last a day, do not survive a schema upgrade, and are dropped oldest first past HISTORY_MAX_SIZE.
+  const HISTORY_MAX_ENTRIES = 20;
+  const HISTORY_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+  // In characters of JSON, to stay well inside the localStorage quota.
+  const HISTORY_MAX_SIZE = 1000000;
+  const HISTORY_VALUE_NAMES = ['transactions', 'budgets', 'settings', 'categories', 'rules', 'recurrences', 'rates', 'accounts', 'statements'];
+  const historyService = {
+    // The change that turns `after` back into `before`.
+    diff: (before, after) => {
+      if (!Array.isArray(before) || !Array.isArray(after)) return {
+        value: before
+      };
+      const afterById = new Map(after.map(record => [record.id, record]));
+      const beforeIds = new Set(before.map(record => record.id));
+      const keptIds = before.filter(record => afterById.has(record.id)).map(record => record.id);
+      const afterKeptIds = after.filter(record => beforeIds.has(record.id)).map(record => record.id);
+      if (keptIds.some((id, index) => afterKeptIds[index] !== id)) return {
+        value: before
+      };
+      return {
+        records: before.filter(record => afterById.has(record.id) && afterById.get(record.id) !== record),
+        removed: before.map((record, index) => [index, record]).filter(([, record]) => !afterById.has(record.id)),
+        addedIds: after.filter(record => !beforeIds.has(record.id)).map(record => record.id)
+      };
+    },
+    apply: (current, change) => {
+      if ('value' in change) return change.value;
+      const addedIds = new Set(change.addedIds);
+      const restored = new Map(change.records.map(record => [record.id, record]));
+      const next = current.filter(record => !addedIds.has(record.id)).map(record => restored.get(record.id) || record);
+      change.removed.forEach(([index, record]) => next.splice(index, 0, record));
+      return next;
+    },
+    createEntry: (label, before, after, now) => {
+      const changes = Object.fromEntries(Object.keys(before).map(name => [name, historyService.diff(before[name], after[name])]));
+      return {
+        id: uuidv4(),
+        label,
+        at: now.toISOString(),
+        schemaVersion: SCHEMA_VERSION,
+        size: JSON.stringify(changes).length,
+        changes
+      };
+    },
+    // A new change clears what could be redone.
+    record: (history, entry) => ({
+      undo: historyService.limit([...history.undo, entry]),
+      redo: []
+    }),
+    // Takes the latest entry off one stack, pushes its inverse onto the other, and returns { history, label, values }
+    // with the values to set. `from` is 'undo' or 'redo'; `current` holds the values as they are now.
+    step: (history, from, current) => {
+      const to = from === 'undo' ? 'redo' : 'undo';
+      const entry = history[from][history[from].length - 1];
+      const values = Object.fromEntries(Object.entries(entry.changes).map(([name, change]) => [name, historyService.apply(current[name], change)]));
+      const inverse = historyService.createEntry(entry.label, Object.fromEntries(Object.keys(values).map(name => [name, current[name]])), values, new Date(entry.at));
+      return {
+        history: {
+          [from]: history[from].slice(0, -1),
+          [to]: historyService.limit([...history[to], inverse])
+        },
+        label: entry.label,
+        values
+      };
+    },
+    // Keeps the newest entries that fit both limits.
+    limit: (entries) => {
+      let size = 0;
+      // Once an entry does not fit, no older one does either: undoing past it would start from the wrong values.
+      const kept = entries.slice(-HISTORY_MAX_ENTRIES).reverse().filter(entry => {
+        size += entry.size;
+        return size <= HISTORY_MAX_SIZE;
+      });
+      return kept.reverse();
+    },
+    prune: (history, now) => {
+      const isCurrent = (entry) => entry.schemaVersion === SCHEMA_VERSION && isPlainObject(entry.changes) && now - new Date(entry.at) <= HISTORY_MAX_AGE_MS;
+      return {
+        undo: history.undo.filter(isCurrent),
+        redo: history.redo.filter(isCurrent)
+      };
+    }
+  };
+
+  const downloadBlob = (blob, fileName) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  };
+
+  // --- Inlined from services/backupService.ts ---
+  const BACKUP_FORMAT = 'budget-visualizer-backup';
+  const BACKUP_VERSION = 1;
+  const BACKUP_MODE_REPLACE = 'replace';
+  const BACKUP_MODE_MERGE = 'merge';
+  const backupService = {
+    createBackup: (data) => ({
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      schemaVersion: SCHEMA_VERSION,
+      exportedAt: new Date().toISOString(),
+      data
+    }),
+    download: (backup) => {
+      downloadBlob(new Blob([JSON.stringify(backup, null, 2)], {
+        type: 'application/json'
+      }), `budget-backup-${toDateKey(new Date(backup.exportedAt))}.json`);
+    },
+    // Throws an Error describing the first problem found; returns the backup's data section when it is valid.
+    validate: (backup) => {
+      if (!isPlainObject(backup) || backup.format !== BACKUP_FORMAT) {
+        throw new Error('This file is not a budget backup.');
+      }
+      if (!Number.isInteger(backup.version) || backup.version < 1 || backup.version > BACKUP_VERSION) {
+        throw new Error(`Unsupported backup version: ${backup.version}.`);
+      }
+      const schemaVersion = backup.schemaVersion || 1;
+      if (schemaVersion > SCHEMA_VERSION) {
+        throw new Error('This backup was made by a newer version of the app.');
+      }
+      if (!isPlainObject(backup.data) || !Array.isArray(backup.data.transactions)) {
+        throw new Error('Backup is missing its transactions list.');
+      }
+      if (!isPlainObject(backup.data.budgets)) {
+        throw new Error('Backup is missing its budgets.');
+      }
+      const stored = { transactions: backup.data.transactions };
+      BACKUP_VALUE_NAMES.forEach(name => {
+        const value = backup.data[name];
+        if (value !== undefined && !STORED_VALUES[name].isValid(value)) {
+          throw new Error(`Backup ${name} are malformed.`);
+        }
+        stored[name] = value === undefined ? STORED_VALUES[name].fallback : value;
+      });
+      const data = storageService.migrate(stored, schemaVersion);
+      const { transactions, budgets, settings, categories, rules, recurrences, rates, accounts, statements, savedSearches } = data;
+      const isAccountRef = (entry) => typeof entry.accountId === 'string' && (entry.type !== TRANSACTION_TYPE_TRANSFER || (typeof entry.toAccountId === 'string' && entry.toAccountId !== entry.accountId));
+      transactions.forEach((t, index) => {
+        const valid = isPlainObject(t) &&
+          typeof t.id === 'string' &&
+          typeof t.description === 'string' &&
+          Number.isFinite(t.amount) &&
+          currencyService.isValidCode(t.currency) &&
+          Number.isFinite(t.originalAmount) &&
+          t.rate > 0 &&
+          TRANSACTION_TYPES.includes(t.type) &&
+          isAccountRef(t) &&
+          (t.installmentId === undefined || (Number.isInteger(t.installmentNumber) && Number.isInteger(t.installmentCount) && Number.isFinite(t.installmentTotal))) &&
+          (t.splits === undefined || (Array.isArray(t.splits) && t.splits.every(split => isPlainObject(split) && typeof split.category === 'string' && Number.isFinite(split.amount)) && categoryService.isBalancedSplit(t.splits, t.originalAmount))) &&
+          isDateKey(t.date);
+        if (!valid) {
+          throw new Error(`Transaction #${index + 1} is malformed.`);
+        }
+      });
+      Object.entries(budgets).forEach(([monthKey, budget]) => {
+        const valid = /^\d{4}-\d{2}$/.test(monthKey) &&
+          isPlainObject(budget) &&
+          Number.isFinite(budget.incomeGoal) &&
+          Number.isFinite(budget.savingsGoal) &&
+          isPlainObject(budget.expenseBudgets) &&
+          isPlainObject(budget.incomeTargets) &&
+          isPlainObject(budget.moves) && Object.values(budget.moves).every(Number.isFinite);
+        if (!valid) {
+          throw new Error(`Budget for ${monthKey} is malformed.`);
+        }
+      });
+      categories.forEach((category, index) => {
+        if (!isPlainObject(category) || typeof category.id !== 'string' || typeof category.name !== 'string' || ![TRANSACTION_TYPE_INCOME, TRANSACTION_TYPE_EXPENSE].includes(category.kind)) {
+          throw new Error(`Category #${index + 1} is malformed.`);
+        }
+      });
+      rules.forEach((rule, index) => {
+        const valid = isPlainObject(rule) &&
+          typeof rule.id === 'string' &&
+          typeof rule.pattern === 'string' &&
+          typeof rule.category === 'string' &&
+          [TRANSACTION_TYPE_INCOME, TRANSACTION_TYPE_EXPENSE].includes(rule.type);
+        if (!valid) {
+          throw new Error(`Rule #${index + 1} is malformed.`);
+        }
+      });
+      recurrences.forEach((series, index) => {
+        const valid = isPlainObject(series) &&
+          typeof series.id === 'string' &&
+          Number.isFinite(series.amount) &&
+          TRANSACTION_TYPES.includes(series.type) &&
+          isAccountRef(series) &&
+          isDateKey(series.startDate) &&
+          [RECURRENCE_WEEKLY, RECURRENCE_MONTHLY, RECURRENCE_YEARLY].includes(series.frequency) &&
+          Number.isInteger(series.interval) && series.interval > 0 &&
+          isPlainObject(series.exceptions);
+        if (!valid) {
+          throw new Error(`Recurring series #${index + 1} is malformed.`);
+        }
+      });
+      Object.entries(rates).forEach(([code, rate]) => {
+        if (!currencyService.isValidCode(code) || !(rate > 0)) {
+          throw new Error(`Exchange rate for ${code} is malformed.`);
+        }
+      });
+      accounts.forEach((account, index) => {
+        const valid = isPlainObject(account) &&
+          typeof account.id === 'string' &&
+          typeof account.name === 'string' &&
+          Number.isFinite(account.openingBalance) &&
+          (account.billingDay === null || (Number.isInteger(account.billingDay) && account.billingDay >= 1 && account.billingDay <= 31));
+        if (!valid) {
+          throw new Error(`Account #${index + 1} is malformed.`);
+        }
+      });
+      statements.forEach((statement, index) => {
+        const valid = isPlainObject(statement) &&
+          typeof statement.id === 'string' &&
+          typeof statement.accountId === 'string' &&
+          isDateKey(statement.date) &&
+          Number.isFinite(statement.total) &&
+          Array.isArray(statement.checkedIds);
+        if (!valid) {
+          throw new Error(`Statement #${index + 1} is malformed.`);
+        }
+      });
+      savedSearches.forEach((search, index) => {
+        const valid = isPlainObject(search) &&
+          typeof search.id === 'string' &&
+          typeof search.name === 'string' &&
+          isPlainObject(search.filters) && Object.values(search.filters).every(value => typeof value === 'string');
+        if (!valid) {
+          throw new Error(`Saved search #${index + 1} is malformed.`);
+        }
+      });
+      const validSettings = currencyService.isValidCode(settings.baseCurrency) &&
+        formatService.isSupportedLocale(settings.locale) &&
+        Number.isInteger(settings.weekStart) && settings.weekStart >= 0 && settings.weekStart <= 6 &&
+        DATE_FORMATS.includes(settings.dateFormat) &&
+        [BUDGET_BASIS_PURCHASE, BUDGET_BASIS_BILLING].includes(settings.budgetBasis) &&
+        [BUDGET_MODE_GOAL, BUDGET_MODE_ZERO_BASED].includes(settings.budgetMode);
+      if (!validSettings) {
+        throw new Error('Backup settings are malformed.');
+      }
+      return data;
+    },
+    // Re-expresses a backup kept in another base currency in the current one, so the two can be merged.
+    toBaseCurrency: (incoming, current) => {
+      const base = current.settings.baseCurrency;
+      const incomingBase = incoming.settings.baseCurrency;
+      if (incomingBase === base) return incoming;
+      const factor = current.rates[incomingBase] || (incoming.rates[base] && 1 / incoming.rates[base]);
+      if (!factor) {
+        throw new Error(`This backup is in ${incomingBase}. Add an exchange rate for it before merging.`);
+      }
+      const rates = Object.fromEntries(Object.entries(incoming.rates).filter(([code]) => code !== base).map(([code, rate]) => [code, rate * factor]));
+      return { ...incoming,
+        ...currencyService.convertData(incoming, factor, base),
+        settings: { ...incoming.settings,
+          baseCurrency: base
+        },
+        rates: { ...rates,
+          [incomingBase]: factor
+        }
+      };
+    },
+    // Merging matches list entries (transactions, categories) by id and object entries (months, settings) by key.
+    restore: (current, incoming, mode) => {
+      if (mode === BACKUP_MODE_REPLACE) {
+        return incoming;
+      }
+      incoming = backupService.toBaseCurrency(incoming, current);
+      const mergeList = (currentList, incomingList) => {
+        const incomingIds = new Set(incomingList.map(item => item.id));
+        return [...currentList.filter(item => !incomingIds.has(item.id)), ...incomingList];
+      };
+      return Object.fromEntries(Object.keys(incoming).map(name => [name, Array.isArray(incoming[name]) ? mergeList(current[name], incoming[name]) : { ...current[name],
+        ...incoming[name]
+      }]));
+    },
+    // Counts what restoring `incoming` in the given mode would add, update and remove.
+    diff: (current, incoming, mode) => {
+      const restored = backupService.restore(current, incoming, mode);
+      const compare = (before, after) => {
+        const result = {
+          added: 0,
+          updated: 0,
+          removed: 0,
+          unchanged: 0
+        };
+        Object.keys(after).forEach(key => {
+          if (!(key in before)) result.added++;
+          else if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) result.updated++;
+          else result.unchanged++;
+        });
+        result.removed = Object.keys(before).filter(key => !(key in after)).length;
+        return result;
+      };
+      const keyed = (value) => Array.isArray(value) ? Object.fromEntries(value.map(item => [item.id, item])) : value;
+      return Object.fromEntries(Object.keys(restored).map(name => [name, compare(keyed(current[name]), keyed(restored[name]))]));
+    }
+  };
+
+  // --- Inlined from services/csvImportService.ts ---
+  const CSV_IMPORT_FIELDS = ['date', 'description', 'amount', 'currency', 'type', 'category'];
+  const CSV_HEADER_HINTS = {
+    date: ['date', 'transaction date', 'value date', 'תאריך', 'תאריך עסקה', 'תאריך ערך'],
+    description: ['description', 'details', 'merchant', 'payee', 'תיאור', 'פרטים', 'שם בית העסק', 'תאור'],
+    amount: ['amount', 'sum', 'charge', 'סכום', 'סכום חיוב', 'סכום עסקה'],
+    currency: ['currency', 'ccy', 'מטבע', 'מטבע עסקה'],
+    type: ['type', 'transaction type', 'סוג', 'סוג עסקה'],
+    category: ['category', 'קטגוריה', 'ענף']
+  };
+  const csvImportService = {
+    parseCsv: (text) => {
+      const input = text.replace(/^\uFEFF/, '');
+      const firstLine = input.split(/\r?\n/, 1)[0] || '';
+      const delimiter = [',', ';', '\t'].reduce((best, candidate) => firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best, ',');
+      const rows = [];
+      let row = [];
+      let field = '';
+      let inQuotes = false;
+      for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (inQuotes) {
+          if (char === '"' && input[i + 1] === '"') {
+            field += '"';
+            i++;
+          } else if (char === '"') {
+            inQuotes = false;
+          } else {
+            field += char;
+          }
+        } else if (char === '"') {
+          inQuotes = true;
+        } else if (char === delimiter) {
+          row.push(field.trim());
+          field = '';
+        } else if (char === '\n' || char === '\r') {
+          if (char === '\r' && input[i + 1] === '\n') i++;
+          row.push(field.trim());
+          if (row.some(value => value !== '')) rows.push(row);
+          row = [];
+          field = '';
+        } else {
+          field += char;
+        }
+      }
+      row.push(field.trim());
+      if (row.some(value => value !== '')) rows.push(row);
+      return rows;
+    },
+    // Accepts DD/MM/YYYY (also with '.' or '-' and two-digit years) as exported by Israeli banks, and ISO YYYY-MM-DD.
+    parseDate: (value) => {
+      const trimmed = (value || '').trim();
+      let year, month, day;
+      const isoMatch = trimmed.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+      const localMatch = trimmed.match(/^(\d{1,2})[./-](\d{1,2})[./-](\d{2}|\d{4})$/);
+      if (isoMatch) {
+        [, year, month, day] = isoMatch.map(Number);
+      } else if (localMatch) {
+        [, day, month, year] = localMatch.map(Number);
+        if (year < 100) year += 2000;
+      } else {
+        return null;
+      }
+      const date = new Date(year, month - 1, day);
+      if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) return null;
+      return date;
+    },
+    // Returns a signed number. Handles thousands separators, currency symbols, "(123)" and trailing-minus "123-" notations.
+    parseAmount: (value) => {
+      let text = (value || '').replace(/[^\d.,()\-+]/g, '');
+      if (!text) return null;
+      let negative = false;
+      if (/^\(.*\)$/.test(text)) {
+        negative = true;
+        text = text.slice(1, -1);
+      }
+      if (text.endsWith('-')) {
+        negative = true;
+        text = text.slice(0, -1);
+      }
+      if (text.startsWith('-')) {
+        negative = !negative;
+        text = text.slice(1);
+      } else if (text.startsWith('+')) {
+        text = text.slice(1);
+      }
+      const lastComma = text.lastIndexOf(',');
+      const lastDot = text.lastIndexOf('.');
+      if (lastComma > lastDot && !/,\d{3}$/.test(text)) {
+        text = text.replace(/\./g, '').replace(',', '.');
+      } else {
+        text = text.replace(/,/g, '');
+      }
+      if (!/^\d*\.?\d+$/.test(text)) return null;
+      const amount = parseFloat(text);
+      return negative ? -amount : amount;
+    },
+    guessMapping: (headers) => {
+      const mapping = {};
+      CSV_IMPORT_FIELDS.forEach(field => {
+        const index = headers.findIndex(header => CSV_HEADER_HINTS[field].includes(header.trim().toLowerCase()));
+        mapping[field] = index >= 0 ? index : '';
+      });
+      return mapping;
+    },
+    // Turns raw CSV rows into transactions. Without a mapped type column, the sign decides the type:
+    // `positiveType` is the type of positive amounts (bank exports: Income, credit-card exports: Expense).
+    // Amounts are in `baseCurrency` unless a currency column says otherwise; those are converted with `rates`.
+    buildTransactions: (rows, mapping, { positiveType, categories, rates, baseCurrency, accountId }) => rows.map(row => {
+      const cell = (field) => mapping[field] === '' || mapping[field] === undefined ? '' : row[mapping[field]] || '';
+      const date = csvImportService.parseDate(cell('date'));
+      const signedAmount = csvImportService.parseAmount(cell('amount'));
+      const description = cell('description');
+      if (!date) return { row, error: `Unrecognized date "${cell('date')}"` };
+      if (signedAmount === null || signedAmount === 0) return { row, error: `Unrecognized amount "${cell('amount')}"` };
+      if (!description) return { row, error: 'Missing description' };
+      const currency = (cell('currency') || baseCurrency).toUpperCase();
+      const converted = currencyService.convert(Math.abs(signedAmount), currency, rates, baseCurrency);
+      if (!converted) return { row, error: `No exchange rate for "${currency}"` };
+      const negativeType = positiveType === TRANSACTION_TYPE_INCOME ? TRANSACTION_TYPE_EXPENSE : TRANSACTION_TYPE_INCOME;
+      let type = signedAmount < 0 ? negativeType : positiveType;
+      const typeValue = cell('type').toLowerCase();
+      if (/income|credit|deposit|זכות|הכנסה/.test(typeValue)) type = TRANSACTION_TYPE_INCOME;
+      else if (/expense|debit|withdrawal|חובה|הוצאה/.test(typeValue)) type = TRANSACTION_TYPE_EXPENSE;
+      const categoryValue = cell('category').toLowerCase();
+      const category = categoryService.activeNames(categoryService.ofKind(categories, type)).find(name => name.toLowerCase() === categoryValue) || FALLBACK_CATEGORY[type];
+      return {
+        row,
+        transaction: {
+          description,
+          ...converted,
+          type,
+          category,
+          accountId,
+          toAccountId: null,
+          date: toDateKey(date),
+        }
+      };
+    })
+  };
+
+  // --- Inlined from services/duplicateService.ts ---
+  const DUPLICATE_MAX_DAYS_APART = 3;
+  const DUPLICATE_MIN_SIMILARITY = 0.6;
+  const duplicateService = {
+    normalizeDescription: (description) => (description || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim(),
+    // Dice coefficient over character bigrams; 1 when one normalized description contains the other.
+    descriptionSimilarity: (a, b) => {
+      const left = duplicateService.normalizeDescription(a);
+      const right = duplicateService.normalizeDescription(b);
+      if (!left || !right) return 0;
+      if (left.includes(right) || right.includes(left)) return 1;
+      const bigrams = (text) => {
+        const result = [];
+        for (let i = 0; i < text.length - 1; i++) result.push(text.slice(i, i + 2));
+        return result;
+      };
+      const leftBigrams = bigrams(left);
+      const rightBigrams = bigrams(right);
+      const remaining = [...rightBigrams];
+      let overlap = 0;
+      leftBigrams.forEach(bigram => {
+        const index = remaining.indexOf(bigram);
+        if (index >= 0) {
+          overlap++;
+          remaining.splice(index, 1);
+        }
+      });
+      return 2 * overlap / (leftBigrams.length + rightBigrams.length || 1);
+    },
+    isLikelyDuplicate: (candidate, existing) => {
+      if (candidate.type !== existing.type) return false;
+      if (Math.abs(candidate.amount - existing.amount) >= 0.005) return false;
+      const daysApart = Math.abs(daysBetween(candidate.date, existing.date));
+      if (daysApart > DUPLICATE_MAX_DAYS_APART) return false;
+      return duplicateService.descriptionSimilarity(candidate.description, existing.description) >= DUPLICATE_MIN_SIMILARITY;
+    },
+    // Returns the existing transactions that `candidate` likely duplicates, closest date first.
+    findMatches: (candidate, existingTransactions) => existingTransactions
+      .filter(existing => existing.id !== candidate.id && duplicateService.isLikelyDuplicate(candidate, existing))
+      .sort((a, b) => Math.abs(daysBetween(candidate.date, a.date)) - Math.abs(daysBetween(candidate.date, b.date))),
+    // Folds an incoming transaction into an existing one. The existing record keeps its id (and, for a recurring
+    // occurrence, its link to the series).
+    merge: (existing, incoming) => ({ ...existing,
+      description: existing.description.length >= incoming.description.length ? existing.description : incoming.description,
+      category: existing.splits || (existing.category && existing.category !== 'Other') ? existing.category : incoming.category || existing.category,
+    })
+  };
+
+  // --- Inlined from services/ruleService.ts ---
+  const RULE_MATCH_CONTAINS = 'contains';
+  const RULE_MATCH_REGEX = 'regex';
+  // A rule matches on type, an optional amount range and an optional description pattern, and assigns
+  // `category` (of the rule's type) plus an optional description rewrite. The first matching rule wins.
+  const ruleService = {
+    createRule: (type = TRANSACTION_TYPE_EXPENSE) => ({
+      id: uuidv4(),
+      type,
+      matchMode: RULE_MATCH_CONTAINS,
+      pattern: '',
+      minAmount: null,
+      maxAmount: null,
+      category: FALLBACK_CATEGORY[type],
+      rewrite: ''
+    }),
+    // Returns an error message for an unusable rule, or '' when it is valid.
+    validate: (rule, categories) => {
+      if (rule.matchMode === RULE_MATCH_REGEX) {
+        try {
+          new RegExp(rule.pattern, 'i');
+        } catch (e) {
+          return `Invalid pattern "${rule.pattern}".`;
+        }
+      }
+      if (rule.minAmount !== null && rule.maxAmount !== null && rule.minAmount > rule.maxAmount) {
+        return 'The minimum amount is larger than the maximum.';
+      }
+      if (!categoryService.ofKind(categories, rule.type).some(c => c.name === rule.category)) {
+        return `"${rule.category}" is not an ${rule.type.toLowerCase()} category.`;
+      }
+      return '';
+    },
+    // Returns the regex match (or true) when `rule` applies to the transaction, otherwise null.
+    match: (rule, transaction) => {
+      if (transaction.type !== rule.type) return null;
+      if (rule.minAmount !== null && transaction.amount < rule.minAmount) return null;
+      if (rule.maxAmount !== null && transaction.amount > rule.maxAmount) return null;
+      if (!rule.pattern) return true;
+      const description = transaction.description || '';
+      if (rule.matchMode === RULE_MATCH_REGEX) {
+        try {
+          return description.match(new RegExp(rule.pattern, 'i'));
+        } catch (e) {
+          return null;
+        }
+      }
+      return description.toLowerCase().includes(rule.pattern.toLowerCase()) || null;
+    },
+    find: (rules, transaction) => rules.find(rule => ruleService.match(rule, transaction)) || null,
+    // The category and description the first matching rule would give the transaction, or null.
+    // Regex rewrites may refer to capture groups as $1..$9.
+    suggest: (rules, transaction) => {
+      for (const rule of rules) {
+        const match = ruleService.match(rule, transaction);
+        if (!match) continue;
+        const description = !rule.rewrite ? transaction.description : Array.isArray(match) ? rule.rewrite.replace(/\$(\d)/g, (_, group) => match[group] || '') : rule.rewrite;
+        return {
+          rule,
+          category: rule.category,
+          description
+        };
+      }
+      return null;
+    },
+    isUncategorized: (transaction) => !transaction.splits && (!transaction.category || transaction.category === FALLBACK_CATEGORY[transaction.type]),
+    // Applies the rules to uncategorized transactions only; everything else is returned unchanged.
+    applyToUncategorized: (rules, transactions) => transactions.map(transaction => {
+      if (!ruleService.isUncategorized(transaction)) return transaction;
+      const suggestion = ruleService.suggest(rules, transaction);
+      return suggestion ? { ...transaction,
+        category: suggestion.category,
+        description: suggestion.description
+      } : transaction;
+    }),
+    renameCategories: (rules, renames) => rules.map(rule => renames[rule.category] ? { ...rule,
+      category: renames[rule.category]
+    } : rule)
+  };
+
+  // --- Inlined Components ---
+
+  const VIEW_MONTH = 'month';
+  const VIEW_CALENDAR = 'calendar';
+  const VIEW_REPORTS = 'reports';
+  const VIEW_SEARCH = 'search';
+  // `undoLabel` and `redoLabel` describe the change each button would revert or repeat; null disables it.
+  const Header = ({ currentDate, onMonthChange, view, onViewChange, onUndo, onRedo, undoLabel, redoLabel }) => {
+    return React.createElement(
+      'header', {
+        className: 'mb-8 p-4 bg-gray-800/50 rounded-xl shadow-lg flex flex-col sm:flex-row justify-between items-center gap-4'
+      },
+      React.createElement('h1', {
+        className: 'text-2xl sm:text-3xl font-bold text-emerald-400 tracking-wider'
+      }, 'Monthly Budget Visualizer'),
+      React.createElement('div', {
+        className: 'flex space-x-2',
+        role: 'tablist'
+      }, [[VIEW_MONTH, 'Month'], [VIEW_CALENDAR, 'Calendar'], [VIEW_REPORTS, 'Reports'], [VIEW_SEARCH, 'Search']].map(([id, label]) => React.createElement('button', {
+        key: id,
+        type: 'button',
+        role: 'tab',
+        'aria-selected': view === id,
+        onClick: () => onViewChange(id),
+        className: `py-2 px-4 rounded-md font-semibold transition ${view === id ? 'bg-emerald-500 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'}`
+      }, label))),
+      React.createElement('div', {
+        className: 'flex space-x-2'
+      }, [['Undo', onUndo, undoLabel, 'Ctrl+Z'], ['Redo', onRedo, redoLabel, 'Ctrl+Shift+Z']].map(([label, onClick, change, shortcut]) => React.createElement('button', {
+        key: label,
+        type: 'button',
+        onClick,
+        disabled: !change,
+        title: change ? `${label}: ${change} (${shortcut})` : `Nothing to ${label.toLowerCase()}`,
+        className: 'py-2 px-3 rounded-md font-semibold bg-gray-700 text-gray-300 hover:bg-gray-600 transition disabled:opacity-40 disabled:cursor-not-allowed'
+      }, label))),
+      (view === VIEW_MONTH || view === VIEW_CALENDAR) && React.createElement('div', {
+        className: 'flex items-center space-x-4 bg-gray-700 p-2 rounded-lg'
+      }, React.createElement('button', {
+        onClick: () => onMonthChange('prev'),
+        className: 'p-2 rounded-md hover:bg-emerald-500 transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-emerald-400',
+        'aria-label': 'Previous month'
+      }, React.createElement('svg', {
+        xmlns: 'http://www.w3.org/2000/svg',
+        className: 'h-6 w-6',
+        fill: 'none',
+        viewBox: '0 0 24 24',
+        stroke: 'currentColor'
+      }, React.createElement('path', {
+        strokeLinecap: 'round',
+        strokeLinejoin: 'round',
+        strokeWidth: 2,
+        d: 'M15 19l-7-7 7-7'
+      }))), React.createElement('span', {
+        className: 'text-lg font-semibold w-36 text-center tabular-nums'
+      }, formatService.monthYear(currentDate)), React.createElement('button', {
+        onClick: () => onMonthChange('next'),
+        className: 'p-2 rounded-md hover:bg-emerald-500 transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-emerald-400',
+        'aria-label': 'Next month'
+      }, React.createElement('svg', {
+        xmlns: 'http://www.w3.org/2000/svg',
+        className: 'h-6 w-6',
+        fill: 'none',
+        viewBox: '0 0 24 24',
+        stroke: 'currentColor'
+      }, React.createElement('path', {
+        strokeLinecap: 'round',
+        strokeLinejoin: 'round',
+        strokeWidth: 2,
+        d: 'M9 5l7 7-7 7'
+      }))))
+    );
+  };
+
+  const StorageWarnings = ({ warnings, onDismiss }) => {
+    if (warnings.length === 0) return null;
+    return React.createElement('div', {
+      className: 'mb-8 p-4 bg-rose-900/40 border border-rose-500 rounded-xl flex justify-between items-start',
+      role: 'alert'
+    }, React.createElement('ul', {
+      className: 'space-y-1 text-sm text-rose-200'
+    }, warnings.map(warning => React.createElement('li', {
+      key: warning
+    }, warning))), React.createElement('button', {
+      onClick: onDismiss,
+      className: 'ml-4 text-sm text-rose-300 hover:text-white font-semibold',
+      'aria-label': 'Dismiss storage warnings'
+    }, 'Dismiss'));
+  };
+
+  const TOAST_DURATION_MS = 5000;
+  // `toast` is { id, message } or null; a new id restarts the timer.
+  const Toast = ({ toast, onDismiss }) => {
+    useEffect(() => {
+      if (!toast) return;
+      const timer = setTimeout(onDismiss, TOAST_DURATION_MS);
+      return () => clearTimeout(timer);
+    }, [toast && toast.id]);
+    if (!toast) return null;
+    return React.createElement('div', {
+      className: 'fixed bottom-6 left-1/2 -translate-x-1/2 z-50 flex items-center gap-4 py-3 px-5 bg-gray-700 text-gray-100 rounded-lg shadow-lg',
+      role: 'status'
+    }, React.createElement('span', null, toast.message), React.createElement('button', {
+      onClick: onDismiss,
+      className: 'text-sm text-gray-400 hover:text-white font-semibold',
+      'aria-label': 'Dismiss'
+    }, '×'));
+  };
+
+  const Summary = ({ transactions, budget, categories, currency, isZeroBased }) => {
+    const totalIncome = transactions.filter(t => t.type === TRANSACTION_TYPE_INCOME).reduce((sum, t) => sum + t.amount, 0);
+    const totalExpenses = transactions.filter(t => t.type === TRANSACTION_TYPE_EXPENSE).reduce((sum, t) => sum + t.amount, 0);
+    const balance = totalIncome - totalExpenses;
+    const totalBudgetedExpenses = categoryService.totalBudgeted(budget.expenseBudgets, categories);
+    const toBeAssigned = isZeroBased ? envelopeService.toBeAssigned(budget, totalIncome, categories) : 0;
+    return React.createElement(
+      'div', {
+        className: `grid grid-cols-1 ${isZeroBased ? 'md:grid-cols-2 xl:grid-cols-4' : 'md:grid-cols-3'} gap-6 mb-8`
+      },
+      React.createElement('div', {
+        className: 'bg-gray-800 p-6 rounded-xl shadow-lg text-center'
+      }, React.createElement('h3', {
+        className: 'text-lg font-medium text-gray-400 mb-2'
+      }, 'Income'), React.createElement('p', {
+        className: 'text-3xl font-bold text-emerald-400'
+      }, formatService.money(totalIncome, currency)), React.createElement('p', {
+        className: 'text-sm text-gray-500 mt-1'
+      }, isZeroBased ? 'Received this month' : `Budgeted: ${formatService.money(budget.incomeGoal, currency)}`)),
+      React.createElement('div', {
+        className: 'bg-gray-800 p-6 rounded-xl shadow-lg text-center'
+      }, React.createElement('h3', {
+        className: 'text-lg font-medium text-gray-400 mb-2'
+      }, 'Expenses'), React.createElement('p', {
+        className: 'text-3xl font-bold text-rose-400'
+      }, formatService.money(totalExpenses, currency)), React.createElement('p', {
+        className: 'text-sm text-gray-500 mt-1'
+      }, `Budgeted: ${formatService.money(totalBudgetedExpenses, currency)}`)),
+      React.createElement('div', {
+        className: 'bg-gray-800 p-6 rounded-xl shadow-lg text-center'
+      }, React.createElement('h3', {
+        className: 'text-lg font-medium text-gray-400 mb-2'
+      }, 'Actual Balance'), React.createElement('p', {
+        className: `text-3xl font-bold ${balance >= 0 ? 'text-gray-100' : 'text-rose-500'}`
+      }, formatService.money(balance, currency)), React.createElement('p', {
+        className: 'text-sm text-gray-500 mt-1 invisible'
+      }, 'Placeholder')),
+      isZeroBased && React.createElement('div', {
+        className: `bg-gray-800 p-6 rounded-xl shadow-lg text-center ${toBeAssigned < 0 ? 'ring-2 ring-rose-500' : ''}`
+      }, React.createElement('h3', {
+        className: 'text-lg font-medium text-gray-400 mb-2'
+      }, 'To Be Assigned'), React.createElement('p', {
+        className: `text-3xl font-bold ${toBeAssigned < 0 ? 'text-rose-500' : toBeAssigned > 0 ? 'text-yellow-400' : 'text-emerald-400'}`
+      }, formatService.money(toBeAssigned, currency)), React.createElement('p', {
+        className: `text-sm mt-1 ${toBeAssigned < 0 ? 'text-rose-400 font-semibold' : 'text-gray-500'}`,
+        role: 'status'
+      }, toBeAssigned < 0 ? `Over-assigned by ${formatService.money(-toBeAssigned, currency)}` : toBeAssigned > 0 ? 'Not planned yet: assign the rest' : 'Fully assigned: the month is planned'))
+    );
+  };
+
+  // <option>s for a category <select>, with sub-categories grouped under their parent.
+  const CategoryOptions = ({ categories, alsoInclude = [] }) => {
+    const selectable = categories.filter(c => !c.archived || alsoInclude.includes(c.name));
+    return categoryService.tree(selectable).map(({ category, children }) => children.length === 0 ? React.createElement('option', {
+      key: category.id,
+      value: category.name
+    }, category.name) : React.createElement('optgroup', {
+      key: category.id,
+      label: category.name
+    }, React.createElement('option', {
+      value: category.name
+    }, category.name), children.map(child => React.createElement('option', {
+      key: child.id,
+      value: child.name
+    }, child.name))));
+  };
+
+  const AccountOptions = ({ accounts, alsoInclude = [] }) => accounts.filter(a => !a.archived || alsoInclude.includes(a.id)).map(account => React.createElement('option', {
+    key: account.id,
+    value: account.id
+  }, account.name));
+
+  // Category lines of a split expense. `lines` are { category, amount } with the amount as typed.
+  const SplitEditor = ({ lines, onChange, categories, total, currency }) => {
+    const assigned = lines.reduce((sum, line) => sum + (parseFloat(line.amount) || 0), 0);
+    const remaining = currencyService.round((parseFloat(total) || 0) - assigned);
+    const updateLine = (index, changes) => onChange(lines.map((line, i) => i === index ? { ...line,
+      ...changes
+    } : line));
+    return React.createElement('div', {
+      className: 'space-y-2'
+    }, lines.map((line, index) => React.createElement('div', {
+      key: index,
+      className: 'flex space-x-2'
+    }, React.createElement('select', {
+      value: line.category,
+      onChange: (e) => updateLine(index, {
+        category: e.target.value
+      }),
+      'aria-label': `Category of line ${index + 1}`,
+      className: 'flex-1 bg-gray-700 border-gray-600 rounded-md p-2 text-gray-100 focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 outline-none transition'
+    }, React.createElement(CategoryOptions, {
+      categories: categories,
+      alsoInclude: [line.category]
+    })), React.createElement('input', {
+      type: 'number',
+      step: '0.01',
+      value: line.amount,
+      onChange: (e) => updateLine(index, {
+        amount: e.target.value
+      }),
+      'aria-label': `Amount of line ${index + 1}`,
+      className: 'w-28 bg-gray-700 border-gray-600 rounded-md p-2 text-gray-100 focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 outline-none transition'
+    }), React.createElement('button', {
+      type: 'button',
+      onClick: () => onChange(lines.filter((_, i) => i !== index)),
+      disabled: lines.length <= 2,
+      'aria-label': `Remove line ${index + 1}`,
+      className: 'px-2 text-gray-500 hover:text-rose-500 disabled:opacity-30 disabled:hover:text-gray-500'
+    }, '×'))), React.createElement('div', {
+      className: 'flex justify-between items-center text-sm'
+    }, React.createElement('button', {
+      type: 'button',
+      onClick: () => onChange([...lines, {
+        category: categoryService.activeNames(categories).find(name => !lines.some(line => line.category === name)) || FALLBACK_CATEGORY[TRANSACTION_TYPE_EXPENSE],
+        amount: remaining > 0 ? remaining.toString() : ''
+      }]),
+      className: 'text-sky-400 hover:text-sky-300 font-semibold'
+    }, 'Add line'), React.createElement('span', {
+      role: 'status',
+      className: remaining === 0 ? 'text-emerald-400' : 'text-amber-400'
+    }, remaining === 0 ? 'Lines add up to the total' : remaining > 0 ? `${formatService.money(remaining, currency)} unassigned` : `${formatService.money(-remaining, currency)} over the total`)));
+  };
+
+  // `defaultDate` (YYYY-MM-DD) is where the date picker starts, and it moves there again whenever the prop changes.
+  const TransactionForm = ({ onAddTransaction, defaultDate, categories, rules, rates, baseCurrency, accounts }) => {
+    const [description, setDescription] = useState('');
+    const [amount, setAmount] = useState('');
+    const [date, setDate] = useState(defaultDate);
+    const [currency, setCurrency] = useState(baseCurrency);
+    const [type, setType] = useState(TRANSACTION_TYPE_EXPENSE);
+    const [category, setCategory] = useState('Groceries');
+    const [accountId, setAccountId] = useState('');
+    const [toAccountId, setToAccountId] = useState('');
+    const [isRecurring, setIsRecurring] = useState(false);
+    const [isInstallments, setIsInstallments] = useState(false);
+    const [installmentCount, setInstallmentCount] = useState(3);
+    const [repeat, setRepeat] = useState('monthly');
+    const [monthInterval, setMonthInterval] = useState(2);
+    const [dayOfMonth, setDayOfMonth] = useState(fromDateKey(defaultDate).getDate());
+    const [until, setUntil] = useState('');
+    const [error, setError] = useState('');
+    const handleDateChange = (value) => {
+      setDate(value);
+      if (value) setDayOfMonth(fromDateKey(value).getDate());
+    };
+    useEffect(() => {
+      handleDateChange(defaultDate);
+    }, [defaultDate]);
+    const preset = RECURRENCE_PRESETS.find(p => p.id === repeat);
+    const typeCategories = categoryService.ofKind(categories, type);
+    const categoryNames = categoryService.activeNames(typeCategories);
+    const isTransfer = type === TRANSACTION_TYPE_TRANSFER;
+    useEffect(() => {
+      if (!isTransfer && !categoryNames.includes(category)) {
+        setCategory(categoryNames[0] || FALLBACK_CATEGORY[type]);
+      }
+    }, [categories, type]);
+    const activeAccountIds = accounts.filter(a => !a.archived).map(a => a.id);
+    useEffect(() => {
+      const nextFrom = activeAccountIds.includes(accountId) ? accountId : activeAccountIds[0] || '';
+      setAccountId(nextFrom);
+      if (!activeAccountIds.includes(toAccountId) || toAccountId === nextFrom) {
+        setToAccountId(activeAccountIds.find(id => id !== nextFrom) || '');
+      }
+    }, [accounts]);
+    const currencies = [baseCurrency, ...Object.keys(rates).filter(code => code !== baseCurrency).sort()];
+    useEffect(() => {
+      if (!currencies.includes(currency)) {
+        setCurrency(baseCurrency);
+      }
+    }, [rates, baseCurrency]);
+    const converted = currencyService.convert(parseFloat(amount) || 0, currency, rates, baseCurrency);
+    const suggestion = description.trim() && !isTransfer ? ruleService.suggest(rules, {
+      description,
+      amount: converted ? converted.amount : 0,
+      type
+    }) : null;
+    const hasNewSuggestion = suggestion && (suggestion.category !== category || suggestion.description !== description);
+    const handleUseSuggestion = () => {
+      setCategory(suggestion.category);
+      setDescription(suggestion.description);
+    };
+    const hasInstallments = isInstallments && !isTransfer;
+    const installmentAmounts = hasInstallments && parseFloat(amount) > 0 && installmentCount >= 2 ? installmentService.split(parseFloat(amount), installmentCount) : null;
+    const handleSubmit = (e) => {
+      e.preventDefault();
+      const numericAmount = parseFloat(amount);
+      if (!description || !numericAmount || numericAmount <= 0) {
+        setError('Please enter a valid description and positive amount.');
+        return;
+      }
+      if (!isDateKey(date)) {
+        setError('Please pick a date.');
+        return;
+      }
+      if (isRecurring && until && until < date) {
+        setError('The end date must not be before the first occurrence.');
+        return;
+      }
+      if (!converted) {
+        setError(`There is no exchange rate for ${currency}.`);
+        return;
+      }
+      if (isTransfer && (!toAccountId || toAccountId === accountId)) {
+        setError('A transfer needs two different accounts.');
+        return;
+      }
+      if (hasInstallments && !(installmentCount >= 2 && installmentCount <= 60)) {
+        setError('Installments must be between 2 and 60 payments.');
+        return;
+      }
+      setError('');
+      onAddTransaction({
+        description,
+        ...converted,
+        type,
+        category: isTransfer ? '' : category,
+        accountId,
+        toAccountId: isTransfer ? toAccountId : null,
+        date,
+      }, isRecurring ? {
+        frequency: preset.frequency,
+        interval: preset.interval || Math.max(1, monthInterval),
+        dayOfMonth: Math.min(Math.max(1, dayOfMonth), 31),
+        until
+      } : null, hasInstallments ? installmentCount : null);
+      setDescription('');
+      setAmount('');
+      setIsRecurring(false);
+      setIsInstallments(false);
+      setUntil('');
+    };
+    return React.createElement('div', {
+      className: 'bg-gray-800 p-6 rounded-xl shadow-lg h-full'
+    }, React.createElement('h2', {
+      className: 'text-xl font-semibold mb-4 text-emerald-400'
+    }, 'Add New Transaction'), React.createElement('form', {
+      onSubmit: handleSubmit,
+      className: 'space-y-4'
+    }, React.createElement('div', null, React.createElement('label', {
+      htmlFor: 'description',
+      className: 'block text-sm font-medium text-gray-300 mb-1'
+    }, 'Description'), React.createElement('input', {
+      id: 'description',
+      type: 'text',
+      value: description,
+      onChange: (e) => setDescription(e.target.value),
+      placeholder: 'e.g., Groceries',
+      className: 'w-full bg-gray-700 border-gray-600 rounded-md p-2 text-gray-100 focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 outline-none transition'
+    })), React.createElement('div', null, React.createElement('label', {
+      htmlFor: 'amount',
+      className: 'block text-sm font-medium text-gray-300 mb-1'
+    }, 'Amount'), React.createElement('div', {
+      className: 'flex space-x-2'
+    }, React.createElement('input', {
+      id: 'amount',
+      type: 'number',
+      value: amount,
+      onChange: (e) => setAmount(e.target.value),
+      placeholder: '0.00',
+      className: 'w-full bg-gray-700 border-gray-600 rounded-md p-2 text-gray-100 focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 outline-none transition'
+    }), React.createElement('select', {
+      id: 'currency',
+      value: currency,
+      onChange: (e) => setCurrency(e.target.value),
+      'aria-label': 'Currency',
+      className: 'bg-gray-700 border-gray-600 rounded-md p-2 text-gray-100 focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 outline-none transition'
+    }, currencies.map(code => React.createElement('option', {
+      key: code,
+      value: code
+    }, code)))), currency !== baseCurrency && converted && React.createElement('p', {
+      className: 'text-xs text-gray-400 mt-1'
+    }, `≈ ${formatService.money(converted.amount, baseCurrency)} at ${converted.rate}`)), React.createElement('div', null, React.createElement('label', {
+      htmlFor: 'date',
+      className: 'block text-sm font-medium text-gray-300 mb-1'
+    }, 'Date'), React.createElement('input', {
+      id: 'date',
+      type: 'date',
+      value: date,
+      onChange: (e) => handleDateChange(e.target.value),
+      className: 'w-full bg-gray-700 border-gray-600 rounded-md p-2 text-gray-100 focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 outline-none transition'
+    })), React.createElement('div', {
+      className: 'flex space-x-4'
+    }, React.createElement('div', {
+      className: 'flex-1'
+    }, React.createElement('input', {
+      type: 'radio',
+      id: 'expense',
+      name: 'type',
+      value: TRANSACTION_TYPE_EXPENSE,
+      checked: type === TRANSACTION_TYPE_EXPENSE,
+      onChange: () => setType(TRANSACTION_TYPE_EXPENSE),
+      className: 'hidden'
+    }), React.createElement('label', {
+      htmlFor: 'expense',
+      className: `block w-full text-center p-2 rounded-md cursor-pointer transition ${type === TRANSACTION_TYPE_EXPENSE ? 'bg-rose-500 text-white font-bold' : 'bg-gray-700 hover:bg-gray-600'}`
+    }, 'Expense')), React.createElement('div', {
+      className: 'flex-1'
+    }, React.createElement('input', {
+      type: 'radio',
+      id: 'income',
+      name: 'type',
+      value: TRANSACTION_TYPE_INCOME,
+      checked: type === TRANSACTION_TYPE_INCOME,
+      onChange: () => setType(TRANSACTION_TYPE_INCOME),
+      className: 'hidden'
+    }), React.createElement('label', {
+      htmlFor: 'income',
+      className: `block w-full text-center p-2 rounded-md cursor-pointer transition ${type === TRANSACTION_TYPE_INCOME ? 'bg-emerald-500 text-white font-bold' : 'bg-gray-700 hover:bg-gray-600'}`
+    }, 'Income')), React.createElement('div', {
+      className: 'flex-1'
+    }, React.createElement('input', {
+      type: 'radio',
+      id: 'transfer',
+      name: 'type',
+      value: TRANSACTION_TYPE_TRANSFER,
+      checked: isTransfer,
+      onChange: () => setType(TRANSACTION_TYPE_TRANSFER),
+      className: 'hidden'
+    }), React.createElement('label', {
+      htmlFor: 'transfer',
+      className: `block w-full text-center p-2 rounded-md cursor-pointer transition ${isTransfer ? 'bg-sky-500 text-white font-bold' : 'bg-gray-700 hover:bg-gray-600'}`
+    }, 'Transfer'))), React.createElement('div', {
+      className: 'flex space-x-4'
+    }, React.createElement('div', {
+      className: 'flex-1'
+    }, React.createElement('label', {
+      htmlFor: 'account',
+      className: 'block text-sm font-medium text-gray-300 mb-1'
+    }, isTransfer ? 'From account' : 'Account'), React.createElement('select', {
+      id: 'account',
+      value: accountId,
+      onChange: (e) => setAccountId(e.target.value),
+      className: 'w-full bg-gray-700 border-gray-600 rounded-md p-2 text-gray-100 focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 outline-none transition'
+    }, React.createElement(AccountOptions, {
+      accounts: accounts
+    }))), isTransfer && React.createElement('div', {
+      className: 'flex-1'
+    }, React.createElement('label', {
+      htmlFor: 'to-account',
+      className: 'block text-sm font-medium text-gray-300 mb-1'
+    }, 'To account'), React.createElement('select', {
+      id: 'to-account',
+      value: toAccountId,
+      onChange: (e) => setToAccountId(e.target.value),
+      className: 'w-full bg-gray-700 border-gray-600 rounded-md p-2 text-gray-100 focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 outline-none transition'
+    }, React.createElement(AccountOptions, {
+      accounts: accounts
+    })))), !isTransfer && React.createElement('div', null, React.createElement('label', {
+      htmlFor: 'category',
+      className: 'block text-sm font-medium text-gray-300 mb-1'
+    }, type === TRANSACTION_TYPE_INCOME ? 'Source' : 'Category'), React.createElement('select', {
+      id: 'category',
+      value: category,
+      onChange: (e) => setCategory(e.target.value),
+      className: 'w-full bg-gray-700 border-gray-600 rounded-md p-2 text-gray-100 focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 outline-none transition'
+    }, React.createElement(CategoryOptions, {
+      categories: typeCategories
+    })), hasNewSuggestion && React.createElement('div', {
+      className: 'flex justify-between items-center mt-2 p-2 bg-gray-700/50 rounded-md text-sm'
+    }, React.createElement('span', {
+      className: 'text-gray-300 truncate'
+    }, suggestion.description !== description ? `Rule suggests ${suggestion.category} · "${suggestion.description}"` : `Rule suggests ${suggestion.category}`), React.createElement('button', {
+      type: 'button',
+      onClick: handleUseSuggestion,
+      className: 'ml-2 text-sky-400 hover:text-sky-300 font-semibold'
+    }, 'Use'))), React.createElement('div', {
+      className: 'pt-2'
+    }, React.createElement('div', {
+      className: 'flex items-center'
+    }, React.createElement('input', {
+      type: 'checkbox',
+      id: 'recurring',
+      checked: isRecurring,
+      onChange: (e) => {
+        setIsRecurring(e.target.checked);
+        if (e.target.checked) setIsInstallments(false);
+      },
+      className: 'h-4 w-4 rounded bg-gray-700 border-gray-500 text-emerald-500 focus:ring-emerald-500'
+    }), React.createElement('label', {
+      htmlFor: 'recurring',
+      className: 'ml-2 text-sm font-medium text-gray-300'
+    }, 'Make this a recurring transaction')), isRecurring && React.createElement('div', {
+      className: 'mt-2 flex flex-wrap items-center gap-2 text-sm'
+    }, React.createElement('select', {
+      id: 'recurrence-repeat',
+      value: repeat,
+      onChange: (e) => setRepeat(e.target.value),
+      'aria-label': 'Repeat',
+      className: 'bg-gray-700 border-gray-600 rounded-md p-1 text-gray-100 focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 outline-none transition'
+    }, RECURRENCE_PRESETS.map(p => React.createElement('option', {
+      key: p.id,
+      value: p.id
+    }, p.label))), repeat === 'months' && React.createElement('input', {
+      type: 'number',
+      id: 'recurrence-interval',
+      min: '2',
+      value: monthInterval,
+      onChange: (e) => setMonthInterval(parseInt(e.target.value, 10) || 1),
+      'aria-label': 'Number of months',
+      className: 'w-16 bg-gray-700 border-gray-600 rounded-md p-1 text-center text-gray-100 focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 outline-none transition'
+    }), preset.frequency === RECURRENCE_MONTHLY && React.createElement('label', {
+      htmlFor: 'recurrence-day'
+    }, 'on day'), preset.frequency === RECURRENCE_MONTHLY && React.createElement('input', {
+      type: 'number',
+      id: 'recurrence-day',
+      min: '1',
+      max: '31',
+      value: dayOfMonth,
+      onChange: (e) => setDayOfMonth(parseInt(e.target.value, 10) || 1),
+      className: 'w-16 bg-gray-700 border-gray-600 rounded-md p-1 text-center text-gray-100 focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 outline-none transition'
+    }), React.createElement('label', {
+      htmlFor: 'recurrence-until'
+    }, 'until'), React.createElement('input', {
+      type: 'date',
+      id: 'recurrence-until',
+      value: until,
+      onChange: (e) => setUntil(e.target.value),
+      title: 'Leave empty to repeat indefinitely',
+      className: 'bg-gray-700 border-gray-600 rounded-md p-1 text-gray-100 focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 outline-none transition'
+    }))), !isTransfer && React.createElement('div', null, React.createElement('div', {
+      className: 'flex items-center'
+    }, React.createElement('input', {
+      type: 'checkbox',
+      id: 'installments',
+      checked: isInstallments,
+      onChange: (e) => {
+        setIsInstallments(e.target.checked);
+        if (e.target.checked) setIsRecurring(false);
+      },
+      className: 'h-4 w-4 rounded bg-gray-700 border-gray-500 text-emerald-500 focus:ring-emerald-500'
+    }), React.createElement('label', {
+      htmlFor: 'installments',
+      className: 'ml-2 text-sm font-medium text-gray-300'
+    }, 'Pay in installments')), isInstallments && React.createElement('div', {
+      className: 'mt-2 flex flex-wrap items-center gap-2 text-sm'
+    }, React.createElement('input', {
+      type: 'number',
+      id: 'installment-count',
+      min: '2',
+      max: '60',
+      value: installmentCount,
+      onChange: (e) => setInstallmentCount(parseInt(e.target.value, 10) || 0),
+      'aria-label': 'Number of payments',
+      className: 'w-16 bg-gray-700 border-gray-600 rounded-md p-1 text-center text-gray-100 focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 outline-none transition'
+    }), React.createElement('label', {
+      htmlFor: 'installment-count'
+    }, 'monthly payments'), installmentAmounts && React.createElement('span', {
+      className: 'text-gray-400'
+    }, installmentAmounts[0] === installmentAmounts[1] ? `${installmentCount} × ${formatService.money(installmentAmounts[1], currency)}` : `first ${formatService.money(installmentAmounts[0], currency)}, then ${installmentCount - 1} × ${formatService.money(installmentAmounts[1], currency)}`))), error && React.createElement('p', {
+      className: 'text-sm text-rose-400'
+    }, error), React.createElement('button', {
+      type: 'submit',
+      className: 'w-full bg-emerald-600 hover:bg-emerald-700 text-white font-bold py-2 px-4 rounded-md transition duration-300 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-offset-gray-800 focus:ring-emerald-500'
+    }, 'Add Transaction')));
+  };
+
+  // `runningBalances` (transaction id → balance), when given, shows an account's balance after each entry.
+  // Selection is kept by the caller: `onSelectionChange(ids, isSelected)`. Shift-clicking a checkbox applies the same
+  // state to every entry between it and the one clicked before.
+  const TransactionList = ({ title, transactions, onDelete, onEdit, type, currency, accounts, runningBalances, selectedIds, onSelectionChange }) => {
+    const lastClickedId = useRef(null);
+    const sorted = [...transactions].sort((a, b) => a.date.localeCompare(b.date));
+    const isAllSelected = sorted.length > 0 && sorted.every(t => selectedIds.includes(t.id));
+    const handleToggle = (transaction, shiftKey) => {
+      const isSelected = !selectedIds.includes(transaction.id);
+      const from = sorted.findIndex(t => t.id === lastClickedId.current);
+      const to = sorted.indexOf(transaction);
+      const ids = shiftKey && from >= 0 ? sorted.slice(Math.min(from, to), Math.max(from, to) + 1).map(t => t.id) : [transaction.id];
+      lastClickedId.current = transaction.id;
+      onSelectionChange(ids, isSelected);
+    };
+    const typeColor = type === TRANSACTION_TYPE_INCOME ? 'text-emerald-400' : type === TRANSACTION_TYPE_TRANSFER ? 'text-sky-400' : 'text-rose-400';
+    const details = (transaction) => {
+      if (transaction.type === TRANSACTION_TYPE_TRANSFER) {
+        return `${accountService.nameOf(accounts, transaction.accountId)} → ${accountService.nameOf(accounts, transaction.toAccountId)}`;
+      }
+      const statementDate = accountService.statementDate(accounts, transaction);
+      return [transaction.splits ? `Split: ${[...new Set(transaction.splits.map(split => split.category))].join(', ')}` : transaction.category, transaction.installmentId && `Payment ${transaction.installmentNumber}/${transaction.installmentCount}`, accounts.length > 1 && accountService.nameOf(accounts, transaction.accountId), statementDate && `Billed ${formatService.date(fromDateKey(statementDate))}`].filter(Boolean).join(' · ');
+    };
+    const TransactionItem = ({ transaction, onDelete, onEdit }) => React.createElement('li', {
+      className: `flex justify-between items-center p-3 rounded-lg group ${selectedIds.includes(transaction.id) ? 'bg-gray-700' : 'bg-gray-800'}`
+    }, React.createElement('div', {
+      className: 'flex items-center space-x-3'
+    }, React.createElement('input', {
+      type: 'checkbox',
+      checked: selectedIds.includes(transaction.id),
+      onChange: (e) => handleToggle(transaction, e.nativeEvent.shiftKey),
+      'aria-label': `Select ${transaction.description}`,
+      className: 'h-4 w-4 rounded bg-gray-700 border-gray-500 text-emerald-500 focus:ring-emerald-500'
+    }), React.createElement('div', null, React.createElement('p', {
+      className: 'font-medium text-gray-200'
+    }, transaction.description), details(transaction) && React.createElement('p', {
+      className: 'text-xs text-gray-400'
+    }, details(transaction)))), React.createElement('div', {
+      className: 'flex items-center space-x-2'
+    }, React.createElement('span', {
+      className: `font-semibold ${typeColor}`
+    }, formatService.money(transaction.amount, currency), transaction.currency !== currency && React.createElement('span', {
+      className: 'block text-xs font-normal text-gray-400 text-right'
+    }, formatService.money(transaction.originalAmount, transaction.currency)), runningBalances && transaction.id in runningBalances && React.createElement('span', {
+      className: 'block text-xs font-normal text-gray-500 text-right'
+    }, `Balance ${formatService.money(runningBalances[transaction.id], currency)}`)), React.createElement('div', {
+      className: 'flex items-center space-x-1 opacity-0 group-hover:opacity-100 transition-opacity'
+    }, React.createElement('button', {
+      onClick: () => onEdit(transaction),
+      className: 'p-1 text-gray-500 hover:text-sky-400 focus:outline-none focus:text-sky-400',
+      'aria-label': `Edit ${transaction.description}`
+    }, React.createElement('svg', {
+      xmlns: 'http://www.w3.org/2000/svg',
+      className: 'h-5 w-5',
+      fill: 'none',
+      viewBox: '0 0 24 24',
+      stroke: 'currentColor'
+    }, React.createElement('path', {
+      strokeLinecap: 'round',
+      strokeLinejoin: 'round',
+      strokeWidth: 2,
+      d: 'M15.232 5.232l3.536 3.536m-2.036-5.036a2.5 2.5 0 113.536 3.536L6.5 21.036H3v-3.5L16.732 3.732z'
+    }))), React.createElement('button', {
+      onClick: () => onDelete(transaction),
+      className: 'p-1 text-gray-500 hover:text-rose-500 focus:outline-none focus:text-rose-500',
+      'aria-label': `Delete ${transaction.description}`
+    }, React.createElement('svg', {
+      xmlns: 'http://www.w3.org/2000/svg',
+      className: 'h-5 w-5',
+      fill: 'none',
+      viewBox: '0 0 24 24',
+      stroke: 'currentColor'
+    }, React.createElement('path', {
+      strokeLinecap: 'round',
+      strokeLinejoin: 'round',
+      strokeWidth: 2,
+      d: 'M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16'
+    }))))));
+    return React.createElement('div', {
+      className: 'bg-gray-800 p-6 rounded-xl shadow-lg'
+    }, React.createElement('div', {
+      className: 'flex justify-between items-center mb-4'
+    }, React.createElement('h2', {
+      className: `text-xl font-semibold ${typeColor}`
+    }, title), sorted.length > 0 && React.createElement('label', {
+      className: 'flex items-center space-x-2 text-sm text-gray-400'
+    }, React.createElement('input', {
+      type: 'checkbox',
+      checked: isAllSelected,
+      onChange: () => onSelectionChange(sorted.map(t => t.id), !isAllSelected),
+      'aria-label': `Select all ${title.toLowerCase()}`,
+      className: 'h-4 w-4 rounded bg-gray-700 border-gray-500 text-emerald-500 focus:ring-emerald-500'
+    }), React.createElement('span', null, 'All'))), sorted.length > 0 ? React.createElement('ul', {
+      className: 'space-y-3 max-h-96 overflow-y-auto pr-2'
+    }, sorted.map(transaction => React.createElement(TransactionItem, {
+      key: transaction.id,
+      transaction: transaction,
+      onDelete: onDelete,
+      onEdit: onEdit
+    }))) : React.createElement('div', {
+      className: 'text-center py-10 text-gray-500'
+    }, React.createElement('p', null, `No ${title.toLowerCase()} recorded for this month.`)));
+  };
+
+  // Batch actions for the entries selected in the transaction lists. `onApply(change)` takes a bulkService change.
+  const BulkActions = ({ selected, categories, currency, onApply, onClear }) => {
+    const [category, setCategory] = useState('');
+    const [type, setType] = useState('');
+    const [days, setDays] = useState('1');
+    if (selected.length === 0) return null;
+    const kinds = [...new Set(selected.filter(t => t.type !== TRANSACTION_TYPE_TRANSFER).map(t => t.type))];
+    const total = currencyService.round(selected.reduce((sum, t) => sum + t.amount, 0));
+    const numericDays = parseInt(days, 10);
+    const fieldClassName = 'bg-gray-700 border-gray-600 rounded-md p-2 text-sm text-gray-100 focus:ring-2 focus:ring-emerald-500 outline-none disabled:opacity-50';
+    const buttonClassName = 'bg-gray-700 hover:bg-gray-600 text-sky-400 text-sm font-semibold py-2 px-3 rounded-md transition duration-300 disabled:opacity-50 disabled:cursor-not-allowed';
+    return React.createElement('div', {
+      className: 'sticky top-0 z-10 mb-8 p-4 bg-gray-800 border border-emerald-500/50 rounded-xl shadow-lg flex flex-wrap items-center gap-3',
+      role: 'region',
+      'aria-label': 'Bulk actions'
+    }, React.createElement('span', {
+      className: 'font-semibold text-gray-100'
+    }, `${selected.length} selected · ${formatService.money(total, currency)}`), React.createElement('div', {
+      className: 'flex items-center gap-2'
+    }, React.createElement('select', {
+      value: category,
+      onChange: (e) => setCategory(e.target.value),
+      disabled: kinds.length !== 1,
+      title: kinds.length !== 1 ? 'Select only income or only expenses to change their category' : undefined,
+      'aria-label': 'New category',
+      className: fieldClassName
+    }, React.createElement('option', {
+      value: ''
+    }, 'Category…'), kinds.length === 1 && React.createElement(CategoryOptions, {
+      categories: categoryService.ofKind(categories, kinds[0])
+    })), React.createElement('button', {
+      type: 'button',
+      onClick: () => onApply({
+        kind: BULK_CATEGORY,
+        category
+      }),
+      disabled: kinds.length !== 1 || !category,
+      className: buttonClassName
+    }, 'Set category')), React.createElement('div', {
+      className: 'flex items-center gap-2'
+    }, React.createElement('select', {
+      value: type,
+      onChange: (e) => setType(e.target.value),
+      disabled: kinds.length === 0,
+      'aria-label': 'New type',
+      className: fieldClassName
+    }, React.createElement('option', {
+      value: ''
+    }, 'Type…'), [TRANSACTION_TYPE_EXPENSE, TRANSACTION_TYPE_INCOME].map(option => React.createElement('option', {
+      key: option,
+      value: option
+    }, option))), React.createElement('button', {
+      type: 'button',
+      onClick: () => onApply({
+        kind: BULK_TYPE,
+        type
+      }),
+      disabled: kinds.length === 0 || !type,
+      className: buttonClassName
+    }, 'Set type')), React.createElement('div', {
+      className: 'flex items-center gap-2'
+    }, React.createElement('input', {
+      type: 'number',
+      value: days,
+      onChange: (e) => setDays(e.target.value),
+      step: '1',
+      'aria-label': 'Days to shift (negative for earlier)',
+      className: `${fieldClassName} w-20`
+    }), React.createElement('button', {
+      type: 'button',
+      onClick: () => onApply({
+        kind: BULK_SHIFT,
+        days: numericDays
+      }),
+      disabled: !numericDays,
+      className: buttonClassName
+    }, 'Shift dates')), React.createElement('button', {
+      type: 'button',
+      onClick: () => onApply({
+        kind: BULK_DETACH
+      }),
+      disabled: !selected.some(t => t.occurrenceKey),
+      title: 'Turn selected recurring occurrences into one-off entries',
+      className: buttonClassName
+    }, 'Detach from series'), React.createElement('button', {
+      type: 'button',
+      onClick: () => onApply({
+        kind: BULK_DELETE
+      }),
+      className: 'bg-rose-600 hover:bg-rose-700 text-white text-sm font-semibold py-2 px-3 rounded-md transition duration-300'
+    }, 'Delete'), React.createElement('button', {
+      type: 'button',
+      onClick: onClear,
+      className: 'ml-auto text-sm text-gray-400 hover:text-white font-semibold'
+    }, 'Clear selection'));
+  };
+
+  // Breakdown of one transaction type by category. `targets` ({ category: amount }) adds an actual-vs-target list.
+  const CategoryChart = ({ transactions, type, categories, currency, targets = {} }) => {
+    const [drillCategory, setDrillCategory] = useState(null);
+    const isIncome = type === TRANSACTION_TYPE_INCOME;
+    const title = isIncome ? 'Income Sources' : 'Expense Breakdown';
+    const categoryTotals = useMemo(() => categoryService.totalsByCategory(transactions), [transactions]);
+    const rolledUp = useMemo(() => categoryService.rollup(categoryTotals, categories), [categoryTotals, categories]);
+    const targetRows = Object.entries(targets).filter(([, target]) => target > 0).map(([name, target]) => ({
+      name,
+      target,
+      actual: categoryTotals[name] || 0
+    }));
+    // Top level shows parent totals; drilling into a parent shows its sub-categories.
+    const chartData = useMemo(() => {
+      const drilled = drillCategory && rolledUp[drillCategory];
+      const entries = drilled ? [...Object.entries(drilled.children).map(([name, value]) => ({
+        name,
+        value,
+        colorName: name
+      })), ...(drilled.own > 0 ? [{
+        name: `${drillCategory} (general)`,
+        value: drilled.own,
+        colorName: drillCategory
+      }] : [])] : Object.entries(rolledUp).map(([name, entry]) => ({
+        name,
+        value: entry.total,
+        colorName: name
+      }));
+      return entries.sort((a, b) => b.value - a.value);
+    }, [rolledUp, drillCategory]);
+    useEffect(() => {
+      if (drillCategory && !rolledUp[drillCategory]) {
+        setDrillCategory(null);
+      }
+    }, [rolledUp, drillCategory]);
+    const handleSliceClick = (entry) => {
+      if (!drillCategory && rolledUp[entry.name] && Object.keys(rolledUp[entry.name].children).length > 0) {
+        setDrillCategory(entry.name);
+      }
+    };
+    if (transactions.length === 0 && targetRows.length === 0) {
+      return React.createElement('div', {
+        className: 'bg-gray-800 p-6 rounded-xl shadow-lg h-full flex items-center justify-center'
+      }, React.createElement('div', {
+        className: 'text-center text-gray-500'
+      }, React.createElement('svg', {
+        xmlns: 'http://www.w3.org/2000/svg',
+        className: 'mx-auto h-12 w-12',
+        fill: 'none',
+        viewBox: '0 0 24 24',
+        stroke: 'currentColor'
+      }, React.createElement('path', {
+        strokeLinecap: 'round',
+        strokeLinejoin: 'round',
+        strokeWidth: 2,
+        d: 'M9 19v-6a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2a2 2 0 002-2zm0 0V9a2 2 0 012-2h2a2 2 0 012 2v10m-6 0a2 2 0 002 2h2a2 2 0 002-2m0 0V5a2 2 0 012-2h2a2 2 0 012 2v14a2 2 0 01-2 2h-2a2 2 0 01-2-2z'
+      })), React.createElement('p', {
+        className: 'mt-2'
+      }, `No ${isIncome ? 'income' : 'expense'} data to display chart.`)));
+    }
+    const CustomTooltip = ({ active, payload }) => {
+      if (active && payload && payload.length) {
+        return React.createElement('div', {
+          className: 'bg-gray-700 p-2 border border-gray-600 rounded-md shadow-lg'
+        }, React.createElement('p', {
+          className: 'label text-gray-200'
+        }, `${payload[0].name} : ${formatService.money(payload[0].value, currency)}`));
+      }
+      return null;
+    };
+    return React.createElement('div', {
+      className: 'bg-gray-800 p-6 rounded-xl shadow-lg h-full'
+    }, React.createElement('div', {
+      className: 'flex justify-between items-center mb-4'
+    }, React.createElement('h2', {
+      className: `text-xl font-semibold ${isIncome ? 'text-emerald-400' : 'text-rose-400'}`
+    }, drillCategory ? `${title}: ${drillCategory}` : title), drillCategory && React.createElement('button', {
+      onClick: () => setDrillCategory(null),
+      className: 'text-sm bg-gray-700 hover:bg-gray-600 text-sky-400 font-semibold py-1 px-3 rounded-md transition duration-300'
+    }, 'Back to all')), React.createElement('div', {
+      style: {
+        width: '100%',
+        height: 300
+      }
+    }, React.createElement(ResponsiveContainer, null, React.createElement(PieChart, null, React.createElement(Pie, {
+      data: chartData,
+      cx: '50%',
+      cy: '50%',
+      labelLine: false,
+      outerRadius: 80,
+      fill: '#8884d8',
+      dataKey: 'value',
+      nameKey: 'name',
+      onClick: handleSliceClick,
+      className: drillCategory ? '' : 'cursor-pointer'
+    }, chartData.map((entry, index) => React.createElement(Cell, {
+      key: `cell-${index}`,
+      fill: categoryService.colorOf(categories, entry.colorName, index)
+    }))), React.createElement(Tooltip, {
+      content: React.createElement(CustomTooltip, null)
+    }), React.createElement(Legend, {
+      layout: 'vertical',
+      align: 'right',
+      verticalAlign: 'middle',
+      iconSize: 10,
+      wrapperStyle: {
+        color: '#E5E7EB',
+        fontSize: '14px'
+      }
+    })))), targetRows.length > 0 && React.createElement('ul', {
+      className: 'mt-4 space-y-2'
+    }, targetRows.map(({ name, target, actual }) => React.createElement('li', {
+      key: name,
+      className: 'flex justify-between text-sm'
+    }, React.createElement('span', {
+      className: 'text-gray-300'
+    }, name), React.createElement('span', {
+      className: actual >= target ? 'text-emerald-400' : 'text-gray-400'
+    }, `${formatService.money(actual, currency)} / ${formatService.money(target, currency)}`)))));
+  };
+
+  const EditTransactionModal = ({ isOpen, onClose, transaction, onUpdateTransaction, categories, rates, baseCurrency, accounts, installmentPayments }) => {
+    const [description, setDescription] = useState('');
+    const [amount, setAmount] = useState('');
+    const [currency, setCurrency] = useState(baseCurrency);
+    const [rate, setRate] = useState('1');
+    const [type, setType] = useState(TRANSACTION_TYPE_EXPENSE);
+    const [category, setCategory] = useState('Groceries');
+    const [accountId, setAccountId] = useState('');
+    const [toAccountId, setToAccountId] = useState('');
+    const [date, setDate] = useState('');
+    const [splitLines, setSplitLines] = useState(null);
+    const [error, setError] = useState('');
+    useEffect(() => {
+      if (transaction) {
+        setDescription(transaction.description);
+        setAmount((transaction.installmentId ? transaction.installmentTotal : transaction.originalAmount).toString());
+        setCurrency(transaction.currency);
+        setRate(transaction.rate.toString());
+        setType(transaction.type);
+        setCategory(transaction.type === TRANSACTION_TYPE_TRANSFER ? '' : transaction.category || FALLBACK_CATEGORY[transaction.type]);
+        setAccountId(transaction.accountId);
+        setToAccountId(transaction.toAccountId || accounts.filter(a => !a.archived).map(a => a.id).find(id => id !== transaction.accountId) || '');
+        setDate(transaction.date);
+        setSplitLines(transaction.splits ? transaction.splits.map(split => ({
+          category: split.category,
+          amount: split.amount.toString()
+        })) : null);
+      }
+    }, [transaction]);
+    useEffect(() => {
+      const handleKeyDown = (e) => {
+        if (e.key === 'Escape') {
+          onClose();
+        }
+      };
+      if (isOpen) {
+        window.addEventListener('keydown', handleKeyDown);
+      }
+      return () => {
+        window.removeEventListener('keydown', handleKeyDown);
+      };
+    }, [isOpen, onClose]);
+    if (!isOpen || !transaction) return null;
+    // Switching type picks a category of the new kind; switching back restores the original one.
+    const handleTypeChange = (nextType) => {
+      setType(nextType);
+      if (nextType === TRANSACTION_TYPE_TRANSFER) {
+        setCategory('');
+        return;
+      }
+      setCategory(nextType === transaction.type && transaction.category ? transaction.category : categoryService.activeNames(categoryService.ofKind(categories, nextType))[0] || FALLBACK_CATEGORY[nextType]);
+    };
+    const isTransfer = type === TRANSACTION_TYPE_TRANSFER;
+    // The rate defaults to the one recorded with the entry, or to the rate table for another currency.
+    const handleCurrencyChange = (nextCurrency) => {
+      setCurrency(nextCurrency);
+      const nextRate = nextCurrency === transaction.currency ? transaction.rate : currencyService.rateOf(rates, nextCurrency, baseCurrency);
+      setRate(nextRate ? nextRate.toString() : '');
+    };
+    const currencies = [...new Set([baseCurrency, transaction.currency, ...Object.keys(rates)])];
+    // For an installment payment the amount field edits the purchase total; already charged payments stay as they are.
+    const isInstallment = !!transaction.installmentId;
+    const settledAmount = isInstallment ? installmentService.settledAmount(installmentPayments, new Date()) : 0;
+    // Only one-off expenses can be split; series and installments share a single category across entries.
+    const canSplit = type === TRANSACTION_TYPE_EXPENSE && !transaction.occurrenceKey && !isInstallment;
+    const isSplit = canSplit && splitLines !== null;
+    const expenseCategories = categoryService.ofKind(categories, TRANSACTION_TYPE_EXPENSE);
+    const handleStartSplit = () => {
+      setSplitLines([{
+        category,
+        amount: ''
+      }, {
+        category: categoryService.activeNames(expenseCategories).find(name => name !== category) || category,
+        amount: ''
+      }]);
+    };
+    const handleUpdate = (scope) => {
+      const numericAmount = parseFloat(amount);
+      const numericRate = currency === baseCurrency ? 1 : parseFloat(rate);
+      if (!description || !numericAmount || numericAmount <= 0) {
+        setError('Please enter a valid description and positive amount.');
+        return;
+      }
+      if (!isDateKey(date)) {
+        setError('Please pick a date.');
+        return;
+      }
+      if (!(numericRate > 0)) {
+        setError('Please enter a positive exchange rate.');
+        return;
+      }
+      if (isTransfer && (!toAccountId || toAccountId === accountId)) {
+        setError('A transfer needs two different accounts.');
+        return;
+      }
+      if (isInstallment && isTransfer) {
+        setError('Installment payments cannot be transfers.');
+        return;
+      }
+      if (isInstallment && numericAmount !== transaction.installmentTotal && numericAmount <= settledAmount) {
+        setError(`The total must be more than the ${formatService.money(settledAmount, transaction.currency)} already charged.`);
+        return;
+      }
+      const splits = isSplit ? splitLines.map(line => ({
+        category: line.category,
+        amount: parseFloat(line.amount)
+      })) : null;
+      if (splits && splits.some(split => !split.category || !(split.amount > 0))) {
+        setError('Every split line needs a category and a positive amount.');
+        return;
+      }
+      if (splits && !categoryService.isBalancedSplit(splits, numericAmount)) {
+        setError('The split lines must add up to the amount.');
+        return;
+      }
+      const originalAmount = isInstallment ? transaction.originalAmount : numericAmount;
+      const updated = { ...omit(transaction, ['splits']),
+        description,
+        amount: currencyService.round(originalAmount * numericRate),
+        currency,
+        originalAmount,
+        rate: numericRate,
+        ...(isInstallment && {
+          installmentTotal: numericAmount
+        }),
+        type,
+        category: splits ? splits[0].category : category,
+        accountId,
+        toAccountId: isTransfer ? toAccountId : null,
+        date,
+      };
+      onUpdateTransaction(splits ? { ...updated,
+        splits
+      } : updated, scope);
+      onClose();
+    };
+    const handleBackdropClick = (e) => {
+      if (e.target === e.currentTarget) {
+        onClose();
+      }
+    };
+    return React.createElement('div', {
+      className: 'fixed inset-0 bg-black bg-opacity-70 flex items-center justify-center z-50 transition-opacity',
+      onClick: handleBackdropClick,
+      role: 'dialog',
+      'aria-modal': 'true',
+      'aria-labelledby': 'edit-transaction-title'
+    }, React.createElement('div', {
+      className: 'bg-gray-800 p-6 rounded-xl shadow-lg w-full max-w-md m-4'
+    }, React.createElement('div', {
+      className: 'flex justify-between items-center mb-4'
+    }, React.createElement('h2', {
+      id: 'edit-transaction-title',
+      className: 'text-xl font-semibold text-emerald-400'
+    }, 'Edit Transaction'), React.createElement('button', {
+      onClick: onClose,
+      'aria-label': 'Close edit transaction modal',
+      className: 'text-gray-400 hover:text-gray-200'
+    }, React.createElement('svg', {
+      xmlns: 'http://www.w3.org/2000/svg',
+      className: 'h-6 w-6',
+      fill: 'none',
+      viewBox: '0 0 24 24',
+      stroke: 'currentColor'
+    }, React.createElement('path', {
+      strokeLinecap: 'round',
+      strokeLinejoin: 'round',
+      strokeWidth: 2,
+      d: 'M6 18L18 6M6 6l12 12'
+    })))), React.createElement('form', {
+      onSubmit: (e) => e.preventDefault(),
+      className: 'space-y-4'
+    }, React.createElement('div', null, React.createElement('label', {
+      htmlFor: 'edit-description',
+      className: 'block text-sm font-medium text-gray-300 mb-1'
+    }, 'Description'), React.createElement('input', {
+      id: 'edit-description',
+      type: 'text',
+      value: description,
+      onChange: (e) => setDescription(e.target.value),
+      className: 'w-full bg-gray-700 border-gray-600 rounded-md p-2 text-gray-100 focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 outline-none transition'
+    })), React.createElement('div', null, React.createElement('label', {
+      htmlFor: 'edit-amount',
+      className: 'block text-sm font-medium text-gray-300 mb-1'
+    }, isInstallment ? `Total of ${transaction.installmentCount} payments` : 'Amount'), React.createElement('div', {
+      className: 'flex space-x-2'
+    }, React.createElement('input', {
+      id: 'edit-amount',
+      type: 'number',
+      value: amount,
+      onChange: (e) => setAmount(e.target.value),
+      className: 'w-full bg-gray-700 border-gray-600 rounded-md p-2 text-gray-100 focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 outline-none transition'
+    }), React.createElement('select', {
+      id: 'edit-currency',
+      value: currency,
+      onChange: (e) => handleCurrencyChange(e.target.value),
+      'aria-label': 'Currency',
+      className: 'bg-gray-700 border-gray-600 rounded-md p-2 text-gray-100 focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 outline-none transition'
+    }, currencies.map(code => React.createElement('option', {
+      key: code,
+      value: code
+    }, code)))), isInstallment && React.createElement('p', {
+      className: 'mt-1 text-xs text-gray-400'
+    }, `Payment ${transaction.installmentNumber}/${transaction.installmentCount} is ${formatService.money(transaction.originalAmount, transaction.currency)}. ${formatService.money(settledAmount, transaction.currency)} already charged; a new total is spread over the remaining payments.`)), currency !== baseCurrency && React.createElement('div', null, React.createElement('label', {
+      htmlFor: 'edit-rate',
+      className: 'block text-sm font-medium text-gray-300 mb-1'
+    }, `Rate (${baseCurrency} per ${currency})`), React.createElement('input', {
+      id: 'edit-rate',
+      type: 'number',
+      step: 'any',
+      value: rate,
+      onChange: (e) => setRate(e.target.value),
+      className: 'w-full bg-gray-700 border-gray-600 rounded-md p-2 text-gray-100 focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 outline-none transition'
+    })), React.createElement('div', null, React.createElement('label', {
+      htmlFor: 'edit-date',
+      className: 'block text-sm font-medium text-gray-300 mb-1'
+    }, 'Date'), React.createElement('input', {
+      id: 'edit-date',
+      type: 'date',
+      value: date,
+      onChange: (e) => setDate(e.target.value),
+      className: 'w-full bg-gray-700 border-gray-600 rounded-md p-2 text-gray-100 focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 outline-none transition'
+    })), React.createElement('div', {
+      className: 'flex space-x-4'
+    }, React.createElement('div', {
+      className: 'flex-1'
+    }, React.createElement('input', {
+      type: 'radio',
+      id: 'edit-expense',
+      name: 'edit-type',
+      value: TRANSACTION_TYPE_EXPENSE,
+      checked: type === TRANSACTION_TYPE_EXPENSE,
+      onChange: () => handleTypeChange(TRANSACTION_TYPE_EXPENSE),
+      className: 'hidden'
+    }), React.createElement('label', {
+      htmlFor: 'edit-expense',
+      className: `block w-full text-center p-2 rounded-md cursor-pointer transition ${type === TRANSACTION_TYPE_EXPENSE ? 'bg-rose-500 text-white font-bold' : 'bg-gray-700 hover:bg-gray-600'}`
+    }, 'Expense')), React.createElement('div', {
+      className: 'flex-1'
+    }, React.createElement('input', {
+      type: 'radio',
+      id: 'edit-income',
+      name: 'edit-type',
+      value: TRANSACTION_TYPE_INCOME,
+      checked: type === TRANSACTION_TYPE_INCOME,
+      onChange: () => handleTypeChange(TRANSACTION_TYPE_INCOME),
+      className: 'hidden'
+    }), React.createElement('label', {
+      htmlFor: 'edit-income',
+      className: `block w-full text-center p-2 rounded-md cursor-pointer transition ${type === TRANSACTION_TYPE_INCOME ? 'bg-emerald-500 text-white font-bold' : 'bg-gray-700 hover:bg-gray-600'}`
+    }, 'Income')), React.createElement('div', {
+      className: 'flex-1'
+    }, React.createElement('input', {
+      type: 'radio',
+      id: 'edit-transfer',
+      name: 'edit-type',
+      value: TRANSACTION_TYPE_TRANSFER,
+      checked: isTransfer,
+      onChange: () => handleTypeChange(TRANSACTION_TYPE_TRANSFER),
+      className: 'hidden'
+    }), React.createElement('label', {
+      htmlFor: 'edit-transfer',
+      className: `block w-full text-center p-2 rounded-md cursor-pointer transition ${isTransfer ? 'bg-sky-500 text-white font-bold' : 'bg-gray-700 hover:bg-gray-600'}`
+    }, 'Transfer'))), React.createElement('div', {
+      className: 'flex space-x-4'
+    }, React.createElement('div', {
+      className: 'flex-1'
+    }, React.createElement('label', {
+      htmlFor: 'edit-account',
+      className: 'block text-sm font-medium text-gray-300 mb-1'
+    }, isTransfer ? 'From account' : 'Account'), React.createElement('select', {
+      id: 'edit-account',
+      value: accountId,
+      onChange: (e) => setAccountId(e.target.value),
+      className: 'w-full bg-gray-700 border-gray-600 rounded-md p-2 text-gray-100 focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 outline-none transition'
+    }, React.createElement(AccountOptions, {
+      accounts: accounts,
+      alsoInclude: [transaction.accountId]
+    }))), isTransfer && React.createElement('div', {
+      className: 'flex-1'
+    }, React.createElement('label', {
+      htmlFor: 'edit-to-account',
+      className: 'block text-sm font-medium text-gray-300 mb-1'
+    }, 'To account'), React.createElement('select', {
+      id: 'edit-to-account',
+      value: toAccountId,
+      onChange: (e) => setToAccountId(e.target.value),
+      className: 'w-full bg-gray-700 border-gray-600 rounded-md p-2 text-gray-100 focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 outline-none transition'
+    }, React.createElement(AccountOptions, {
+      accounts: accounts,
+      alsoInclude: [transaction.toAccountId]
+    })))), !isTransfer && React.createElement('div', null, React.createElement('div', {
+      className: 'flex justify-between items-center mb-1'
+    }, React.createElement('label', {
+      htmlFor: 'edit-category',
+      className: 'block text-sm font-medium text-gray-300'
+    }, type === TRANSACTION_TYPE_INCOME ? 'Source' : isSplit ? 'Split across categories' : 'Category'), canSplit && React.createElement('button', {
+      type: 'button',
+      onClick: isSplit ? () => setSplitLines(null) : handleStartSplit,
+      className: 'text-sm text-sky-400 hover:text-sky-300 font-semibold'
+    }, isSplit ? 'Remove split' : 'Split')), isSplit ? React.createElement(SplitEditor, {
+      lines: splitLines,
+      onChange: setSplitLines,
+      categories: expenseCategories,
+      total: amount,
+      currency: currency
+    }) : React.createElement('select', {
+      id: 'edit-category',
+      value: category,
+      onChange: (e) => setCategory(e.target.value),
+      className: 'w-full bg-gray-700 border-gray-600 rounded-md p-2 text-gray-100 focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 outline-none transition'
+    }, React.createElement(CategoryOptions, {
+      categories: categoryService.ofKind(categories, type),
+      alsoInclude: type === transaction.type ? [transaction.category] : []
+    }))), error && React.createElement('p', {
+      className: 'text-sm text-rose-400'
+    }, error), React.createElement('div', {
+      className: 'flex flex-col space-y-2 pt-2'
+    }, React.createElement('button', {
+      type: 'button',
+      onClick: () => handleUpdate('this'),
+      className: 'w-full bg-emerald-600 hover:bg-emerald-700 text-white font-bold py-2 px-4 rounded-md transition duration-300'
+    }, 'Save Changes to This Entry'), transaction.recurringId && React.createElement('button', {
+      type: 'button',
+      onClick: () => handleUpdate('future'),
+      className: 'w-full bg-sky-600 hover:bg-sky-700 text-white font-bold py-2 px-4 rounded-md transition duration-300'
+    }, 'Save for This & Future Entries'), React.createElement('button', {
+      type: 'button',
+      onClick: onClose,
+      className: 'w-full bg-gray-600 hover:bg-gray-500 text-white font-bold py-2 px-4 rounded-md transition duration-300'
+    }, 'Cancel')))));
+  };
+
+  // `receivedIncome` is set in zero-based mode, where it replaces the income goal as the money to plan with.
+  const BudgetSetup = ({ isOpen, onClose, onSave, initialBudget, previousBudget, categories, currency, receivedIncome = null }) => {
+    const [budget, setBudget] = useState(initialBudget);
+    const [recurring, setRecurring] = useState({});
+    useEffect(() => {
+      if (isOpen) {
+        const isInitialDefault = !initialBudget.recurring || Object.keys(initialBudget.recurring).length === 0;
+        if (isInitialDefault && previousBudget?.recurring) {
+          const newBudget = {
+            incomeGoal: previousBudget.recurring.incomeGoal ? previousBudget.incomeGoal : initialBudget.incomeGoal,
+            savingsGoal: previousBudget.recurring.savingsGoal ? previousBudget.savingsGoal : initialBudget.savingsGoal,
+            expenseBudgets: { ...initialBudget.expenseBudgets
+            },
+            incomeTargets: { ...initialBudget.incomeTargets
+            },
+            moves: { ...initialBudget.moves
+            }
+          };
+          if (previousBudget.recurring.expenseBudgets) {
+            for (const cat of Object.keys(previousBudget.recurring.expenseBudgets)) {
+              if (previousBudget.recurring.expenseBudgets[cat]) {
+                newBudget.expenseBudgets[cat] = previousBudget.expenseBudgets[cat];
+              }
+            }
+          }
+          if (previousBudget.recurring.incomeTargets) {
+            for (const source of Object.keys(previousBudget.recurring.incomeTargets)) {
+              if (previousBudget.recurring.incomeTargets[source]) {
+                newBudget.incomeTargets[source] = previousBudget.incomeTargets[source];
+              }
+            }
+          }
+          const carriedTargetTotal = Object.values(newBudget.incomeTargets).reduce((sum, amount) => sum + amount, 0);
+          if (carriedTargetTotal > 0) {
+            newBudget.incomeGoal = carriedTargetTotal;
+          }
+          setBudget(newBudget);
+          setRecurring(previousBudget.recurring);
+        } else {
+          setBudget(initialBudget);
+          setRecurring(initialBudget.recurring || {});
+        }
+      }
+    }, [isOpen, initialBudget, previousBudget]);
+    const isZeroBased = receivedIncome !== null;
+    const { totalExpenses, expensesPercent, savingsPercent, remainingAmount } = useMemo(() => {
+      const totalExpenses = categoryService.totalBudgeted(budget.expenseBudgets, categories);
+      const income = isZeroBased ? receivedIncome : budget.incomeGoal;
+      if (income <= 0) {
+        return {
+          totalExpenses,
+          expensesPercent: 0,
+          savingsPercent: 0,
+          remainingAmount: isZeroBased ? envelopeService.toBeAssigned(budget, income, categories) : 0
+        };
+      }
+      const expensesPercent = totalExpenses / income * 100;
+      const savingsPercent = budget.savingsGoal / income * 100;
+      const remainingAmount = isZeroBased ? envelopeService.toBeAssigned(budget, income, categories) : income - totalExpenses - budget.savingsGoal;
+      return {
+        totalExpenses,
+        expensesPercent,
+        savingsPercent,
+        remainingAmount
+      };
+    }, [budget, categories, isZeroBased, receivedIncome]);
+    const budgetedNames = Object.keys(budget.expenseBudgets).filter(name => budget.expenseBudgets[name] > 0);
+    const budgetRows = categoryService.tree(categoryService.ofKind(categories, TRANSACTION_TYPE_EXPENSE).filter(c => !c.archived || budgetedNames.includes(c.name))).flatMap(({ category, children }) => [{
+      name: category.name,
+      isChild: false,
+      childTotal: children.reduce((sum, child) => sum + (budget.expenseBudgets[child.name] || 0), 0)
+    }, ...children.map(child => ({
+      name: child.name,
+      isChild: true
+    }))]);
+    const totalPercent = expensesPercent + savingsPercent;
+    const remainingPercent = Math.max(0, 100 - totalPercent);
+    useEffect(() => {
+      const handleKeyDown = (e) => {
+        if (e.key === 'Escape') {
+          onClose();
+        }
+      };
+      if (isOpen) {
+        window.addEventListener('keydown', handleKeyDown);
+      }
+      return () => {
+        window.removeEventListener('keydown', handleKeyDown);
+      };
+    }, [isOpen, onClose]);
+    const handleInputChange = (e) => {
+      const { name, value } = e.target;
+      const numericValue = parseFloat(value) || 0;
+      if (name === 'incomeGoal' || name === 'savingsGoal') {
+        setBudget(prev => ({ ...prev,
+          [name]: numericValue
+        }));
+      } else {
+        setBudget(prev => ({ ...prev,
+          expenseBudgets: { ...prev.expenseBudgets,
+            [name]: numericValue
+          },
+        }));
+      }
+    };
+    // While any income source has a target, the income goal is the sum of the targets.
+    const handleIncomeTargetChange = (e) => {
+      const { value } = e.target;
+      const source = e.target.dataset.source;
+      setBudget(prev => {
+        const incomeTargets = { ...prev.incomeTargets,
+          [source]: parseFloat(value) || 0
+        };
+        const targetTotal = Object.values(incomeTargets).reduce((sum, amount) => sum + amount, 0);
+        return { ...prev,
+          incomeTargets,
+          incomeGoal: targetTotal > 0 ? targetTotal : prev.incomeGoal
+        };
+      });
+    };
+    const handleRecurringChange = (e, field, group = 'expenseBudgets') => {
+      const { checked } = e.target;
+      if (field === 'incomeGoal' || field === 'savingsGoal') {
+        setRecurring(prev => ({ ...prev,
+          [field]: checked
+        }));
+      } else {
+        setRecurring(prev => ({ ...prev,
+          [group]: { ...prev[group],
+            [field]: checked
+          }
+        }));
+      }
+    };
+    const incomeTargetTotal = Object.values(budget.incomeTargets).reduce((sum, amount) => sum + amount, 0);
+    const incomeSources = categoryService.ofKind(categories, TRANSACTION_TYPE_INCOME).filter(c => !c.archived || budget.incomeTargets[c.name] > 0).map(c => c.name);
+    const handleSave = () => {
+      onSave({ ...budget,
+        recurring
+      });
+      onClose();
+    };
+    const handleBackdropClick = (e) => {
+      if (e.target === e.currentTarget) {
+        onClose();
+      }
+    };
+    if (!isOpen) return null;
+    return React.createElement('div', {
+      className: 'fixed inset-0 bg-black bg-opacity-70 flex items-center justify-center z-50 transition-opacity',
+      onClick: handleBackdropClick,
+      role: 'dialog',
+      'aria-modal': 'true',
+      'aria-labelledby': 'budget-setup-title'
+    }, React.createElement('div', {
+      className: 'bg-gray-800 p-6 rounded-xl shadow-lg w-full max-w-2xl m-4'
+    }, React.createElement('div', {
+      className: 'flex justify-between items-center mb-4'
+    }, React.createElement('h2', {
+      id: 'budget-setup-title',
+      className: 'text-2xl font-semibold text-emerald-400'
+    }, 'Setup Monthly Budget'), React.createElement('button', {
+      onClick: onClose,
+      'aria-label': 'Close budget setup modal',
+      className: 'text-gray-400 hover:text-gray-200'
+    }, React.createElement('svg', {
+      xmlns: 'http://www.w3.org/2000/svg',
+      className: 'h-6 w-6',
+      fill: 'none',
+      viewBox: '0 0 24 24',
+      stroke: 'currentColor'
+    }, React.createElement('path', {
+      strokeLinecap: 'round',
+      strokeLinejoin: 'round',
+      strokeWidth: 2,
+      d: 'M6 18L18 6M6 6l12 12'
+    })))), React.createElement('div', {
+      className: 'bg-gray-700/50 p-4 rounded-lg mb-6'
+    }, React.createElement('h3', {
+      className: 'text-lg font-medium text-gray-300 mb-2'
+    }, isZeroBased ? `Assigning ${formatService.money(receivedIncome, currency, { whole: true })} received` : 'Budget Feasibility'), React.createElement('div', {
+      className: 'flex h-4 w-full bg-gray-600 rounded-full overflow-hidden mb-2',
+      role: 'meter',
+      'aria-valuenow': totalPercent,
+      'aria-valuemin': 0,
+      'aria-valuemax': 100
+    }, React.createElement('div', {
+      className: 'bg-rose-500 transition-all duration-300',
+      style: {
+        width: `${Math.min(expensesPercent, 100)}%`
+      },
+      title: 'Expenses'
+    }), React.createElement('div', {
+      className: 'bg-yellow-500 transition-all duration-300',
+      style: {
+        width: `${Math.min(savingsPercent, 100 - expensesPercent)}%`
+      },
+      title: 'Savings'
+    }), React.createElement('div', {
+      className: 'bg-emerald-500 transition-all duration-300',
+      style: {
+        width: `${remainingPercent}%`
+      },
+      title: isZeroBased ? 'To be assigned' : 'Remaining'
+    })), React.createElement('div', {
+      className: 'flex justify-between text-xs font-medium text-gray-400'
+    }, React.createElement('span', {
+      className: 'text-rose-400'
+    }, `Expenses: ${formatService.money(totalExpenses, currency, { whole: true })}`), React.createElement('span', {
+      className: 'text-yellow-400'
+    }, `Savings: ${formatService.money(budget.savingsGoal, currency, { whole: true })}`), React.createElement('span', {
+      className: 'text-emerald-400'
+    }, `${isZeroBased ? 'To be assigned' : 'Remaining'}: ${formatService.money(remainingAmount, currency, { whole: true })}`)), remainingAmount < 0 && React.createElement('p', {
+      className: 'text-center text-rose-400 text-sm mt-2 font-semibold'
+    }, isZeroBased ? 'Warning: You have assigned more than the income received this month.' : 'Warning: Your expenses and savings goal exceed your income goal.'), isZeroBased && remainingAmount > 0 && React.createElement('p', {
+      className: 'text-center text-yellow-400 text-sm mt-2'
+    }, 'The month is not planned until all of the income received is assigned.')), React.createElement('div', {
+      className: 'space-y-6 max-h-[60vh] overflow-y-auto pr-4'
+    }, React.createElement('div', {
+      className: 'grid grid-cols-1 md:grid-cols-2 gap-6'
+    }, React.createElement('div', {
+      className: 'flex items-end space-x-2'
+    }, React.createElement('div', {
+      className: 'flex-grow'
+    }, React.createElement('label', {
+      htmlFor: 'incomeGoal',
+      className: 'block text-sm font-medium text-gray-300 mb-1'
+    }, `Income Goal (${formatService.symbol(currency)})`), React.createElement('input', {
+      id: 'incomeGoal',
+      name: 'incomeGoal',
+      type: 'number',
+      value: budget.incomeGoal,
+      onChange: handleInputChange,
+      disabled: incomeTargetTotal > 0,
+      title: incomeTargetTotal > 0 ? 'Sum of the income source targets below' : undefined,
+      className: 'w-full bg-gray-700 rounded-md p-2 text-gray-100 focus:ring-2 focus:ring-emerald-500 disabled:opacity-60'
+    })), React.createElement('div', {
+      className: 'flex items-center pb-2 space-x-1',
+      title: 'Set as recurring'
+    }, React.createElement('input', {
+      id: 'recurring-income',
+      type: 'checkbox',
+      checked: !!recurring.incomeGoal,
+      onChange: e => handleRecurringChange(e, 'incomeGoal'),
+      className: 'h-4 w-4 rounded bg-gray-600 border-gray-500 text-emerald-500 focus:ring-emerald-500'
+    }), React.createElement('label', {
+      htmlFor: 'recurring-income',
+      className: 'text-xs text-gray-400 cursor-pointer'
+    }, 'Recur'))), React.createElement('div', {
+      className: 'flex items-end space-x-2'
+    }, React.createElement('div', {
+      className: 'flex-grow'
+    }, React.createElement('label', {
+      htmlFor: 'savingsGoal',
+      className: 'block text-sm font-medium text-gray-300 mb-1'
+    }, `Savings Goal (${formatService.symbol(currency)})`), React.createElement('input', {
+      id: 'savingsGoal',
+      name: 'savingsGoal',
+      type: 'number',
+      value: budget.savingsGoal,
+      onChange: handleInputChange,
+      className: 'w-full bg-gray-700 rounded-md p-2 text-gray-100 focus:ring-2 focus:ring-emerald-500'
+    })), React.createElement('div', {
+      className: 'flex items-center pb-2 space-x-1',
+      title: 'Set as recurring'
+    }, React.createElement('input', {
+      id: 'recurring-savings',
+      type: 'checkbox',
+      checked: !!recurring.savingsGoal,
+      onChange: e => handleRecurringChange(e, 'savingsGoal'),
+      className: 'h-4 w-4 rounded bg-gray-600 border-gray-500 text-emerald-500 focus:ring-emerald-500'
+    }), React.createElement('label', {
+      htmlFor: 'recurring-savings',
+      className: 'text-xs text-gray-400 cursor-pointer'
+    }, 'Recur')))), React.createElement('div', null, React.createElement('h3', {
+      className: 'text-xl font-semibold text-emerald-400 mb-1'
+    }, 'Income Sources'), React.createElement('p', {
+      className: 'text-xs text-gray-500 mb-4'
+    }, 'Optional per-source targets. When set, they add up to the income goal.'), React.createElement('div', {
+      className: 'grid grid-cols-1 md:grid-cols-2 gap-x-6 gap-y-4'
+    }, incomeSources.map(source => React.createElement('div', {
+      key: source,
+      className: 'flex items-end space-x-2'
+    }, React.createElement('div', {
+      className: 'flex-grow'
+    }, React.createElement('label', {
+      htmlFor: `income-target-${source}`,
+      className: 'block text-sm font-medium text-gray-300 mb-1'
+    }, `${source} (${formatService.symbol(currency)})`), React.createElement('input', {
+      id: `income-target-${source}`,
+      'data-source': source,
+      type: 'number',
+      value: budget.incomeTargets[source] || '',
+      onChange: handleIncomeTargetChange,
+      className: 'w-full bg-gray-700 rounded-md p-2 text-gray-100 focus:ring-2 focus:ring-emerald-500'
+    })), React.createElement('div', {
+      className: 'flex items-center pb-2 space-x-1',
+      title: `Set ${source} as recurring`
+    }, React.createElement('input', {
+      id: `recurring-income-${source}`,
+      type: 'checkbox',
+      checked: !!recurring.incomeTargets?.[source],
+      onChange: e => handleRecurringChange(e, source, 'incomeTargets'),
+      className: 'h-4 w-4 rounded bg-gray-600 border-gray-500 text-emerald-500 focus:ring-emerald-500'
+    }), React.createElement('label', {
+      htmlFor: `recurring-income-${source}`,
+      className: 'text-xs text-gray-400 cursor-pointer'
+    }, 'Recur')))))), React.createElement('div', null, React.createElement('h3', {
+      className: 'text-xl font-semibold text-yellow-400 mb-4'
+    }, 'Expense Budgets'), React.createElement('div', {
+      className: 'grid grid-cols-1 md:grid-cols-2 gap-x-6 gap-y-4'
+    }, budgetRows.map(({ name: category, isChild, childTotal }) => React.createElement('div', {
+      key: category,
+      className: `flex items-end space-x-2 ${isChild ? 'pl-6' : ''}`
+    }, React.createElement('div', {
+      className: 'flex-grow'
+    }, React.createElement('label', {
+      htmlFor: category,
+      className: `block text-sm font-medium mb-1 ${isChild ? 'text-gray-400' : 'text-gray-300'}`
+    }, `${isChild ? '↳ ' : ''}${category} (${formatService.symbol(currency)})`), React.createElement('input', {
+      id: category,
+      name: category,
+      type: 'number',
+      value: budget.expenseBudgets[category] || '',
+      placeholder: childTotal > 0 ? `${childTotal} from sub-categories` : '',
+      onChange: handleInputChange,
+      className: 'w-full bg-gray-700 rounded-md p-2 text-gray-100 focus:ring-2 focus:ring-emerald-500'
+    })), React.createElement('div', {
+      className: 'flex items-center pb-2 space-x-1',
+      title: `Set ${category} as recurring`
+    }, React.createElement('input', {
+      id: `recurring-${category}`,
+      type: 'checkbox',
+      checked: !!recurring.expenseBudgets?.[category],
+      onChange: e => handleRecurringChange(e, category),
+      className: 'h-4 w-4 rounded bg-gray-600 border-gray-500 text-emerald-500 focus:ring-emerald-500'
+    }), React.createElement('label', {
+      htmlFor: `recurring-${category}`,
+      className: 'text-xs text-gray-400 cursor-pointer'
+    }, 'Recur'))))))), React.createElement('div', {
+      className: 'flex justify-end space-x-4 mt-8'
+    }, React.createElement('button', {
+      type: 'button',
+      onClick: onClose,
+      className: 'bg-gray-600 hover:bg-gray-500 text-white font-bold py-2 px-6 rounded-md transition duration-300'
+    }, 'Cancel'), React.createElement('button', {
+      type: 'button',
+      onClick: handleSave,
+      className: 'bg-emerald-600 hover:bg-emerald-700 text-white font-bold py-2 px-6 rounded-md transition duration-300'
+    }, 'Save Budget'))));
+  };
+
+  const SavingsGoal = ({ budget, actualIncome, actualExpenses, currency }) => {
+    const currentSavings = actualIncome - actualExpenses;
+    const { savingsGoal } = budget;
+    const progress = savingsGoal > 0 ? Math.max(0, currentSavings / savingsGoal * 100) : 0;
+    const progressClamped = Math.min(progress, 100);
+    const getProgressColor = () => {
+      if (progress >= 100) return 'bg-emerald-500';
+      if (progress > 50) return 'bg-sky-500';
+      return 'bg-sky-600';
+    };
+    return React.createElement('div', {
+      className: 'bg-gray-800 p-6 rounded-xl shadow-lg'
+    }, React.createElement('h2', {
+      className: 'text-xl font-semibold mb-4 text-sky-400'
+    }, 'Monthly Savings Goal'), React.createElement('div', {
+      className: 'space-y-3'
+    }, React.createElement('div', {
+      className: 'flex justify-between items-baseline'
+    }, React.createElement('span', {
+      className: 'font-medium text-gray-200'
+    }, 'Current Savings:'), React.createElement('span', {
+      className: `text-2xl font-bold ${currentSavings >= 0 ? 'text-white' : 'text-rose-400'}`
+    }, formatService.money(currentSavings, currency))), React.createElement('div', {
+      className: 'flex justify-between items-baseline'
+    }, React.createElement('span', {
+      className: 'font-medium text-gray-400'
+    }, 'Goal:'), React.createElement('span', {
+      className: 'font-semibold text-gray-400'
+    }, formatService.money(savingsGoal, currency))), React.createElement('div', {
+      className: 'w-full bg-gray-700 rounded-full h-4'
+    }, React.createElement('div', {
+      className: `h-4 rounded-full transition-all duration-500 ${getProgressColor()}`,
+      style: {
+        width: `${progressClamped}%`
+      },
+      role: 'progressbar',
+      'aria-valuenow': progress,
+      'aria-valuemin': 0,
+      'aria-valuemax': 100,
+      'aria-label': 'Savings goal progress'
+    })), React.createElement('div', {
+      className: 'text-right text-sm font-semibold text-gray-300'
+    }, `${progress.toFixed(0)}% Complete`)));
+  };
+
+  // Balance of each account at the end of the shown month. Selecting an account filters the transaction lists.
+  const AccountBalances = ({ accounts, balances, changes, currency, selectedId, onSelect, onManage, onReconcile }) => {
+    const shown = accounts.filter(a => !a.archived || balances[a.id] !== 0);
+    const total = shown.reduce((sum, a) => sum + balances[a.id], 0);
+    const rowClassName = (isSelected) => `w-full flex justify-between items-center p-3 rounded-lg text-left transition ${isSelected ? 'bg-sky-900/50 ring-2 ring-sky-500' : 'bg-gray-700/50 hover:bg-gray-700'}`;
+    return React.createElement('div', {
+      className: 'bg-gray-800 p-6 rounded-xl shadow-lg mb-8'
+    }, React.createElement('div', {
+      className: 'flex justify-between items-center mb-4'
+    }, React.createElement('h2', {
+      className: 'text-xl font-semibold text-sky-400'
+    }, 'Accounts'), React.createElement('div', {
+      className: 'flex space-x-2'
+    }, accounts.some(a => a.kind === ACCOUNT_KIND_CREDIT) && React.createElement('button', {
+      onClick: onReconcile,
+      className: 'text-sm bg-gray-700 hover:bg-gray-600 text-sky-400 font-semibold py-1 px-3 rounded-md transition duration-300'
+    }, 'Reconcile'), React.createElement('button', {
+      onClick: onManage,
+      className: 'text-sm bg-gray-700 hover:bg-gray-600 text-sky-400 font-semibold py-1 px-3 rounded-md transition duration-300'
+    }, 'Manage'))), React.createElement('ul', {
+      className: 'grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-3'
+    }, React.createElement('li', null, React.createElement('button', {
+      type: 'button',
+      onClick: () => onSelect(''),
+      'aria-pressed': selectedId === '',
+      className: rowClassName(selectedId === '')
+    }, React.createElement('span', {
+      className: 'font-medium text-gray-200'
+    }, 'All accounts'), React.createElement('span', {
+      className: `font-semibold ${total < 0 ? 'text-rose-400' : 'text-gray-100'}`
+    }, formatService.money(total, currency)))), shown.map(account => React.createElement('li', {
+      key: account.id
+    }, React.createElement('button', {
+      type: 'button',
+      onClick: () => onSelect(account.id),
+      'aria-pressed': selectedId === account.id,
+      className: rowClassName(selectedId === account.id)
+    }, React.createElement('span', null, React.createElement('span', {
+      className: 'block font-medium text-gray-200'
+    }, account.name), React.createElement('span', {
+      className: 'block text-xs text-gray-400'
+    }, accountService.kindLabel(account.kind))), React.createElement('span', {
+      className: 'text-right'
+    }, React.createElement('span', {
+      className: `block font-semibold ${balances[account.id] < 0 ? 'text-rose-400' : 'text-gray-100'}`
+    }, formatService.money(balances[account.id], currency)), changes[account.id] !== 0 && React.createElement('span', {
+      className: `block text-xs ${changes[account.id] < 0 ? 'text-rose-400' : 'text-emerald-400'}`
+    }, `${changes[account.id] > 0 ? '+' : ''}${formatService.money(changes[account.id], currency)} this month`)))))));
+  };
+
+  const BudgetProgress = ({ expenses, budget, carriedIn, onEditBudget, onMoveMoney, categories, currency }) => {
+    const [expanded, setExpanded] = useState({});
+    const [move, setMove] = useState(null);
+    const [moveError, setMoveError] = useState('');
+    const ProgressBar = ({ value, max }) => {
+      const percentage = max > 0 ? value / max * 100 : value > 0 ? 100 : 0;
+      const clampedPercentage = Math.min(percentage, 100);
+      const getColor = () => {
+        if (percentage >= 90) return 'bg-rose-500';
+        if (percentage >= 75) return 'bg-yellow-500';
+        return 'bg-emerald-500';
+      };
+      return React.createElement('div', {
+        className: 'w-full bg-gray-700 rounded-full h-2.5'
+      }, React.createElement('div', {
+        className: `h-2.5 rounded-full transition-all duration-500 ${getColor()}`,
+        style: {
+          width: `${clampedPercentage}%`
+        },
+        role: 'progressbar',
+        'aria-valuenow': percentage,
+        'aria-valuemin': 0,
+        'aria-valuemax': 100
+      }));
+    };
+    const actualSpending = useMemo(() => categoryService.totalsByCategory(expenses), [expenses]);
+    const spendingByParent = categoryService.rollup(actualSpending, categories);
+    const budgetsByParent = categoryService.rollup(budget.expenseBudgets, categories);
+    const envelopes = envelopeService.summarize(budget, expenses, categories, carriedIn);
+    const fundsOf = (envelope) => envelope.carriedIn + envelope.budgeted + envelope.moved;
+    const rollsOver = (name) => categories.some(c => c.name === name && c.rollover);
+    const budgetedCategories = Object.entries(envelopes).filter(([, envelope]) => envelope.budgeted > 0 || envelope.carriedIn !== 0 || envelope.moved !== 0).sort(([, a], [, b]) => fundsOf(b) - fundsOf(a));
+    const envelopeNames = [...new Set([...budgetedCategories.map(([name]) => name), ...categoryService.activeNames(categoryService.ofKind(categories, TRANSACTION_TYPE_EXPENSE).filter(c => !c.parentId))])];
+    const handleStartMove = () => {
+      setMove({
+        from: envelopeNames[0] || '',
+        to: envelopeNames[1] || '',
+        amount: ''
+      });
+      setMoveError('');
+    };
+    const handleMove = (e) => {
+      e.preventDefault();
+      const amount = parseFloat(move.amount);
+      if (!move.from || !move.to || move.from === move.to) {
+        setMoveError('Choose two different categories.');
+        return;
+      }
+      if (!(amount > 0)) {
+        setMoveError('Please enter a positive amount.');
+        return;
+      }
+      onMoveMoney(move.from, move.to, amount);
+      setMove(null);
+    };
+    // Sub-category lines under a parent: every child with a budget or spending, plus spending booked on the parent itself.
+    const childRows = (parent) => {
+      const spending = spendingByParent[parent] || { own: 0, children: {} };
+      const budgeted = budgetsByParent[parent] || { children: {} };
+      const names = [...new Set([...Object.keys(budgeted.children), ...Object.keys(spending.children)])];
+      const rows = names.map(name => ({
+        label: name,
+        spent: spending.children[name] || 0,
+        budgeted: budgeted.children[name] || 0
+      }));
+      if (rows.length > 0 && spending.own > 0) {
+        rows.push({
+          label: `${parent} (general)`,
+          spent: spending.own,
+          budgeted: 0
+        });
+      }
+      return rows;
+    };
+    return React.createElement('div', {
+      className: 'bg-gray-800 p-6 rounded-xl shadow-lg h-full'
+    }, React.createElement('div', {
+      className: 'flex justify-between items-center mb-4'
+    }, React.createElement('h2', {
+      className: 'text-xl font-semibold text-yellow-400'
+    }, 'Budget Progress'), React.createElement('div', {
+      className: 'flex space-x-2'
+    }, React.createElement('button', {
+      onClick: move ? () => setMove(null) : handleStartMove,
+      className: 'text-sm bg-gray-700 hover:bg-gray-600 text-sky-400 font-semibold py-1 px-3 rounded-md transition duration-300',
+      'aria-expanded': !!move
+    }, 'Move money'), React.createElement('button', {
+      onClick: onEditBudget,
+      className: 'text-sm bg-gray-700 hover:bg-gray-600 text-sky-400 font-semibold py-1 px-3 rounded-md transition duration-300 flex items-center space-x-2',
+      'aria-label': 'Edit budget'
+    }, React.createElement('svg', {
+      xmlns: 'http://www.w3.org/2000/svg',
+      className: 'h-4 w-4',
+      fill: 'none',
+      viewBox: '0 0 24 24',
+      stroke: 'currentColor'
+    }, React.createElement('path', {
+      strokeLinecap: 'round',
+      strokeLinejoin: 'round',
+      strokeWidth: 2,
+      d: 'M15.232 5.232l3.536 3.536m-2.036-5.036a2.5 2.5 0 113.536 3.536L6.5 21.036H3v-3.5L16.732 3.732z'
+    })), React.createElement('span', null, 'Edit')))), move && React.createElement('form', {
+      onSubmit: handleMove,
+      className: 'mb-4 p-3 bg-gray-700/50 rounded-lg space-y-2 text-sm'
+    }, React.createElement('div', {
+      className: 'flex flex-wrap items-center gap-2'
+    }, React.createElement('input', {
+      type: 'number',
+      step: '0.01',
+      value: move.amount,
+      onChange: (e) => setMove({ ...move,
+        amount: e.target.value
+      }),
+      'aria-label': 'Amount to move',
+      className: 'w-24 bg-gray-700 border-gray-600 rounded-md p-1 text-gray-100 focus:ring-2 focus:ring-emerald-500 outline-none'
+    }), React.createElement('label', {
+      htmlFor: 'move-from'
+    }, 'from'), React.createElement('select', {
+      id: 'move-from',
+      value: move.from,
+      onChange: (e) => setMove({ ...move,
+        from: e.target.value
+      }),
+      className: 'bg-gray-700 border-gray-600 rounded-md p-1 text-gray-100 focus:ring-2 focus:ring-emerald-500 outline-none'
+    }, envelopeNames.map(name => React.createElement('option', {
+      key: name,
+      value: name
+    }, envelopes[name] ? `${name} (${formatService.money(envelopes[name].available, currency, { whole: true })})` : name))), React.createElement('label', {
+      htmlFor: 'move-to'
+    }, 'to'), React.createElement('select', {
+      id: 'move-to',
+      value: move.to,
+      onChange: (e) => setMove({ ...move,
+        to: e.target.value
+      }),
+      className: 'bg-gray-700 border-gray-600 rounded-md p-1 text-gray-100 focus:ring-2 focus:ring-emerald-500 outline-none'
+    }, envelopeNames.map(name => React.createElement('option', {
+      key: name,
+      value: name
+    }, name))), React.createElement('button', {
+      type: 'submit',
+      className: 'bg-sky-600 hover:bg-sky-700 text-white font-semibold py-1 px-3 rounded-md transition duration-300'
+    }, 'Move')), moveError && React.createElement('p', {
+      className: 'text-rose-400'
+    }, moveError)), React.createElement('div', {
+      className: 'space-y-4 max-h-[380px] overflow-y-auto pr-2'
+    }, budgetedCategories.length > 0 ? budgetedCategories.map(([category, envelope]) => {
+      const spentAmount = envelope.spent;
+      const budgetedAmount = fundsOf(envelope);
+      const children = childRows(category);
+      const isExpanded = !!expanded[category];
+      return React.createElement('div', {
+        key: category
+      }, React.createElement('div', {
+        className: 'flex justify-between items-center mb-1 text-sm'
+      }, children.length > 0 ? React.createElement('button', {
+        type: 'button',
+        onClick: () => setExpanded(prev => ({ ...prev,
+          [category]: !prev[category]
+        })),
+        'aria-expanded': isExpanded,
+        className: 'font-medium text-gray-300 hover:text-sky-400'
+      }, `${isExpanded ? '▾' : '▸'} ${category}`) : React.createElement('span', {
+        className: 'font-medium text-gray-300'
+      }, category), React.createElement('span', {
+        className: 'text-gray-400'
+      }, React.createElement('span', {
+        className: spentAmount > budgetedAmount ? 'text-rose-400 font-bold' : 'text-gray-300'
+      }, formatService.money(spentAmount, currency, { whole: true })), ` / ${formatService.money(budgetedAmount, currency, { whole: true })}`)), React.createElement(ProgressBar, {
+        value: spentAmount,
+        max: budgetedAmount
+      }), (rollsOver(category) || envelope.carriedIn !== 0 || envelope.moved !== 0) && React.createElement('div', {
+        className: 'flex justify-between mt-1 text-xs text-gray-500'
+      }, React.createElement('span', null, [envelope.carriedIn !== 0 && `Carried in ${formatService.money(envelope.carriedIn, currency, { whole: true })}`, `Budgeted ${formatService.money(envelope.budgeted, currency, { whole: true })}`, envelope.moved !== 0 && `Moved ${envelope.moved > 0 ? '+' : ''}${formatService.money(envelope.moved, currency, { whole: true })}`].filter(Boolean).join(' · ')), React.createElement('span', {
+        className: envelope.available < 0 ? 'text-rose-400 font-semibold' : 'text-emerald-400'
+      }, `Available ${formatService.money(envelope.available, currency, { whole: true })}`)), isExpanded && React.createElement('div', {
+        className: 'mt-2 ml-4 pl-3 border-l border-gray-700 space-y-2'
+      }, children.map(child => React.createElement('div', {
+        key: child.label
+      }, React.createElement('div', {
+        className: 'flex justify-between items-center mb-1 text-xs'
+      }, React.createElement('span', {
+        className: 'text-gray-400'
+      }, child.label), React.createElement('span', {
+        className: 'text-gray-500'
+      }, React.createElement('span', {
+        className: child.budgeted > 0 && child.spent > child.budgeted ? 'text-rose-400 font-bold' : 'text-gray-300'
+      }, formatService.money(child.spent, currency, { whole: true })), child.budgeted > 0 ? ` / ${formatService.money(child.budgeted, currency, { whole: true })}` : '')), child.budgeted > 0 && React.createElement(ProgressBar, {
+        value: child.spent,
+        max: child.budgeted
+      })))));
+    }) : React.createElement('div', {
+      className: 'text-center py-10 text-gray-500'
+    }, React.createElement('p', null, 'No expense budgets set for this month.'))));
+  };
+
+  const CsvImportModal = ({ isOpen, onClose, onImport, categories, rules, rates, baseCurrency, accounts }) => {
+    const activeAccounts = accounts.filter(a => !a.archived);
+    const [rows, setRows] = useState([]);
+    const [fileName, setFileName] = useState('');
+    const [hasHeader, setHasHeader] = useState(true);
+    const [mapping, setMapping] = useState({});
+    const [positiveType, setPositiveType] = useState(TRANSACTION_TYPE_INCOME);
+    const [accountId, setAccountId] = useState('');
+    const [error, setError] = useState('');
+    useEffect(() => {
+      if (!isOpen) {
+        setRows([]);
+        setFileName('');
+        setMapping({});
+        setError('');
+      } else if (!activeAccounts.some(a => a.id === accountId)) {
+        setAccountId(activeAccounts.length > 0 ? activeAccounts[0].id : '');
+      }
+    }, [isOpen, accounts]);
+    useEffect(() => {
+      const handleKeyDown = (e) => {
+        if (e.key === 'Escape') {
+          onClose();
+        }
+      };
+      if (isOpen) {
+        window.addEventListener('keydown', handleKeyDown);
+      }
+      return () => {
+        window.removeEventListener('keydown', handleKeyDown);
+      };
+    }, [isOpen, onClose]);
+    const headers = rows.length > 0 ? (hasHeader ? rows[0] : rows[0].map((_, index) => `Column ${index + 1}`)) : [];
+    const results = useMemo(() => {
+      const dataRows = hasHeader ? rows.slice(1) : rows;
+      // Rows the file leaves uncategorized go through the categorization rules.
+      return csvImportService.buildTransactions(dataRows, mapping, {
+        positiveType,
+        categories,
+        rates,
+        baseCurrency,
+        accountId
+      }).map(result => result.transaction ? { ...result,
+        transaction: ruleService.applyToUncategorized(rules, [result.transaction])[0]
+      } : result);
+    }, [rows, hasHeader, mapping, positiveType, categories, rules, rates, baseCurrency, accountId]);
+    const validTransactions = results.filter(result => result.transaction).map(result => result.transaction);
+    if (!isOpen) return null;
+    const handleFileChange = (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+      file.text().then(text => {
+        const parsedRows = csvImportService.parseCsv(text);
+        if (parsedRows.length === 0) {
+          setError('The selected file contains no rows.');
+          return;
+        }
+        setError('');
+        setFileName(file.name);
+        setRows(parsedRows);
+        setMapping(csvImportService.guessMapping(parsedRows[0]));
+      }).catch(readError => {
+        console.error('Error reading CSV file:', readError);
+        setError('Could not read the selected file.');
+      });
+    };
+    const handleImport = () => {
+      onImport(validTransactions);
+      onClose();
+    };
+    const handleBackdropClick = (e) => {
+      if (e.target === e.currentTarget) {
+        onClose();
+      }
+    };
+    return React.createElement('div', {
+      className: 'fixed inset-0 bg-black bg-opacity-70 flex items-center justify-center z-50 transition-opacity',
+      onClick: handleBackdropClick,
+      role: 'dialog',
+      'aria-modal': 'true',
+      'aria-labelledby': 'csv-import-title'
+    }, React.createElement('div', {
+      className: 'bg-gray-800 p-6 rounded-xl shadow-lg w-full max-w-4xl m-4'
+    }, React.createElement('div', {
+      className: 'flex justify-between items-center mb-4'
+    }, React.createElement('h2', {
+      id: 'csv-import-title',
+      className: 'text-2xl font-semibold text-emerald-400'
+    }, 'Import Transactions from CSV'), React.createElement('button', {
+      onClick: onClose,
+      'aria-label': 'Close CSV import modal',
+      className: 'text-gray-400 hover:text-gray-200'
+    }, React.createElement('svg', {
+      xmlns: 'http://www.w3.org/2000/svg',
+      className: 'h-6 w-6',
+      fill: 'none',
+      viewBox: '0 0 24 24',
+      stroke: 'currentColor'
+    }, React.createElement('path', {
+      strokeLinecap: 'round',
+      strokeLinejoin: 'round',
+      strokeWidth: 2,
+      d: 'M6 18L18 6M6 6l12 12'
+    })))), React.createElement('div', {
+      className: 'space-y-4'
+    }, React.createElement('div', null, React.createElement('label', {
+      htmlFor: 'csv-file',
+      className: 'block text-sm font-medium text-gray-300 mb-1'
+    }, 'Bank or credit-card statement (CSV)'), React.createElement('input', {
+      id: 'csv-file',
+      type: 'file',
+      accept: '.csv,text/csv',
+      onChange: handleFileChange,
+      className: 'w-full text-sm text-gray-300 file:mr-4 file:py-2 file:px-4 file:rounded-md file:border-0 file:bg-gray-700 file:text-sky-400 hover:file:bg-gray-600'
+    }), fileName && React.createElement('p', {
+      className: 'text-xs text-gray-500 mt-1'
+    }, `${fileName}: ${rows.length} rows`)), rows.length > 0 && React.createElement('div', {
+      className: 'bg-gray-700/50 p-4 rounded-lg space-y-4'
+    }, React.createElement('div', {
+      className: 'grid grid-cols-2 md:grid-cols-3 gap-4'
+    }, CSV_IMPORT_FIELDS.map(field => React.createElement('div', {
+      key: field
+    }, React.createElement('label', {
+      htmlFor: `csv-map-${field}`,
+      className: 'block text-xs font-medium text-gray-400 mb-1 capitalize'
+    }, field), React.createElement('select', {
+      id: `csv-map-${field}`,
+      value: mapping[field] === undefined ? '' : mapping[field],
+      onChange: (e) => setMapping(prev => ({ ...prev,
+        [field]: e.target.value === '' ? '' : parseInt(e.target.value, 10)
+      })),
+      className: 'w-full bg-gray-700 border-gray-600 rounded-md p-2 text-sm text-gray-100 focus:ring-2 focus:ring-emerald-500 outline-none'
+    }, React.createElement('option', {
+      value: ''
+    }, '— Not mapped —'), headers.map((header, index) => React.createElement('option', {
+      key: index,
+      value: index
+    }, header || `Column ${index + 1}`)))))), React.createElement('div', {
+      className: 'flex flex-wrap items-center gap-6 text-sm text-gray-300'
+    }, React.createElement('label', {
+      className: 'flex items-center space-x-2 cursor-pointer'
+    }, React.createElement('input', {
+      type: 'checkbox',
+      checked: hasHeader,
+      onChange: (e) => setHasHeader(e.target.checked),
+      className: 'h-4 w-4 rounded bg-gray-600 border-gray-500 text-emerald-500 focus:ring-emerald-500'
+    }), React.createElement('span', null, 'First row is a header')), React.createElement('label', {
+      className: 'flex items-center space-x-2'
+    }, React.createElement('span', null, 'Positive amounts are'), React.createElement('select', {
+      value: positiveType,
+      onChange: (e) => setPositiveType(e.target.value),
+      className: 'bg-gray-700 border-gray-600 rounded-md p-1 text-gray-100 focus:ring-2 focus:ring-emerald-500 outline-none'
+    }, React.createElement('option', {
+      value: TRANSACTION_TYPE_INCOME
+    }, 'Income (bank account)'), React.createElement('option', {
+      value: TRANSACTION_TYPE_EXPENSE
+    }, 'Expenses (credit card)'))), React.createElement('label', {
+      className: 'flex items-center space-x-2'
+    }, React.createElement('span', null, 'Import into'), React.createElement('select', {
+      value: accountId,
+      onChange: (e) => setAccountId(e.target.value),
+      'aria-label': 'Import into account',
+      className: 'bg-gray-700 border-gray-600 rounded-md p-1 text-gray-100 focus:ring-2 focus:ring-emerald-500 outline-none'
+    }, React.createElement(AccountOptions, {
+      accounts: accounts
+    }))))), rows.length > 0 && React.createElement('div', {
+      className: 'max-h-[40vh] overflow-y-auto'
+    }, React.createElement('table', {
+      className: 'w-full text-sm text-left'
+    }, React.createElement('thead', {
+      className: 'text-xs text-gray-400 uppercase sticky top-0 bg-gray-800'
+    }, React.createElement('tr', null, ['Date', 'Description', 'Type', 'Category', 'Amount'].map(heading => React.createElement('th', {
+      key: heading,
+      className: 'py-2 pr-4'
+    }, heading)))), React.createElement('tbody', null, results.map((result, index) => result.transaction ? React.createElement('tr', {
+      key: index,
+      className: 'border-t border-gray-700'
+    }, React.createElement('td', {
+      className: 'py-2 pr-4 tabular-nums'
+    }, formatService.date(result.transaction.date)), React.createElement('td', {
+      className: 'py-2 pr-4 text-gray-200'
+    }, result.transaction.description), React.createElement('td', {
+      className: `py-2 pr-4 ${result.transaction.type === TRANSACTION_TYPE_INCOME ? 'text-emerald-400' : 'text-rose-400'}`
+    }, result.transaction.type), React.createElement('td', {
+      className: 'py-2 pr-4 text-gray-400'
+    }, result.transaction.category || '—'), React.createElement('td', {
+      className: 'py-2 pr-4 tabular-nums'
+    }, formatService.money(result.transaction.amount, baseCurrency), result.transaction.currency !== baseCurrency && React.createElement('span', {
+      className: 'block text-xs text-gray-500'
+    }, formatService.money(result.transaction.originalAmount, result.transaction.currency)))) : React.createElement('tr', {
+      key: index,
+      className: 'border-t border-gray-700 text-rose-400'
+    }, React.createElement('td', {
+      colSpan: 5,
+      className: 'py-2 pr-4'
+    }, `Row skipped: ${result.error} (${result.row.join(', ')})`)))))), error && React.createElement('p', {
+      className: 'text-sm text-rose-400'
+    }, error)), React.createElement('div', {
+      className: 'flex justify-end items-center space-x-4 mt-6'
+    }, rows.length > 0 && React.createElement('span', {
+      className: 'text-sm text-gray-400'
+    }, `${validTransactions.length} of ${results.length} rows ready to import`), React.createElement('button', {
+      type: 'button',
+      onClick: onClose,
+      className: 'bg-gray-600 hover:bg-gray-500 text-white font-bold py-2 px-6 rounded-md transition duration-300'
+    }, 'Cancel'), React.createElement('button', {
+      type: 'button',
+      onClick: handleImport,
+      disabled: validTransactions.length === 0,
+      className: 'bg-emerald-600 hover:bg-emerald-700 disabled:opacity-50 disabled:cursor-not-allowed text-white font-bold py-2 px-6 rounded-md transition duration-300'
+    }, 'Import Transactions'))));
+  };
+
+  const TransactionSummary = ({ label, transaction, currency }) => React.createElement('div', {
+    className: 'flex justify-between items-center text-sm'
+  }, React.createElement('div', null, React.createElement('span', {
+    className: 'text-xs uppercase text-gray-500 mr-2'
+  }, label), React.createElement('span', {
+    className: 'text-gray-200'
+  }, transaction.description), React.createElement('span', {
+    className: 'text-xs text-gray-400 ml-2'
+  }, [formatService.date(transaction.date), transaction.category, transaction.recurringId && 'Recurring'].filter(Boolean).join(' · '))), React.createElement('span', {
+    className: `font-semibold tabular-nums ${transaction.type === TRANSACTION_TYPE_INCOME ? 'text-emerald-400' : 'text-rose-400'}`
+  }, formatService.money(transaction.amount, currency)));
+
+  const DuplicateReviewModal = ({ pending, onResolve, onCancel, currency }) => {
+    const [decisions, setDecisions] = useState({});
+    useEffect(() => {
+      if (pending) {
+        setDecisions(Object.fromEntries(pending.flagged.map(({ transaction }) => [transaction.id, 'merge'])));
+      }
+    }, [pending]);
+    useEffect(() => {
+      const handleKeyDown = (e) => {
+        if (e.key === 'Escape') {
+          onCancel();
+        }
+      };
+      if (pending) {
+        window.addEventListener('keydown', handleKeyDown);
+      }
+      return () => {
+        window.removeEventListener('keydown', handleKeyDown);
+      };
+    }, [pending, onCancel]);
+    if (!pending) return null;
+    const totalCount = pending.flagged.length + pending.clean.length;
+    const DECISION_LABELS = {
+      merge: 'Merge',
+      keep: 'Keep both',
+      discard: 'Discard new'
+    };
+    return React.createElement('div', {
+      className: 'fixed inset-0 bg-black bg-opacity-70 flex items-center justify-center z-50 transition-opacity',
+      role: 'dialog',
+      'aria-modal': 'true',
+      'aria-labelledby': 'duplicate-review-title'
+    }, React.createElement('div', {
+      className: 'bg-gray-800 p-6 rounded-xl shadow-lg w-full max-w-3xl m-4'
+    }, React.createElement('h2', {
+      id: 'duplicate-review-title',
+      className: 'text-2xl font-semibold text-yellow-400 mb-2'
+    }, 'Review Possible Duplicates'), React.createElement('p', {
+      className: 'text-sm text-gray-400 mb-4'
+    }, `${pending.flagged.length} of ${totalCount} new transactions look like ones you already have${pending.flagged.some(({ inBatch }) => inBatch) ? ' or ones added with them' : ''}.`), React.createElement('ul', {
+      className: 'space-y-3 max-h-[60vh] overflow-y-auto pr-2'
+    }, pending.flagged.map(({ transaction, match, inBatch }) => React.createElement('li', {
+      key: transaction.id,
+      className: 'bg-gray-700/50 p-3 rounded-lg space-y-2'
+    }, React.createElement(TransactionSummary, {
+      label: 'New',
+      transaction: transaction,
+      currency: currency
+    }), React.createElement(TransactionSummary, {
+      label: inBatch ? 'Also new' : 'Existing',
+      transaction: match,
+      currency: currency
+    }), React.createElement('div', {
+      className: 'flex space-x-2 pt-1'
+    }, Object.entries(DECISION_LABELS).map(([decision, label]) => React.createElement('button', {
+      key: decision,
+      type: 'button',
+      onClick: () => setDecisions(prev => ({ ...prev,
+        [transaction.id]: decision
+      })),
+      className: `flex-1 text-sm py-1 px-2 rounded-md transition ${decisions[transaction.id] === decision ? 'bg-sky-600 text-white font-bold' : 'bg-gray-700 hover:bg-gray-600 text-gray-300'}`
+    }, label)))))), React.createElement('div', {
+      className: 'flex justify-end space-x-4 mt-6'
+    }, React.createElement('button', {
+      type: 'button',
+      onClick: onCancel,
+      className: 'bg-gray-600 hover:bg-gray-500 text-white font-bold py-2 px-6 rounded-md transition duration-300'
+    }, 'Cancel'), React.createElement('button', {
+      type: 'button',
+      onClick: () => onResolve(decisions),
+      className: 'bg-emerald-600 hover:bg-emerald-700 text-white font-bold py-2 px-6 rounded-md transition duration-300'
+    }, 'Apply'))));
+  };
+
+  const BackupModal = ({ isOpen, onClose, data, onRestore }) => {
+    const [incoming, setIncoming] = useState(null);
+    const [fileName, setFileName] = useState('');
+    const [mode, setMode] = useState(BACKUP_MODE_MERGE);
+    const [error, setError] = useState('');
+    useEffect(() => {
+      if (!isOpen) {
+        setIncoming(null);
+        setFileName('');
+        setMode(BACKUP_MODE_MERGE);
+        setError('');
+      }
+    }, [isOpen]);
+    useEffect(() => {
+      const handleKeyDown = (e) => {
+        if (e.key === 'Escape') {
+          onClose();
+        }
+      };
+      if (isOpen) {
+        window.addEventListener('keydown', handleKeyDown);
+      }
+      return () => {
+        window.removeEventListener('keydown', handleKeyDown);
+      };
+    }, [isOpen, onClose]);
+    const { summary, summaryError } = useMemo(() => {
+      try {
+        return {
+          summary: incoming ? backupService.diff(data, incoming, mode) : null
+        };
+      } catch (diffError) {
+        return {
+          summary: null,
+          summaryError: diffError.message
+        };
+      }
+    }, [data, incoming, mode]);
+    if (!isOpen) return null;
+    const handleFileChange = (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+      setIncoming(null);
+      setFileName(file.name);
+      file.text().then(text => {
+        setIncoming(backupService.validate(JSON.parse(text)));
+        setError('');
+      }).catch(restoreError => {
+        setError(restoreError instanceof SyntaxError ? 'The selected file is not valid JSON.' : restoreError.message);
+      });
+    };
+    const handleRestore = () => {
+      onRestore(backupService.restore(data, incoming, mode));
+      onClose();
+    };
+    const handleBackdropClick = (e) => {
+      if (e.target === e.currentTarget) {
+        onClose();
+      }
+    };
+    const SUMMARY_ROWS = [
+      ['transactions', 'Transactions'],
+      ['budgets', 'Monthly budgets'],
+      ['categories', 'Categories'],
+      ['rules', 'Category rules'],
+      ['recurrences', 'Recurring series'],
+      ['rates', 'Exchange rates'],
+      ['accounts', 'Accounts'],
+      ['statements', 'Card statements'],
+      ['savedSearches', 'Saved searches'],
+      ['settings', 'Settings']
+    ];
+    return React.createElement('div', {
+      className: 'fixed inset-0 bg-black bg-opacity-70 flex items-center justify-center z-50 transition-opacity',
+      onClick: handleBackdropClick,
+      role: 'dialog',
+      'aria-modal': 'true',
+      'aria-labelledby': 'backup-title'
+    }, React.createElement('div', {
+      className: 'bg-gray-800 p-6 rounded-xl shadow-lg w-full max-w-2xl m-4'
+    }, React.createElement('div', {
+      className: 'flex justify-between items-center mb-4'
+    }, React.createElement('h2', {
+      id: 'backup-title',
+      className: 'text-2xl font-semibold text-emerald-400'
+    }, 'Backup & Restore'), React.createElement('button', {
+      onClick: onClose,
+      'aria-label': 'Close backup modal',
+      className: 'text-gray-400 hover:text-gray-200'
+    }, React.createElement('svg', {
+      xmlns: 'http://www.w3.org/2000/svg',
+      className: 'h-6 w-6',
+      fill: 'none',
+      viewBox: '0 0 24 24',
+      stroke: 'currentColor'
+    }, React.createElement('path', {
+      strokeLinecap: 'round',
+      strokeLinejoin: 'round',
+      strokeWidth: 2,
+      d: 'M6 18L18 6M6 6l12 12'
+    })))), React.createElement('div', {
+      className: 'bg-gray-700/50 p-4 rounded-lg mb-6 flex justify-between items-center'
+    }, React.createElement('div', null, React.createElement('h3', {
+      className: 'text-lg font-medium text-gray-300'
+    }, 'Export'), React.createElement('p', {
+      className: 'text-sm text-gray-400'
+    }, `${data.transactions.length} transactions and ${Object.keys(data.budgets).length} monthly budgets`)), React.createElement('button', {
+      type: 'button',
+      onClick: () => backupService.download(backupService.createBackup(data)),
+      className: 'bg-sky-600 hover:bg-sky-700 text-white font-bold py-2 px-6 rounded-md transition duration-300'
+    }, 'Download Backup')), React.createElement('div', {
+      className: 'bg-gray-700/50 p-4 rounded-lg space-y-4'
+    }, React.createElement('h3', {
+      className: 'text-lg font-medium text-gray-300'
+    }, 'Restore'), React.createElement('input', {
+      id: 'backup-file',
+      type: 'file',
+      accept: '.json,application/json',
+      onChange: handleFileChange,
+      'aria-label': 'Backup file',
+      className: 'w-full text-sm text-gray-300 file:mr-4 file:py-2 file:px-4 file:rounded-md file:border-0 file:bg-gray-700 file:text-sky-400 hover:file:bg-gray-600'
+    }), error && React.createElement('p', {
+      className: 'text-sm text-rose-400'
+    }, `${fileName}: ${error}`), incoming && React.createElement('div', {
+      className: 'space-y-4'
+    }, React.createElement('div', {
+      className: 'flex space-x-4'
+    }, [[BACKUP_MODE_MERGE, 'Merge by id'], [BACKUP_MODE_REPLACE, 'Replace everything']].map(([value, label]) => React.createElement('button', {
+      key: value,
+      type: 'button',
+      onClick: () => setMode(value),
+      className: `flex-1 text-center p-2 rounded-md transition ${mode === value ? 'bg-sky-600 text-white font-bold' : 'bg-gray-700 hover:bg-gray-600'}`
+    }, label))), summaryError && React.createElement('p', {
+      className: 'text-sm text-rose-400'
+    }, summaryError), summary && React.createElement('table', {
+      className: 'w-full text-sm text-left'
+    }, React.createElement('thead', {
+      className: 'text-xs text-gray-400 uppercase'
+    }, React.createElement('tr', null, ['', 'Added', 'Updated', 'Removed', 'Unchanged'].map(heading => React.createElement('th', {
+      key: heading,
+      className: 'py-1 pr-4'
+    }, heading)))), React.createElement('tbody', null, SUMMARY_ROWS.map(([key, label]) => React.createElement('tr', {
+      key: key,
+      className: 'border-t border-gray-700 tabular-nums'
+    }, React.createElement('td', {
+      className: 'py-1 pr-4 text-gray-300'
+    }, label), React.createElement('td', {
+      className: 'py-1 pr-4 text-emerald-400'
+    }, summary[key].added), React.createElement('td', {
+      className: 'py-1 pr-4 text-sky-400'
+    }, summary[key].updated), React.createElement('td', {
+      className: 'py-1 pr-4 text-rose-400'
+    }, summary[key].removed), React.createElement('td', {
+      className: 'py-1 pr-4 text-gray-500'
+    }, summary[key].unchanged))))), mode === BACKUP_MODE_REPLACE && React.createElement('p', {
+      className: 'text-sm text-rose-400 font-semibold'
+    }, 'Replacing discards all current data that is not in the backup.'))), React.createElement('div', {
+      className: 'flex justify-end space-x-4 mt-6'
+    }, React.createElement('button', {
+      type: 'button',
+      onClick: onClose,
+      className: 'bg-gray-600 hover:bg-gray-500 text-white font-bold py-2 px-6 rounded-md transition duration-300'
+    }, 'Cancel'), React.createElement('button', {
+      type: 'button',
+      onClick: handleRestore,
+      disabled: !summary,
+      className: 'bg-emerald-600 hover:bg-emerald-700 disabled:opacity-50 disabled:cursor-not-allowed text-white font-bold py-2 px-6 rounded-md transition duration-300'
+    }, 'Restore Backup'))));
+  };
+
+  const CategoryManager = ({ isOpen, onClose, categories, onSave }) => {
+    const [draft, setDraft] = useState([]);
+    const [kind, setKind] = useState(TRANSACTION_TYPE_EXPENSE);
+    const [newName, setNewName] = useState('');
+    const [error, setError] = useState('');
+    useEffect(() => {
+      if (isOpen) {
+        setDraft(categories);
+        setKind(TRANSACTION_TYPE_EXPENSE);
+        setNewName('');
+        setError('');
+      }
+    }, [isOpen, categories]);
+    useEffect(() => {
+      const handleKeyDown = (e) => {
+        if (e.key === 'Escape') {
+          onClose();
+        }
+      };
+      if (isOpen) {
+        window.addEventListener('keydown', handleKeyDown);
+      }
+      return () => {
+        window.removeEventListener('keydown', handleKeyDown);
+      };
+    }, [isOpen, onClose]);
+    if (!isOpen) return null;
+    const isNameTaken = (name, exceptId) => draft.some(c => c.id !== exceptId && c.name.trim().toLowerCase() === name.trim().toLowerCase());
+    const updateCategory = (id, changes) => {
+      setDraft(prev => prev.map(c => c.id === id ? { ...c,
+        ...changes
+      } : c));
+    };
+    // Swaps a category with its previous (-1) or next (+1) sibling of the same kind under the same parent.
+    const moveCategory = (id, offset) => {
+      setDraft(prev => {
+        const category = prev.find(c => c.id === id);
+        const siblings = categoryService.ofKind(prev, category.kind).filter(c => (c.parentId || null) === (category.parentId || null));
+        const neighbor = siblings[siblings.indexOf(category) + offset];
+        if (!neighbor) return prev;
+        return prev.map(c => c.id === id ? neighbor : c.id === neighbor.id ? category : c);
+      });
+    };
+    const kindDraft = categoryService.ofKind(draft, kind);
+    const rows = categoryService.tree(kindDraft).flatMap(({ category, children }) => [{
+      category,
+      isChild: false,
+      hasChildren: children.length > 0,
+      siblings: kindDraft.filter(c => !c.parentId)
+    }, ...children.map(child => ({
+      category: child,
+      isChild: true,
+      hasChildren: false,
+      siblings: children
+    }))]);
+    const parentOptions = kindDraft.filter(c => !c.parentId);
+    const handleAdd = (e) => {
+      e.preventDefault();
+      const name = newName.trim();
+      if (!name || isNameTaken(name)) {
+        setError(name ? `A category named "${name}" already exists.` : 'Please enter a category name.');
+        return;
+      }
+      setError('');
+      setDraft(prev => [...prev, categoryService.createCategory(name, prev.length, kind)]);
+      setNewName('');
+    };
+    const handleSave = () => {
+      const invalid = draft.find(c => !c.name.trim() || isNameTaken(c.name, c.id));
+      if (invalid) {
+        setError(invalid.name.trim() ? `Category names must be unique ("${invalid.name.trim()}").` : 'Category names cannot be empty.');
+        return;
+      }
+      onSave(draft.map(c => ({ ...c,
+        name: c.name.trim()
+      })));
+      onClose();
+    };
+    const handleBackdropClick = (e) => {
+      if (e.target === e.currentTarget) {
+        onClose();
+      }
+    };
+    return React.createElement('div', {
+      className: 'fixed inset-0 bg-black bg-opacity-70 flex items-center justify-center z-50 transition-opacity',
+      onClick: handleBackdropClick,
+      role: 'dialog',
+      'aria-modal': 'true',
+      'aria-labelledby': 'category-manager-title'
+    }, React.createElement('div', {
+      className: 'bg-gray-800 p-6 rounded-xl shadow-lg w-full max-w-xl m-4'
+    }, React.createElement('div', {
+      className: 'flex justify-between items-center mb-4'
+    }, React.createElement('h2', {
+      id: 'category-manager-title',
+      className: 'text-2xl font-semibold text-emerald-400'
+    }, 'Categories'), React.createElement('button', {
+      onClick: onClose,
+      'aria-label': 'Close category manager',
+      className: 'text-gray-400 hover:text-gray-200'
+    }, React.createElement('svg', {
+      xmlns: 'http://www.w3.org/2000/svg',
+      className: 'h-6 w-6',
+      fill: 'none',
+      viewBox: '0 0 24 24',
+      stroke: 'currentColor'
+    }, React.createElement('path', {
+      strokeLinecap: 'round',
+      strokeLinejoin: 'round',
+      strokeWidth: 2,
+      d: 'M6 18L18 6M6 6l12 12'
+    })))), React.createElement('div', {
+      className: 'flex space-x-2 mb-4',
+      role: 'tablist'
+    }, [TRANSACTION_TYPE_EXPENSE, TRANSACTION_TYPE_INCOME].map(tab => React.createElement('button', {
+      key: tab,
+      type: 'button',
+      role: 'tab',
+      'aria-selected': kind === tab,
+      onClick: () => setKind(tab),
+      className: `flex-1 py-2 rounded-md font-semibold transition ${kind === tab ? (tab === TRANSACTION_TYPE_INCOME ? 'bg-emerald-500 text-white' : 'bg-rose-500 text-white') : 'bg-gray-700 text-gray-300 hover:bg-gray-600'}`
+    }, tab))), React.createElement('p', {
+      className: 'text-sm text-gray-400 mb-4'
+    }, 'Renaming a category updates all of its transactions and budgets. Archived categories stay in past months but are no longer offered for new entries. Sub-categories roll up into their parent. Roll-over categories carry what is left each month into the next.'), React.createElement('ul', {
+      className: 'space-y-2 max-h-[50vh] overflow-y-auto pr-2'
+    }, rows.map(({ category, isChild, hasChildren, siblings }) => React.createElement('li', {
+      key: category.id,
+      className: `flex items-center space-x-2 p-2 bg-gray-700/50 rounded-lg ${isChild ? 'ml-8' : ''} ${category.archived ? 'opacity-60' : ''}`
+    }, React.createElement('input', {
+      type: 'color',
+      value: category.color,
+      onChange: (e) => updateCategory(category.id, {
+        color: e.target.value
+      }),
+      'aria-label': `Color for ${category.name}`,
+      className: 'h-8 w-8 rounded bg-transparent cursor-pointer'
+    }), React.createElement('input', {
+      type: 'text',
+      value: category.name,
+      onChange: (e) => updateCategory(category.id, {
+        name: e.target.value
+      }),
+      'aria-label': 'Category name',
+      className: 'flex-grow bg-gray-700 border-gray-600 rounded-md p-2 text-gray-100 focus:ring-2 focus:ring-emerald-500 outline-none'
+    }), !hasChildren && React.createElement('select', {
+      value: category.parentId || '',
+      onChange: (e) => updateCategory(category.id, {
+        parentId: e.target.value || null
+      }),
+      'aria-label': `Parent of ${category.name}`,
+      className: 'w-32 bg-gray-700 border-gray-600 rounded-md p-2 text-sm text-gray-100 focus:ring-2 focus:ring-emerald-500 outline-none'
+    }, React.createElement('option', {
+      value: ''
+    }, 'Top level'), parentOptions.filter(parent => parent.id !== category.id).map(parent => React.createElement('option', {
+      key: parent.id,
+      value: parent.id
+    }, `Under ${parent.name}`))), kind === TRANSACTION_TYPE_EXPENSE && !isChild && React.createElement('label', {
+      className: 'flex items-center space-x-1 text-xs text-gray-400 cursor-pointer',
+      title: 'Carry what is left (or overspent) into next month'
+    }, React.createElement('input', {
+      type: 'checkbox',
+      checked: !!category.rollover,
+      onChange: (e) => updateCategory(category.id, {
+        rollover: e.target.checked
+      }),
+      'aria-label': `Roll over ${category.name}`,
+      className: 'h-4 w-4 rounded bg-gray-600 border-gray-500 text-emerald-500 focus:ring-emerald-500'
+    }), React.createElement('span', null, 'Roll over')), category.archived && React.createElement('span', {
+      className: 'text-xs text-gray-400'
+    }, 'Archived'), React.createElement('button', {
+      type: 'button',
+      onClick: () => moveCategory(category.id, -1),
+      disabled: siblings[0] === category,
+      'aria-label': `Move ${category.name} up`,
+      className: 'p-1 text-gray-400 hover:text-sky-400 disabled:opacity-30'
+    }, '▲'), React.createElement('button', {
+      type: 'button',
+      onClick: () => moveCategory(category.id, 1),
+      disabled: siblings[siblings.length - 1] === category,
+      'aria-label': `Move ${category.name} down`,
+      className: 'p-1 text-gray-400 hover:text-sky-400 disabled:opacity-30'
+    }, '▼'), React.createElement('button', {
+      type: 'button',
+      onClick: () => updateCategory(category.id, {
+        archived: !category.archived
+      }),
+      className: 'text-xs w-16 py-1 rounded-md bg-gray-600 hover:bg-gray-500 text-gray-200'
+    }, category.archived ? 'Restore' : 'Archive')))), React.createElement('form', {
+      onSubmit: handleAdd,
+      className: 'flex space-x-2 mt-4'
+    }, React.createElement('input', {
+      type: 'text',
+      value: newName,
+      onChange: (e) => setNewName(e.target.value),
+      placeholder: kind === TRANSACTION_TYPE_INCOME ? 'New source, e.g., Bonus' : 'New category, e.g., Kids',
+      'aria-label': 'New category name',
+      className: 'flex-grow bg-gray-700 border-gray-600 rounded-md p-2 text-gray-100 focus:ring-2 focus:ring-emerald-500 outline-none'
+    }), React.createElement('button', {
+      type: 'submit',
+      className: 'bg-sky-600 hover:bg-sky-700 text-white font-bold py-2 px-4 rounded-md transition duration-300'
+    }, 'Add')), error && React.createElement('p', {
+      className: 'text-sm text-rose-400 mt-2'
+    }, error), React.createElement('div', {
+      className: 'flex justify-end space-x-4 mt-6'
+    }, React.createElement('button', {
+      type: 'button',
+      onClick: onClose,
+      className: 'bg-gray-600 hover:bg-gray-500 text-white font-bold py-2 px-6 rounded-md transition duration-300'
+    }, 'Cancel'), React.createElement('button', {
+      type: 'button',
+      onClick: handleSave,
+      className: 'bg-emerald-600 hover:bg-emerald-700 text-white font-bold py-2 px-6 rounded-md transition duration-300'
+    }, 'Save Categories'))));
+  };
+
+  const AccountManager = ({ isOpen, onClose, accounts, currency, onSave }) => {
+    const [draft, setDraft] = useState([]);
+    const [newName, setNewName] = useState('');
+    const [newKind, setNewKind] = useState('checking');
+    const [error, setError] = useState('');
+    useEffect(() => {
+      if (isOpen) {
+        setDraft(accounts.map(account => ({ ...account,
+          openingBalance: account.openingBalance.toString(),
+          billingDay: account.billingDay === null ? '' : account.billingDay.toString()
+        })));
+        setNewName('');
+        setNewKind('checking');
+        setError('');
+      }
+    }, [isOpen, accounts]);
+    useEffect(() => {
+      const handleKeyDown = (e) => {
+        if (e.key === 'Escape') {
+          onClose();
+        }
+      };
+      if (isOpen) {
+        window.addEventListener('keydown', handleKeyDown);
+      }
+      return () => {
+        window.removeEventListener('keydown', handleKeyDown);
+      };
+    }, [isOpen, onClose]);
+    if (!isOpen) return null;
+    const isNameTaken = (name, exceptId) => draft.some(a => a.id !== exceptId && a.name.trim().toLowerCase() === name.trim().toLowerCase());
+    const updateAccount = (id, changes) => {
+      setDraft(prev => prev.map(a => a.id === id ? { ...a,
+        ...changes
+      } : a));
+    };
+    const handleAdd = (e) => {
+      e.preventDefault();
+      const name = newName.trim();
+      if (!name || isNameTaken(name)) {
+        setError(name ? `An account named "${name}" already exists.` : 'Please enter an account name.');
+        return;
+      }
+      setError('');
+      setDraft(prev => [...prev, { ...accountService.createAccount(name, newKind),
+        openingBalance: '0',
+        billingDay: ''
+      }]);
+      setNewName('');
+    };
+    const handleSave = () => {
+      const invalid = draft.find(a => !a.name.trim() || isNameTaken(a.name, a.id));
+      if (invalid) {
+        setError(invalid.name.trim() ? `Account names must be unique ("${invalid.name.trim()}").` : 'Account names cannot be empty.');
+        return;
+      }
+      if (draft.some(a => !Number.isFinite(parseFloat(a.openingBalance)))) {
+        setError('Opening balances must be numbers.');
+        return;
+      }
+      const hasBillingDay = (a) => a.kind === ACCOUNT_KIND_CREDIT && a.billingDay !== '';
+      if (draft.some(a => hasBillingDay(a) && !/^([1-9]|[12]\d|3[01])$/.test(a.billingDay))) {
+        setError('Billing days must be between 1 and 31.');
+        return;
+      }
+      if (!draft.some(a => !a.archived)) {
+        setError('Keep at least one account open.');
+        return;
+      }
+      onSave(draft.map(a => ({ ...a,
+        name: a.name.trim(),
+        openingBalance: parseFloat(a.openingBalance),
+        billingDay: hasBillingDay(a) ? parseInt(a.billingDay, 10) : null
+      })));
+      onClose();
+    };
+    const handleBackdropClick = (e) => {
+      if (e.target === e.currentTarget) {
+        onClose();
+      }
+    };
+    return React.createElement('div', {
+      className: 'fixed inset-0 bg-black bg-opacity-70 flex items-center justify-center z-50 transition-opacity',
+      onClick: handleBackdropClick,
+      role: 'dialog',
+      'aria-modal': 'true',
+      'aria-labelledby': 'account-manager-title'
+    }, React.createElement('div', {
+      className: 'bg-gray-800 p-6 rounded-xl shadow-lg w-full max-w-2xl m-4'
+    }, React.createElement('div', {
+      className: 'flex justify-between items-center mb-4'
+    }, React.createElement('h2', {
+      id: 'account-manager-title',
+      className: 'text-2xl font-semibold text-emerald-400'
+    }, 'Accounts'), React.createElement('button', {
+      onClick: onClose,
+      'aria-label': 'Close account manager',
+      className: 'text-gray-400 hover:text-gray-200'
+    }, React.createElement('svg', {
+      xmlns: 'http://www.w3.org/2000/svg',
+      className: 'h-6 w-6',
+      fill: 'none',
+      viewBox: '0 0 24 24',
+      stroke: 'currentColor'
+    }, React.createElement('path', {
+      strokeLinecap: 'round',
+      strokeLinejoin: 'round',
+      strokeWidth: 2,
+      d: 'M6 18L18 6M6 6l12 12'
+    })))), React.createElement('p', {
+      className: 'text-sm text-gray-400 mb-4'
+    }, `Opening balances are in ${currency}, as of before the first transaction. A credit card with a billing day charges each month's purchases on that day of the following month. Archived accounts keep their history but are no longer offered for new entries.`), React.createElement('ul', {
+      className: 'space-y-2 max-h-[50vh] overflow-y-auto pr-2'
+    }, draft.map(account => React.createElement('li', {
+      key: account.id,
+      className: `flex items-center space-x-2 p-2 bg-gray-700/50 rounded-lg ${account.archived ? 'opacity-60' : ''}`
+    }, React.createElement('input', {
+      type: 'text',
+      value: account.name,
+      onChange: (e) => updateAccount(account.id, {
+        name: e.target.value
+      }),
+      'aria-label': 'Account name',
+      className: 'flex-grow bg-gray-700 border-gray-600 rounded-md p-2 text-gray-100 focus:ring-2 focus:ring-emerald-500 outline-none'
+    }), React.createElement('select', {
+      value: account.kind,
+      onChange: (e) => updateAccount(account.id, {
+        kind: e.target.value
+      }),
+      'aria-label': `Kind of ${account.name}`,
+      className: 'w-32 bg-gray-700 border-gray-600 rounded-md p-2 text-sm text-gray-100 focus:ring-2 focus:ring-emerald-500 outline-none'
+    }, ACCOUNT_KINDS.map(kind => React.createElement('option', {
+      key: kind.id,
+      value: kind.id
+    }, kind.label))), account.kind === ACCOUNT_KIND_CREDIT && React.createElement('input', {
+      type: 'number',
+      min: '1',
+      max: '31',
+      value: account.billingDay,
+      onChange: (e) => updateAccount(account.id, {
+        billingDay: e.target.value
+      }),
+      placeholder: 'Bills on',
+      title: 'Billing day of the month',
+      'aria-label': `Billing day of ${account.name}`,
+      className: 'w-20 bg-gray-700 border-gray-600 rounded-md p-2 text-gray-100 focus:ring-2 focus:ring-emerald-500 outline-none'
+    }), React.createElement('input', {
+      type: 'number',
+      step: 'any',
+      value: account.openingBalance,
+      onChange: (e) => updateAccount(account.id, {
+        openingBalance: e.target.value
+      }),
+      'aria-label': `Opening balance of ${account.name}`,
+      className: 'w-28 bg-gray-700 border-gray-600 rounded-md p-2 text-gray-100 focus:ring-2 focus:ring-emerald-500 outline-none'
+    }), React.createElement('button', {
+      type: 'button',
+      onClick: () => updateAccount(account.id, {
+        archived: !account.archived
+      }),
+      className: 'text-xs w-16 py-1 rounded-md bg-gray-600 hover:bg-gray-500 text-gray-200'
+    }, account.archived ? 'Restore' : 'Archive')))), React.createElement('form', {
+      onSubmit: handleAdd,
+      className: 'flex space-x-2 mt-4'
+    }, React.createElement('input', {
+      type: 'text',
+      value: newName,
+      onChange: (e) => setNewName(e.target.value),
+      placeholder: 'New account, e.g., Savings',
+      'aria-label': 'New account name',
+      className: 'flex-grow bg-gray-700 border-gray-600 rounded-md p-2 text-gray-100 focus:ring-2 focus:ring-emerald-500 outline-none'
+    }), React.createElement('select', {
+      value: newKind,
+      onChange: (e) => setNewKind(e.target.value),
+      'aria-label': 'New account kind',
+      className: 'w-32 bg-gray-700 border-gray-600 rounded-md p-2 text-sm text-gray-100 focus:ring-2 focus:ring-emerald-500 outline-none'
+    }, ACCOUNT_KINDS.map(kind => React.createElement('option', {
+      key: kind.id,
+      value: kind.id
+    }, kind.label))), React.createElement('button', {
+      type: 'submit',
+      className: 'bg-sky-600 hover:bg-sky-700 text-white font-bold py-2 px-4 rounded-md transition duration-300'
+    }, 'Add')), error && React.createElement('p', {
+      className: 'text-sm text-rose-400 mt-2'
+    }, error), React.createElement('div', {
+      className: 'flex justify-end space-x-4 mt-6'
+    }, React.createElement('button', {
+      type: 'button',
+      onClick: onClose,
+      className: 'bg-gray-600 hover:bg-gray-500 text-white font-bold py-2 px-6 rounded-md transition duration-300'
+    }, 'Cancel'), React.createElement('button', {
+      type: 'button',
+      onClick: handleSave,
+      className: 'bg-emerald-600 hover:bg-emerald-700 text-white font-bold py-2 px-6 rounded-md transition duration-300'
+    }, 'Save Accounts'))));
+  };
+
+  // Ticks a card's billed entries off against the total on its statement.
+  const ReconcileModal = ({ isOpen, onClose, accounts, transactions, recurrences, statements, currency, onSave }) => {
+    const cards = accounts.filter(a => a.kind === ACCOUNT_KIND_CREDIT && a.billingDay);
+    const [accountId, setAccountId] = useState('');
+    const [statementDate, setStatementDate] = useState('');
+    const [total, setTotal] = useState('');
+    const [checked, setChecked] = useState({});
+    const [error, setError] = useState('');
+    const account = cards.find(a => a.id === accountId);
+    const statementDates = account ? accountService.recentStatementDates(account, new Date()) : [];
+    const saved = statements.find(st => st.accountId === accountId && st.date === statementDate);
+    useEffect(() => {
+      if (isOpen) {
+        const card = cards.find(a => a.id === accountId) || cards[0];
+        setAccountId(card ? card.id : '');
+        setError('');
+      }
+    }, [isOpen]);
+    useEffect(() => {
+      const today = toDateKey(new Date());
+      setStatementDate(statementDates.find(key => key <= today) || statementDates[0] || '');
+    }, [isOpen, accountId]);
+    useEffect(() => {
+      setTotal(saved ? saved.total.toString() : '');
+      setChecked(saved ? Object.fromEntries(saved.checkedIds.map(id => [id, true])) : {});
+    }, [isOpen, accountId, statementDate, statements]);
+    // Entries billed on the statement were made in the month before it.
+    const entries = useMemo(() => {
+      if (!statementDate) return [];
+      const billed = fromDateKey(statementDate);
+      const from = new Date(billed.getFullYear(), billed.getMonth() - 1, 1);
+      const to = new Date(billed.getFullYear(), billed.getMonth(), 0);
+      return [...transactions, ...recurrenceService.expand(recurrences, from, to)].filter(t => accountService.statementDate(accounts, t) === statementDate).sort((a, b) => a.date.localeCompare(b.date));
+    }, [transactions, recurrences, accounts, statementDate]);
+    useEffect(() => {
+      const handleKeyDown = (e) => {
+        if (e.key === 'Escape') {
+          onClose();
+        }
+      };
+      if (isOpen) {
+        window.addEventListener('keydown', handleKeyDown);
+      }
+      return () => {
+        window.removeEventListener('keydown', handleKeyDown);
+      };
+    }, [isOpen, onClose]);
+    if (!isOpen) return null;
+    const tickedTotal = currencyService.round(entries.filter(t => checked[t.id]).reduce((sum, t) => sum + accountService.statementAmount(t), 0));
+    const statementTotal = parseFloat(total);
+    const difference = Number.isFinite(statementTotal) ? currencyService.round(statementTotal - tickedTotal) : null;
+    const untickedCount = entries.filter(t => !checked[t.id]).length;
+    const handleSave = () => {
+      if (!Number.isFinite(statementTotal)) {
+        setError('Enter the total shown on the statement.');
+        return;
+      }
+      onSave({
+        id: saved ? saved.id : uuidv4(),
+        accountId,
+        date: statementDate,
+        total: statementTotal,
+        checkedIds: entries.filter(t => checked[t.id]).map(t => t.id)
+      });
+      onClose();
+    };
+    const handleBackdropClick = (e) => {
+      if (e.target === e.currentTarget) {
+        onClose();
+      }
+    };
+    const fieldClassName = 'bg-gray-700 border-gray-600 rounded-md p-2 text-gray-100 focus:ring-2 focus:ring-emerald-500 outline-none';
+    return React.createElement('div', {
+      className: 'fixed inset-0 bg-black bg-opacity-70 flex items-center justify-center z-50 transition-opacity',
+      onClick: handleBackdropClick,
+      role: 'dialog',
+      'aria-modal': 'true',
+      'aria-labelledby': 'reconcile-title'
+    }, React.createElement('div', {
+      className: 'bg-gray-800 p-6 rounded-xl shadow-lg w-full max-w-2xl m-4'
+    }, React.createElement('div', {
+      className: 'flex justify-between items-center mb-4'
+    }, React.createElement('h2', {
+      id: 'reconcile-title',
+      className: 'text-2xl font-semibold text-emerald-400'
+    }, 'Reconcile Card Statement'), React.createElement('button', {
+      onClick: onClose,
+      'aria-label': 'Close reconciliation',
+      className: 'text-gray-400 hover:text-gray-200'
     }, React.createElement('svg', {
       xmlns: 'http://www.w3.org/2000/svg',
-      className: 'h-5 w-5',
+      className: 'h-6 w-6',
       fill: 'none',
       viewBox: '0 0 24 24',
       stroke: 'currentColor'
@@ -309,14 +4933,159 @@
       strokeLinecap: 'round',
       strokeLinejoin: 'round',
       strokeWidth: 2,
-      d: 'M15.232 5.232l3.536 3.536m-2.036-5.036a2.5 2.5 0 113.536 3.536L6.5 21.036H3v-3.5L16.732 3.732z'
-    }))), React.createElement('button', {
-      onClick: () => onDelete(transaction.id, transaction.recurringId),
-      className: 'p-1 text-gray-500 hover:text-rose-500 focus:outline-none focus:text-rose-500',
-      'aria-label': `Delete ${transaction.description}`
+      d: 'M6 18L18 6M6 6l12 12'
+    })))), cards.length === 0 ? React.createElement('p', {
+      className: 'text-center py-10 text-gray-500'
+    }, 'Give a credit-card account a billing day under Accounts → Manage to reconcile its statements.') : React.createElement(React.Fragment, null, React.createElement('div', {
+      className: 'flex flex-wrap items-center gap-4 mb-4 text-sm text-gray-300'
+    }, React.createElement('select', {
+      value: accountId,
+      onChange: (e) => setAccountId(e.target.value),
+      'aria-label': 'Card',
+      className: fieldClassName
+    }, cards.map(card => React.createElement('option', {
+      key: card.id,
+      value: card.id
+    }, card.name))), React.createElement('select', {
+      value: statementDate,
+      onChange: (e) => setStatementDate(e.target.value),
+      'aria-label': 'Statement date',
+      className: fieldClassName
+    }, statementDates.map(key => React.createElement('option', {
+      key: key,
+      value: key
+    }, `Statement of ${formatService.date(fromDateKey(key))}${statements.some(st => st.accountId === accountId && st.date === key) ? ' ✓' : ''}`))), React.createElement('label', {
+      className: 'flex items-center space-x-2'
+    }, React.createElement('span', null, `Statement total (${formatService.symbol(currency)})`), React.createElement('input', {
+      type: 'number',
+      step: 'any',
+      value: total,
+      onChange: (e) => setTotal(e.target.value),
+      'aria-label': 'Statement total',
+      className: `w-32 ${fieldClassName}`
+    }))), React.createElement('ul', {
+      className: 'space-y-2 max-h-[40vh] overflow-y-auto pr-2'
+    }, entries.length === 0 && React.createElement('li', {
+      className: 'text-center py-4 text-gray-500'
+    }, 'Nothing is billed on this statement.'), entries.map(t => React.createElement('li', {
+      key: t.id
+    }, React.createElement('label', {
+      className: `flex items-center space-x-3 p-2 rounded-lg cursor-pointer ${checked[t.id] ? 'bg-emerald-900/30' : 'bg-gray-700/50'}`
+    }, React.createElement('input', {
+      type: 'checkbox',
+      checked: !!checked[t.id],
+      onChange: (e) => setChecked(prev => ({ ...prev,
+        [t.id]: e.target.checked
+      })),
+      className: 'h-4 w-4 rounded bg-gray-600 border-gray-500 text-emerald-500 focus:ring-emerald-500'
+    }), React.createElement('span', {
+      className: 'w-24 text-gray-400 tabular-nums'
+    }, formatService.date(t.date)), React.createElement('span', {
+      className: 'flex-grow text-gray-200'
+    }, t.description), React.createElement('span', {
+      className: t.type === TRANSACTION_TYPE_INCOME ? 'text-emerald-400' : 'text-gray-200'
+    }, formatService.money(accountService.statementAmount(t), currency)))))), React.createElement('div', {
+      className: 'flex justify-between items-center mt-4 p-3 bg-gray-700/50 rounded-lg text-sm'
+    }, React.createElement('button', {
+      type: 'button',
+      onClick: () => setChecked(Object.fromEntries(entries.map(t => [t.id, true]))),
+      className: 'text-sky-400 hover:text-sky-300 font-semibold'
+    }, 'Tick all'), React.createElement('span', {
+      className: 'text-gray-300'
+    }, `Ticked ${formatService.money(tickedTotal, currency)}${untickedCount > 0 ? ` · ${untickedCount} not ticked` : ''}`), difference !== null && React.createElement('span', {
+      role: 'status',
+      className: `font-semibold ${difference === 0 ? 'text-emerald-400' : 'text-rose-400'}`
+    }, difference === 0 ? 'Matches the statement' : `Off by ${formatService.money(difference, currency)}`))), error && React.createElement('p', {
+      className: 'text-sm text-rose-400 mt-2'
+    }, error), React.createElement('div', {
+      className: 'flex justify-end space-x-4 mt-6'
+    }, React.createElement('button', {
+      type: 'button',
+      onClick: onClose,
+      className: 'bg-gray-600 hover:bg-gray-500 text-white font-bold py-2 px-6 rounded-md transition duration-300'
+    }, 'Cancel'), cards.length > 0 && React.createElement('button', {
+      type: 'button',
+      onClick: handleSave,
+      className: 'bg-emerald-600 hover:bg-emerald-700 text-white font-bold py-2 px-6 rounded-md transition duration-300'
+    }, 'Save Reconciliation'))));
+  };
+
+  const RuleManager = ({ isOpen, onClose, rules, categories, transactions, currency, onSave }) => {
+    const [draft, setDraft] = useState([]);
+    const [testingId, setTestingId] = useState(null);
+    const [error, setError] = useState('');
+    useEffect(() => {
+      if (isOpen) {
+        setDraft(rules);
+        setTestingId(null);
+        setError('');
+      }
+    }, [isOpen, rules]);
+    useEffect(() => {
+      const handleKeyDown = (e) => {
+        if (e.key === 'Escape') {
+          onClose();
+        }
+      };
+      if (isOpen) {
+        window.addEventListener('keydown', handleKeyDown);
+      }
+      return () => {
+        window.removeEventListener('keydown', handleKeyDown);
+      };
+    }, [isOpen, onClose]);
+    const applicableCount = useMemo(() => transactions.filter(t => ruleService.isUncategorized(t) && ruleService.suggest(draft, t)).length, [transactions, draft]);
+    if (!isOpen) return null;
+    const updateRule = (id, changes) => {
+      setDraft(prev => prev.map(rule => rule.id === id ? { ...rule,
+        ...changes
+      } : rule));
+    };
+    const moveRule = (index, offset) => {
+      setDraft(prev => {
+        const next = [...prev];
+        [next[index], next[index + offset]] = [next[index + offset], next[index]];
+        return next;
+      });
+    };
+    const parseLimit = (value) => value === '' ? null : parseFloat(value);
+    const handleSave = (applyToUncategorized) => {
+      for (const rule of draft) {
+        const message = ruleService.validate(rule, categories);
+        if (message) {
+          setError(message);
+          return;
+        }
+      }
+      onSave(draft, applyToUncategorized);
+      onClose();
+    };
+    const handleBackdropClick = (e) => {
+      if (e.target === e.currentTarget) {
+        onClose();
+      }
+    };
+    const inputClass = 'bg-gray-700 border-gray-600 rounded-md p-2 text-sm text-gray-100 focus:ring-2 focus:ring-emerald-500 outline-none';
+    return React.createElement('div', {
+      className: 'fixed inset-0 bg-black bg-opacity-70 flex items-center justify-center z-50 transition-opacity',
+      onClick: handleBackdropClick,
+      role: 'dialog',
+      'aria-modal': 'true',
+      'aria-labelledby': 'rule-manager-title'
+    }, React.createElement('div', {
+      className: 'bg-gray-800 p-6 rounded-xl shadow-lg w-full max-w-3xl m-4'
+    }, React.createElement('div', {
+      className: 'flex justify-between items-center mb-4'
+    }, React.createElement('h2', {
+      id: 'rule-manager-title',
+      className: 'text-2xl font-semibold text-emerald-400'
+    }, 'Categorization Rules'), React.createElement('button', {
+      onClick: onClose,
+      'aria-label': 'Close rule manager',
+      className: 'text-gray-400 hover:text-gray-200'
     }, React.createElement('svg', {
       xmlns: 'http://www.w3.org/2000/svg',
-      className: 'h-5 w-5',
+      className: 'h-6 w-6',
       fill: 'none',
       viewBox: '0 0 24 24',
       stroke: 'currentColor'
@@ -324,119 +5093,161 @@
       strokeLinecap: 'round',
       strokeLinejoin: 'round',
       strokeWidth: 2,
-      d: 'M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16'
-    }))))));
-    return React.createElement('div', {
-      className: 'bg-gray-800 p-6 rounded-xl shadow-lg'
-    }, React.createElement('h2', {
-      className: `text-xl font-semibold mb-4 ${type === TRANSACTION_TYPE_INCOME ? 'text-emerald-400' : 'text-rose-400'}`
-    }, title), transactions.length > 0 ? React.createElement('ul', {
-      className: 'space-y-3 max-h-96 overflow-y-auto pr-2'
-    }, transactions.sort((a, b) => new Date(a.date).getTime() - new Date(b.date).getTime()).map(transaction => React.createElement(TransactionItem, {
-      key: transaction.id,
-      transaction: transaction,
-      onDelete: onDelete,
-      onEdit: onEdit,
-      type: type
-    }))) : React.createElement('div', {
-      className: 'text-center py-10 text-gray-500'
-    }, React.createElement('p', null, `No ${title.toLowerCase()} recorded for this month.`)));
-  };
-
-  const CategoryChart = ({ expenses }) => {
-    const COLORS = ['#0088FE', '#00C49F', '#FFBB28', '#FF8042', '#AF19FF', '#FF19A3', '#19D4FF', '#FFD419', '#8C19FF', '#FF1919'];
-    const chartData = useMemo(() => {
-      const categoryTotals = expenses.reduce((acc, expense) => {
-        const category = expense.category || 'Other';
-        acc[category] = (acc[category] || 0) + expense.amount;
-        return acc;
-      }, {});
-      return Object.entries(categoryTotals).map(([name, value]) => ({
-        name,
-        value
-      })).sort((a, b) => b.value - a.value);
-    }, [expenses]);
-    if (expenses.length === 0) {
-      return React.createElement('div', {
-        className: 'bg-gray-800 p-6 rounded-xl shadow-lg h-full flex items-center justify-center'
+      d: 'M6 18L18 6M6 6l12 12'
+    })))), React.createElement('p', {
+      className: 'text-sm text-gray-400 mb-4'
+    }, 'Rules suggest a category while adding a transaction and categorize imported rows. They are checked from top to bottom and the first match wins. Leave the pattern or amounts empty to match any.'), React.createElement('ul', {
+      className: 'space-y-3 max-h-[55vh] overflow-y-auto pr-2'
+    }, draft.length === 0 && React.createElement('li', {
+      className: 'text-center py-6 text-gray-500'
+    }, 'No rules yet.'), draft.map((rule, index) => {
+      const matches = testingId === rule.id ? transactions.filter(t => ruleService.match(rule, t)) : [];
+      return React.createElement('li', {
+        key: rule.id,
+        className: 'p-3 bg-gray-700/50 rounded-lg space-y-2'
       }, React.createElement('div', {
-        className: 'text-center text-gray-500'
-      }, React.createElement('svg', {
-        xmlns: 'http://www.w3.org/2000/svg',
-        className: 'mx-auto h-12 w-12',
-        fill: 'none',
-        viewBox: '0 0 24 24',
-        stroke: 'currentColor'
-      }, React.createElement('path', {
-        strokeLinecap: 'round',
-        strokeLinejoin: 'round',
-        strokeWidth: 2,
-        d: 'M9 19v-6a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2a2 2 0 002-2zm0 0V9a2 2 0 012-2h2a2 2 0 012 2v10m-6 0a2 2 0 002 2h2a2 2 0 002-2m0 0V5a2 2 0 012-2h2a2 2 0 012 2v14a2 2 0 01-2 2h-2a2 2 0 01-2-2z'
-      })), React.createElement('p', {
-        className: 'mt-2'
-      }, 'No expense data to display chart.')));
-    }
-    const CustomTooltip = ({ active, payload }) => {
-      if (active && payload && payload.length) {
-        return React.createElement('div', {
-          className: 'bg-gray-700 p-2 border border-gray-600 rounded-md shadow-lg'
-        }, React.createElement('p', {
-          className: 'label text-gray-200'
-        }, `${payload[0].name} : ${payload[0].value.toLocaleString('he-IL', { style: 'currency', currency: 'ILS' })}`));
-      }
-      return null;
-    };
-    return React.createElement('div', {
-      className: 'bg-gray-800 p-6 rounded-xl shadow-lg h-full'
-    }, React.createElement('h2', {
-      className: 'text-xl font-semibold mb-4 text-rose-400'
-    }, 'Expense Breakdown'), React.createElement('div', {
-      style: {
-        width: '100%',
-        height: 300
-      }
-    }, React.createElement(ResponsiveContainer, null, React.createElement(PieChart, null, React.createElement(Pie, {
-      data: chartData,
-      cx: '50%',
-      cy: '50%',
-      labelLine: false,
-      outerRadius: 80,
-      fill: '#8884d8',
-      dataKey: 'value',
-      nameKey: 'name'
-    }, chartData.map((entry, index) => React.createElement(Cell, {
-      key: `cell-${index}`,
-      fill: COLORS[index % COLORS.length]
-    }))), React.createElement(Tooltip, {
-      content: React.createElement(CustomTooltip, null)
-    }), React.createElement(Legend, {
-      layout: 'vertical',
-      align: 'right',
-      verticalAlign: 'middle',
-      iconSize: 10,
-      wrapperStyle: {
-        color: '#E5E7EB',
-        fontSize: '14px'
-      }
-    })))));
+        className: 'flex flex-wrap items-center gap-2'
+      }, React.createElement('select', {
+        value: rule.type,
+        onChange: (e) => updateRule(rule.id, {
+          type: e.target.value,
+          category: categoryService.activeNames(categoryService.ofKind(categories, e.target.value))[0] || FALLBACK_CATEGORY[e.target.value]
+        }),
+        'aria-label': 'Transaction type',
+        className: inputClass
+      }, [TRANSACTION_TYPE_EXPENSE, TRANSACTION_TYPE_INCOME].map(type => React.createElement('option', {
+        key: type,
+        value: type
+      }, type))), React.createElement('select', {
+        value: rule.matchMode,
+        onChange: (e) => updateRule(rule.id, {
+          matchMode: e.target.value
+        }),
+        'aria-label': 'Match mode',
+        className: inputClass
+      }, React.createElement('option', {
+        value: RULE_MATCH_CONTAINS
+      }, 'contains'), React.createElement('option', {
+        value: RULE_MATCH_REGEX
+      }, 'matches regex')), React.createElement('input', {
+        type: 'text',
+        value: rule.pattern,
+        onChange: (e) => updateRule(rule.id, {
+          pattern: e.target.value
+        }),
+        placeholder: rule.matchMode === RULE_MATCH_REGEX ? '^AMZN\\s+(\\w+)' : 'e.g., Shufersal',
+        'aria-label': 'Description pattern',
+        className: `flex-grow ${inputClass}`
+      }), React.createElement('input', {
+        type: 'number',
+        value: rule.minAmount ?? '',
+        onChange: (e) => updateRule(rule.id, {
+          minAmount: parseLimit(e.target.value)
+        }),
+        placeholder: `Min ${formatService.symbol(currency)}`,
+        'aria-label': 'Minimum amount',
+        className: `w-24 ${inputClass}`
+      }), React.createElement('input', {
+        type: 'number',
+        value: rule.maxAmount ?? '',
+        onChange: (e) => updateRule(rule.id, {
+          maxAmount: parseLimit(e.target.value)
+        }),
+        placeholder: `Max ${formatService.symbol(currency)}`,
+        'aria-label': 'Maximum amount',
+        className: `w-24 ${inputClass}`
+      })), React.createElement('div', {
+        className: 'flex flex-wrap items-center gap-2'
+      }, React.createElement('span', {
+        className: 'text-sm text-gray-400'
+      }, '→'), React.createElement('select', {
+        value: rule.category,
+        onChange: (e) => updateRule(rule.id, {
+          category: e.target.value
+        }),
+        'aria-label': 'Category',
+        className: inputClass
+      }, React.createElement(CategoryOptions, {
+        categories: categoryService.ofKind(categories, rule.type),
+        alsoInclude: [rule.category]
+      })), React.createElement('input', {
+        type: 'text',
+        value: rule.rewrite,
+        onChange: (e) => updateRule(rule.id, {
+          rewrite: e.target.value
+        }),
+        placeholder: 'Rename to (optional)',
+        'aria-label': 'Description rewrite',
+        className: `flex-grow ${inputClass}`
+      }), React.createElement('button', {
+        type: 'button',
+        onClick: () => setTestingId(testingId === rule.id ? null : rule.id),
+        className: 'text-xs py-1 px-2 rounded-md bg-gray-600 hover:bg-gray-500 text-sky-400'
+      }, testingId === rule.id ? 'Hide test' : 'Test'), React.createElement('button', {
+        type: 'button',
+        onClick: () => moveRule(index, -1),
+        disabled: index === 0,
+        'aria-label': 'Move rule up',
+        className: 'p-1 text-gray-400 hover:text-sky-400 disabled:opacity-30'
+      }, '▲'), React.createElement('button', {
+        type: 'button',
+        onClick: () => moveRule(index, 1),
+        disabled: index === draft.length - 1,
+        'aria-label': 'Move rule down',
+        className: 'p-1 text-gray-400 hover:text-sky-400 disabled:opacity-30'
+      }, '▼'), React.createElement('button', {
+        type: 'button',
+        onClick: () => setDraft(prev => prev.filter(r => r.id !== rule.id)),
+        'aria-label': 'Delete rule',
+        className: 'text-xs py-1 px-2 rounded-md bg-gray-600 hover:bg-rose-600 text-gray-200'
+      }, 'Delete')), testingId === rule.id && React.createElement('div', {
+        className: 'text-xs text-gray-400 border-t border-gray-600 pt-2'
+      }, React.createElement('p', {
+        className: 'mb-1'
+      }, `Matches ${matches.length} past transaction${matches.length === 1 ? '' : 's'}.`), matches.slice(0, 5).map(t => React.createElement('p', {
+        key: t.id,
+        className: 'truncate'
+      }, `${formatService.date(t.date)} · ${t.description} · ${t.category || '—'} → ${rule.category}`))));
+    })), React.createElement('button', {
+      type: 'button',
+      onClick: () => setDraft(prev => [...prev, ruleService.createRule()]),
+      className: 'mt-4 bg-sky-600 hover:bg-sky-700 text-white font-bold py-2 px-4 rounded-md transition duration-300'
+    }, 'Add Rule'), error && React.createElement('p', {
+      className: 'text-sm text-rose-400 mt-2'
+    }, error), React.createElement('div', {
+      className: 'flex flex-wrap justify-end gap-4 mt-6'
+    }, React.createElement('button', {
+      type: 'button',
+      onClick: onClose,
+      className: 'bg-gray-600 hover:bg-gray-500 text-white font-bold py-2 px-6 rounded-md transition duration-300'
+    }, 'Cancel'), React.createElement('button', {
+      type: 'button',
+      onClick: () => handleSave(true),
+      disabled: applicableCount === 0,
+      className: 'bg-sky-600 hover:bg-sky-700 disabled:opacity-50 text-white font-bold py-2 px-6 rounded-md transition duration-300'
+    }, `Save & Categorize ${applicableCount} Uncategorized`), React.createElement('button', {
+      type: 'button',
+      onClick: () => handleSave(false),
+      className: 'bg-emerald-600 hover:bg-emerald-700 text-white font-bold py-2 px-6 rounded-md transition duration-300'
+    }, 'Save Rules'))));
   };
 
-  const EditTransactionModal = ({ isOpen, onClose, transaction, onUpdateTransaction }) => {
-    const [description, setDescription] = useState('');
-    const [amount, setAmount] = useState('');
-    const [type, setType] = useState(TRANSACTION_TYPE_EXPENSE);
-    const [category, setCategory] = useState('Groceries');
-    const [date, setDate] = useState('');
+  const CurrencySettings = ({ isOpen, onClose, baseCurrency, rates, onSave }) => {
+    const [draft, setDraft] = useState([]);
+    const [newCode, setNewCode] = useState('');
+    const [newRate, setNewRate] = useState('');
     const [error, setError] = useState('');
     useEffect(() => {
-      if (transaction) {
-        setDescription(transaction.description);
-        setAmount(transaction.amount.toString());
-        setType(transaction.type);
-        setCategory(transaction.category || 'Groceries');
-        setDate(transaction.date.split('T')[0]);
+      if (isOpen) {
+        setDraft(Object.entries(rates).map(([code, rate]) => ({
+          code,
+          rate: rate.toString()
+        })));
+        setNewCode('');
+        setNewRate('');
+        setError('');
       }
-    }, [transaction]);
+    }, [isOpen, baseCurrency, rates]);
     useEffect(() => {
       const handleKeyDown = (e) => {
         if (e.key === 'Escape') {
@@ -450,24 +5261,52 @@
         window.removeEventListener('keydown', handleKeyDown);
       };
     }, [isOpen, onClose]);
-    if (!isOpen || !transaction) return null;
-    const handleUpdate = (scope) => {
-      const numericAmount = parseFloat(amount);
-      if (!description || !numericAmount || numericAmount <= 0) {
-        setError('Please enter a valid description and positive amount.');
+    if (!isOpen) return null;
+    const upsertRates = (entries) => {
+      setDraft(prev => [...prev.filter(row => !(row.code in entries)), ...Object.entries(entries).map(([code, rate]) => ({
+        code,
+        rate: rate.toString()
+      }))]);
+    };
+    const handleAdd = (e) => {
+      e.preventDefault();
+      const code = newCode.trim().toUpperCase();
+      const rate = parseFloat(newRate);
+      if (!currencyService.isValidCode(code) || code === baseCurrency || !(rate > 0)) {
+        setError(`Enter a three-letter currency code other than ${baseCurrency} and a positive rate.`);
         return;
       }
-      const originalDate = new Date(transaction.date);
-      const [year, month, day] = date.split('-').map(Number);
-      const newDate = new Date(originalDate.getTime());
-      newDate.setFullYear(year, month - 1, day);
-      onUpdateTransaction({ ...transaction,
-        description,
-        amount: numericAmount,
-        type,
-        category: type === TRANSACTION_TYPE_EXPENSE ? category : undefined,
-        date: newDate.toISOString(),
-      }, scope);
+      setError('');
+      upsertRates({
+        [code]: rate
+      });
+      setNewCode('');
+      setNewRate('');
+    };
+    const handleFileChange = (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+      file.text().then(text => {
+        const imported = currencyService.parseRates(text);
+        delete imported[baseCurrency];
+        upsertRates(imported);
+        setError('');
+      }).catch(importError => {
+        setError(`${file.name}: ${importError.message}`);
+      });
+      e.target.value = '';
+    };
+    const handleSave = () => {
+      const nextRates = {};
+      for (const row of draft) {
+        const rate = parseFloat(row.rate);
+        if (!(rate > 0)) {
+          setError(`The rate for ${row.code} must be a positive number.`);
+          return;
+        }
+        nextRates[row.code] = rate;
+      }
+      onSave(nextRates);
       onClose();
     };
     const handleBackdropClick = (e) => {
@@ -480,17 +5319,17 @@
       onClick: handleBackdropClick,
       role: 'dialog',
       'aria-modal': 'true',
-      'aria-labelledby': 'edit-transaction-title'
+      'aria-labelledby': 'currency-settings-title'
     }, React.createElement('div', {
-      className: 'bg-gray-800 p-6 rounded-xl shadow-lg w-full max-w-md m-4'
+      className: 'bg-gray-800 p-6 rounded-xl shadow-lg w-full max-w-lg m-4'
     }, React.createElement('div', {
       className: 'flex justify-between items-center mb-4'
     }, React.createElement('h2', {
-      id: 'edit-transaction-title',
-      className: 'text-xl font-semibold text-emerald-400'
-    }, 'Edit Transaction'), React.createElement('button', {
+      id: 'currency-settings-title',
+      className: 'text-2xl font-semibold text-emerald-400'
+    }, 'Currencies'), React.createElement('button', {
       onClick: onClose,
-      'aria-label': 'Close edit transaction modal',
+      'aria-label': 'Close currency settings',
       className: 'text-gray-400 hover:text-gray-200'
     }, React.createElement('svg', {
       xmlns: 'http://www.w3.org/2000/svg',
@@ -503,150 +5342,88 @@
       strokeLinejoin: 'round',
       strokeWidth: 2,
       d: 'M6 18L18 6M6 6l12 12'
-    })))), React.createElement('form', {
-      onSubmit: (e) => e.preventDefault(),
-      className: 'space-y-4'
-    }, React.createElement('div', null, React.createElement('label', {
-      htmlFor: 'edit-description',
-      className: 'block text-sm font-medium text-gray-300 mb-1'
-    }, 'Description'), React.createElement('input', {
-      id: 'edit-description',
-      type: 'text',
-      value: description,
-      onChange: (e) => setDescription(e.target.value),
-      className: 'w-full bg-gray-700 border-gray-600 rounded-md p-2 text-gray-100 focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 outline-none transition'
-    })), React.createElement('div', null, React.createElement('label', {
-      htmlFor: 'edit-amount',
-      className: 'block text-sm font-medium text-gray-300 mb-1'
-    }, 'Amount'), React.createElement('input', {
-      id: 'edit-amount',
+    })))), React.createElement('p', {
+      className: 'text-sm text-gray-400 mb-4'
+    }, `Totals and budgets are in the base currency, ${baseCurrency}, which you can change under Settings. Rates give the value of one unit in ${baseCurrency} and are used for new entries; existing entries keep the rate they were recorded with.`), React.createElement('ul', {
+      className: 'space-y-2 max-h-[40vh] overflow-y-auto pr-2'
+    }, draft.length === 0 && React.createElement('li', {
+      className: 'text-center py-4 text-gray-500'
+    }, 'No exchange rates yet.'), draft.map(row => React.createElement('li', {
+      key: row.code,
+      className: 'flex items-center space-x-2 p-2 bg-gray-700/50 rounded-lg'
+    }, React.createElement('span', {
+      className: 'w-24 text-gray-200'
+    }, `1 ${row.code} =`), React.createElement('input', {
       type: 'number',
-      value: amount,
-      onChange: (e) => setAmount(e.target.value),
-      className: 'w-full bg-gray-700 border-gray-600 rounded-md p-2 text-gray-100 focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 outline-none transition'
-    })), React.createElement('div', null, React.createElement('label', {
-      htmlFor: 'edit-date',
-      className: 'block text-sm font-medium text-gray-300 mb-1'
-    }, 'Date'), React.createElement('input', {
-      id: 'edit-date',
-      type: 'date',
-      value: date,
-      onChange: (e) => setDate(e.target.value),
-      className: 'w-full bg-gray-700 border-gray-600 rounded-md p-2 text-gray-100 focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 outline-none transition'
-    })), React.createElement('div', {
-      className: 'flex space-x-4'
-    }, React.createElement('div', {
-      className: 'flex-1'
-    }, React.createElement('input', {
-      type: 'radio',
-      id: 'edit-expense',
-      name: 'edit-type',
-      value: TRANSACTION_TYPE_EXPENSE,
-      checked: type === TRANSACTION_TYPE_EXPENSE,
-      onChange: () => setType(TRANSACTION_TYPE_EXPENSE),
-      className: 'hidden'
-    }), React.createElement('label', {
-      htmlFor: 'edit-expense',
-      className: `block w-full text-center p-2 rounded-md cursor-pointer transition ${type === TRANSACTION_TYPE_EXPENSE ? 'bg-rose-500 text-white font-bold' : 'bg-gray-700 hover:bg-gray-600'}`
-    }, 'Expense')), React.createElement('div', {
-      className: 'flex-1'
+      step: 'any',
+      value: row.rate,
+      onChange: (e) => setDraft(prev => prev.map(r => r.code === row.code ? { ...r,
+        rate: e.target.value
+      } : r)),
+      'aria-label': `Rate for ${row.code}`,
+      className: 'flex-grow bg-gray-700 border-gray-600 rounded-md p-2 text-gray-100 focus:ring-2 focus:ring-emerald-500 outline-none'
+    }), React.createElement('span', {
+      className: 'text-gray-400'
+    }, baseCurrency), React.createElement('button', {
+      type: 'button',
+      onClick: () => setDraft(prev => prev.filter(r => r.code !== row.code)),
+      'aria-label': `Remove ${row.code}`,
+      className: 'text-xs py-1 px-2 rounded-md bg-gray-600 hover:bg-rose-600 text-gray-200'
+    }, 'Remove')))), React.createElement('form', {
+      onSubmit: handleAdd,
+      className: 'flex space-x-2 mt-4'
     }, React.createElement('input', {
-      type: 'radio',
-      id: 'edit-income',
-      name: 'edit-type',
-      value: TRANSACTION_TYPE_INCOME,
-      checked: type === TRANSACTION_TYPE_INCOME,
-      onChange: () => setType(TRANSACTION_TYPE_INCOME),
-      className: 'hidden'
-    }), React.createElement('label', {
-      htmlFor: 'edit-income',
-      className: `block w-full text-center p-2 rounded-md cursor-pointer transition ${type === TRANSACTION_TYPE_INCOME ? 'bg-emerald-500 text-white font-bold' : 'bg-gray-700 hover:bg-gray-600'}`
-    }, 'Income'))), type === TRANSACTION_TYPE_EXPENSE && React.createElement('div', null, React.createElement('label', {
-      htmlFor: 'edit-category',
+      type: 'text',
+      value: newCode,
+      onChange: (e) => setNewCode(e.target.value),
+      placeholder: 'USD',
+      maxLength: 3,
+      'aria-label': 'New currency code',
+      className: 'w-20 bg-gray-700 border-gray-600 rounded-md p-2 text-gray-100 uppercase focus:ring-2 focus:ring-emerald-500 outline-none'
+    }), React.createElement('input', {
+      type: 'number',
+      step: 'any',
+      value: newRate,
+      onChange: (e) => setNewRate(e.target.value),
+      placeholder: `Value in ${baseCurrency}`,
+      'aria-label': 'New currency rate',
+      className: 'flex-grow bg-gray-700 border-gray-600 rounded-md p-2 text-gray-100 focus:ring-2 focus:ring-emerald-500 outline-none'
+    }), React.createElement('button', {
+      type: 'submit',
+      className: 'bg-sky-600 hover:bg-sky-700 text-white font-bold py-2 px-4 rounded-md transition duration-300'
+    }, 'Add')), React.createElement('div', {
+      className: 'mt-4'
+    }, React.createElement('label', {
+      htmlFor: 'rates-file',
       className: 'block text-sm font-medium text-gray-300 mb-1'
-    }, 'Category'), React.createElement('select', {
-      id: 'edit-category',
-      value: category,
-      onChange: (e) => setCategory(e.target.value),
-      className: 'w-full bg-gray-700 border-gray-600 rounded-md p-2 text-gray-100 focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 outline-none transition'
-    }, ExpenseCategoryValues.map(cat => React.createElement('option', {
-      key: cat,
-      value: cat
-    }, cat)))), error && React.createElement('p', {
-      className: 'text-sm text-rose-400'
+    }, 'Import rates (CSV lines of "code,rate" or a JSON object)'), React.createElement('input', {
+      id: 'rates-file',
+      type: 'file',
+      accept: '.csv,.json,.txt,text/csv,application/json',
+      onChange: handleFileChange,
+      className: 'w-full text-sm text-gray-300 file:mr-4 file:py-2 file:px-4 file:rounded-md file:border-0 file:bg-gray-700 file:text-sky-400 hover:file:bg-gray-600'
+    })), error && React.createElement('p', {
+      className: 'text-sm text-rose-400 mt-2'
     }, error), React.createElement('div', {
-      className: 'flex flex-col space-y-2 pt-2'
+      className: 'flex justify-end space-x-4 mt-6'
     }, React.createElement('button', {
-      type: 'button',
-      onClick: () => handleUpdate('this'),
-      className: 'w-full bg-emerald-600 hover:bg-emerald-700 text-white font-bold py-2 px-4 rounded-md transition duration-300'
-    }, 'Save Changes to This Entry'), transaction.recurringId && React.createElement('button', {
-      type: 'button',
-      onClick: () => handleUpdate('future'),
-      className: 'w-full bg-sky-600 hover:bg-sky-700 text-white font-bold py-2 px-4 rounded-md transition duration-300'
-    }, 'Save for This & Future Entries'), React.createElement('button', {
       type: 'button',
       onClick: onClose,
-      className: 'w-full bg-gray-600 hover:bg-gray-500 text-white font-bold py-2 px-4 rounded-md transition duration-300'
-    }, 'Cancel')))));
+      className: 'bg-gray-600 hover:bg-gray-500 text-white font-bold py-2 px-6 rounded-md transition duration-300'
+    }, 'Cancel'), React.createElement('button', {
+      type: 'button',
+      onClick: handleSave,
+      className: 'bg-emerald-600 hover:bg-emerald-700 text-white font-bold py-2 px-6 rounded-md transition duration-300'
+    }, 'Save Currencies'))));
   };
 
-  const BudgetSetup = ({ isOpen, onClose, onSave, initialBudget, previousBudget }) => {
-    const [budget, setBudget] = useState(initialBudget);
-    const [recurring, setRecurring] = useState({});
-    const formatCurrency = (amount) => amount.toLocaleString('he-IL', {
-      style: 'currency',
-      currency: 'ILS',
-      minimumFractionDigits: 0,
-      maximumFractionDigits: 0
-    });
+  const SettingsModal = ({ isOpen, onClose, settings, rates, onSave }) => {
+    const [draft, setDraft] = useState(settings);
     useEffect(() => {
       if (isOpen) {
-        const isInitialDefault = !initialBudget.recurring || Object.keys(initialBudget.recurring).length === 0;
-        if (isInitialDefault && previousBudget?.recurring) {
-          const newBudget = {
-            incomeGoal: previousBudget.recurring.incomeGoal ? previousBudget.incomeGoal : initialBudget.incomeGoal,
-            savingsGoal: previousBudget.recurring.savingsGoal ? previousBudget.savingsGoal : initialBudget.savingsGoal,
-            expenseBudgets: { ...initialBudget.expenseBudgets
-            }
-          };
-          if (previousBudget.recurring.expenseBudgets) {
-            for (const cat of Object.keys(previousBudget.recurring.expenseBudgets)) {
-              if (previousBudget.recurring.expenseBudgets[cat]) {
-                newBudget.expenseBudgets[cat] = previousBudget.expenseBudgets[cat];
-              }
-            }
-          }
-          setBudget(newBudget);
-          setRecurring(previousBudget.recurring);
-        } else {
-          setBudget(initialBudget);
-          setRecurring(initialBudget.recurring || {});
-        }
-      }
-    }, [isOpen, initialBudget, previousBudget]);
-    const { totalExpenses, expensesPercent, savingsPercent, remainingAmount } = useMemo(() => {
-      const totalExpenses = Object.values(budget.expenseBudgets).reduce((sum, amount) => sum + amount, 0);
-      if (budget.incomeGoal <= 0) {
-        return {
-          totalExpenses,
-          expensesPercent: 0,
-          savingsPercent: 0,
-          remainingAmount: 0
-        };
+        setDraft(settings);
       }
-      const expensesPercent = totalExpenses / budget.incomeGoal * 100;
-      const savingsPercent = budget.savingsGoal / budget.incomeGoal * 100;
-      const remainingAmount = budget.incomeGoal - totalExpenses - budget.savingsGoal;
-      return {
-        totalExpenses,
-        expensesPercent,
-        savingsPercent,
-        remainingAmount
-      };
-    }, [budget]);
-    const totalPercent = expensesPercent + savingsPercent;
-    const remainingPercent = Math.max(0, 100 - totalPercent);
+    }, [isOpen, settings]);
     useEffect(() => {
       const handleKeyDown = (e) => {
         if (e.key === 'Escape') {
@@ -660,39 +5437,16 @@
         window.removeEventListener('keydown', handleKeyDown);
       };
     }, [isOpen, onClose]);
-    const handleInputChange = (e) => {
-      const { name, value } = e.target;
-      const numericValue = parseFloat(value) || 0;
-      if (name === 'incomeGoal' || name === 'savingsGoal') {
-        setBudget(prev => ({ ...prev,
-          [name]: numericValue
-        }));
-      } else {
-        setBudget(prev => ({ ...prev,
-          expenseBudgets: { ...prev.expenseBudgets,
-            [name]: numericValue
-          },
-        }));
-      }
-    };
-    const handleRecurringChange = (e, field) => {
-      const { checked } = e.target;
-      if (field === 'incomeGoal' || field === 'savingsGoal') {
-        setRecurring(prev => ({ ...prev,
-          [field]: checked
-        }));
-      } else {
-        setRecurring(prev => ({ ...prev,
-          expenseBudgets: { ...prev.expenseBudgets,
-            [field]: checked
-          }
-        }));
-      }
-    };
+    if (!isOpen) return null;
+    const update = (field, value) => setDraft(prev => ({ ...prev,
+      [field]: value
+    }));
     const handleSave = () => {
-      onSave({ ...budget,
-        recurring
-      });
+      const nextBase = draft.baseCurrency;
+      if (nextBase !== settings.baseCurrency && !window.confirm(`Switch the base currency to ${nextBase}? Every amount, budget and rule limit will be converted at 1 ${nextBase} = ${rates[nextBase]} ${settings.baseCurrency}.`)) {
+        return;
+      }
+      onSave(draft);
       onClose();
     };
     const handleBackdropClick = (e) => {
@@ -700,23 +5454,28 @@
         onClose();
       }
     };
-    if (!isOpen) return null;
+    const localeOptions = LOCALE_OPTIONS.some(option => option.id === settings.locale) ? LOCALE_OPTIONS : [...LOCALE_OPTIONS, {
+      id: settings.locale,
+      label: settings.locale
+    }];
+    const fieldClassName = 'w-full bg-gray-700 border-gray-600 rounded-md p-2 text-gray-100 focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 outline-none transition';
+    const labelClassName = 'block text-sm font-medium text-gray-300 mb-1';
     return React.createElement('div', {
       className: 'fixed inset-0 bg-black bg-opacity-70 flex items-center justify-center z-50 transition-opacity',
       onClick: handleBackdropClick,
       role: 'dialog',
       'aria-modal': 'true',
-      'aria-labelledby': 'budget-setup-title'
+      'aria-labelledby': 'settings-title'
     }, React.createElement('div', {
-      className: 'bg-gray-800 p-6 rounded-xl shadow-lg w-full max-w-2xl m-4'
+      className: 'bg-gray-800 p-6 rounded-xl shadow-lg w-full max-w-md m-4'
     }, React.createElement('div', {
       className: 'flex justify-between items-center mb-4'
     }, React.createElement('h2', {
-      id: 'budget-setup-title',
+      id: 'settings-title',
       className: 'text-2xl font-semibold text-emerald-400'
-    }, 'Setup Monthly Budget'), React.createElement('button', {
+    }, 'Settings'), React.createElement('button', {
       onClick: onClose,
-      'aria-label': 'Close budget setup modal',
+      'aria-label': 'Close settings',
       className: 'text-gray-400 hover:text-gray-200'
     }, React.createElement('svg', {
       xmlns: 'http://www.w3.org/2000/svg',
@@ -730,132 +5489,79 @@
       strokeWidth: 2,
       d: 'M6 18L18 6M6 6l12 12'
     })))), React.createElement('div', {
-      className: 'bg-gray-700/50 p-4 rounded-lg mb-6'
-    }, React.createElement('h3', {
-      className: 'text-lg font-medium text-gray-300 mb-2'
-    }, 'Budget Feasibility'), React.createElement('div', {
-      className: 'flex h-4 w-full bg-gray-600 rounded-full overflow-hidden mb-2',
-      role: 'meter',
-      'aria-valuenow': totalPercent,
-      'aria-valuemin': 0,
-      'aria-valuemax': 100
-    }, React.createElement('div', {
-      className: 'bg-rose-500 transition-all duration-300',
-      style: {
-        width: `${Math.min(expensesPercent, 100)}%`
-      },
-      title: 'Expenses'
-    }), React.createElement('div', {
-      className: 'bg-yellow-500 transition-all duration-300',
-      style: {
-        width: `${Math.min(savingsPercent, 100 - expensesPercent)}%`
-      },
-      title: 'Savings'
-    }), React.createElement('div', {
-      className: 'bg-emerald-500 transition-all duration-300',
-      style: {
-        width: `${remainingPercent}%`
-      },
-      title: 'Remaining'
-    })), React.createElement('div', {
-      className: 'flex justify-between text-xs font-medium text-gray-400'
-    }, React.createElement('span', {
-      className: 'text-rose-400'
-    }, `Expenses: ${formatCurrency(totalExpenses)}`), React.createElement('span', {
-      className: 'text-yellow-400'
-    }, `Savings: ${formatCurrency(budget.savingsGoal)}`), React.createElement('span', {
-      className: 'text-emerald-400'
-    }, `Remaining: ${formatCurrency(remainingAmount)}`)), remainingAmount < 0 && React.createElement('p', {
-      className: 'text-center text-rose-400 text-sm mt-2 font-semibold'
-    }, 'Warning: Your expenses and savings goal exceed your income goal.')), React.createElement('div', {
-      className: 'space-y-6 max-h-[60vh] overflow-y-auto pr-4'
-    }, React.createElement('div', {
-      className: 'grid grid-cols-1 md:grid-cols-2 gap-6'
-    }, React.createElement('div', {
-      className: 'flex items-end space-x-2'
-    }, React.createElement('div', {
-      className: 'flex-grow'
-    }, React.createElement('label', {
-      htmlFor: 'incomeGoal',
-      className: 'block text-sm font-medium text-gray-300 mb-1'
-    }, 'Income Goal (₪)'), React.createElement('input', {
-      id: 'incomeGoal',
-      name: 'incomeGoal',
-      type: 'number',
-      value: budget.incomeGoal,
-      onChange: handleInputChange,
-      className: 'w-full bg-gray-700 rounded-md p-2 text-gray-100 focus:ring-2 focus:ring-emerald-500'
-    })), React.createElement('div', {
-      className: 'flex items-center pb-2 space-x-1',
-      title: 'Set as recurring'
-    }, React.createElement('input', {
-      id: 'recurring-income',
-      type: 'checkbox',
-      checked: !!recurring.incomeGoal,
-      onChange: e => handleRecurringChange(e, 'incomeGoal'),
-      className: 'h-4 w-4 rounded bg-gray-600 border-gray-500 text-emerald-500 focus:ring-emerald-500'
-    }), React.createElement('label', {
-      htmlFor: 'recurring-income',
-      className: 'text-xs text-gray-400 cursor-pointer'
-    }, 'Recur'))), React.createElement('div', {
-      className: 'flex items-end space-x-2'
-    }, React.createElement('div', {
-      className: 'flex-grow'
-    }, React.createElement('label', {
-      htmlFor: 'savingsGoal',
-      className: 'block text-sm font-medium text-gray-300 mb-1'
-    }, 'Savings Goal (₪)'), React.createElement('input', {
-      id: 'savingsGoal',
-      name: 'savingsGoal',
-      type: 'number',
-      value: budget.savingsGoal,
-      onChange: handleInputChange,
-      className: 'w-full bg-gray-700 rounded-md p-2 text-gray-100 focus:ring-2 focus:ring-emerald-500'
-    })), React.createElement('div', {
-      className: 'flex items-center pb-2 space-x-1',
-      title: 'Set as recurring'
-    }, React.createElement('input', {
-      id: 'recurring-savings',
-      type: 'checkbox',
-      checked: !!recurring.savingsGoal,
-      onChange: e => handleRecurringChange(e, 'savingsGoal'),
-      className: 'h-4 w-4 rounded bg-gray-600 border-gray-500 text-emerald-500 focus:ring-emerald-500'
-    }), React.createElement('label', {
-      htmlFor: 'recurring-savings',
-      className: 'text-xs text-gray-400 cursor-pointer'
-    }, 'Recur')))), React.createElement('div', null, React.createElement('h3', {
-      className: 'text-xl font-semibold text-yellow-400 mb-4'
-    }, 'Expense Budgets'), React.createElement('div', {
-      className: 'grid grid-cols-1 md:grid-cols-2 gap-x-6 gap-y-4'
-    }, ExpenseCategoryValues.map(category => React.createElement('div', {
-      key: category,
-      className: 'flex items-end space-x-2'
-    }, React.createElement('div', {
-      className: 'flex-grow'
-    }, React.createElement('label', {
-      htmlFor: category,
-      className: 'block text-sm font-medium text-gray-300 mb-1'
-    }, `${category} (₪)`), React.createElement('input', {
-      id: category,
-      name: category,
-      type: 'number',
-      value: budget.expenseBudgets[category] || '',
-      onChange: handleInputChange,
-      className: 'w-full bg-gray-700 rounded-md p-2 text-gray-100 focus:ring-2 focus:ring-emerald-500'
-    })), React.createElement('div', {
-      className: 'flex items-center pb-2 space-x-1',
-      title: `Set ${category} as recurring`
-    }, React.createElement('input', {
-      id: `recurring-${category}`,
-      type: 'checkbox',
-      checked: !!recurring.expenseBudgets?.[category],
-      onChange: e => handleRecurringChange(e, category),
-      className: 'h-4 w-4 rounded bg-gray-600 border-gray-500 text-emerald-500 focus:ring-emerald-500'
-    }), React.createElement('label', {
-      htmlFor: `recurring-${category}`,
-      className: 'text-xs text-gray-400 cursor-pointer'
-    }, 'Recur'))))))), React.createElement('div', {
-      className: 'flex justify-end space-x-4 mt-8'
+      className: 'space-y-4'
+    }, React.createElement('div', null, React.createElement('label', {
+      htmlFor: 'settings-locale',
+      className: labelClassName
+    }, 'Display language and region'), React.createElement('select', {
+      id: 'settings-locale',
+      value: draft.locale,
+      onChange: (e) => update('locale', e.target.value),
+      className: fieldClassName
+    }, localeOptions.map(option => React.createElement('option', {
+      key: option.id,
+      value: option.id
+    }, option.label)))), React.createElement('div', null, React.createElement('label', {
+      htmlFor: 'settings-base-currency',
+      className: labelClassName
+    }, 'Base currency'), React.createElement('select', {
+      id: 'settings-base-currency',
+      value: draft.baseCurrency,
+      onChange: (e) => update('baseCurrency', e.target.value),
+      className: fieldClassName
+    }, [settings.baseCurrency, ...Object.keys(rates)].map(code => React.createElement('option', {
+      key: code,
+      value: code
+    }, code))), React.createElement('p', {
+      className: 'text-xs text-gray-400 mt-1'
+    }, 'Only currencies with an exchange rate (see Currencies) can become the base.')), React.createElement('div', null, React.createElement('label', {
+      htmlFor: 'settings-week-start',
+      className: labelClassName
+    }, 'First day of the week'), React.createElement('select', {
+      id: 'settings-week-start',
+      value: draft.weekStart,
+      onChange: (e) => update('weekStart', parseInt(e.target.value, 10)),
+      className: fieldClassName
+    }, [0, 1, 6].map(day => React.createElement('option', {
+      key: day,
+      value: day
+    }, formatService.weekdayName(day))))), React.createElement('div', null, React.createElement('label', {
+      htmlFor: 'settings-date-format',
+      className: labelClassName
+    }, 'Date format'), React.createElement('select', {
+      id: 'settings-date-format',
+      value: draft.dateFormat,
+      onChange: (e) => update('dateFormat', e.target.value),
+      className: fieldClassName
+    }, DATE_FORMATS.map(dateFormat => React.createElement('option', {
+      key: dateFormat,
+      value: dateFormat
+    }, dateFormat === 'locale' ? 'As in the display language' : dateFormat)))), React.createElement('div', null, React.createElement('label', {
+      htmlFor: 'settings-budget-basis',
+      className: labelClassName
+    }, 'Credit-card purchases count toward'), React.createElement('select', {
+      id: 'settings-budget-basis',
+      value: draft.budgetBasis,
+      onChange: (e) => update('budgetBasis', e.target.value),
+      className: fieldClassName
+    }, React.createElement('option', {
+      value: BUDGET_BASIS_PURCHASE
+    }, 'The month of purchase'), React.createElement('option', {
+      value: BUDGET_BASIS_BILLING
+    }, 'The month they are billed'))), React.createElement('div', null, React.createElement('label', {
+      htmlFor: 'settings-budget-mode',
+      className: labelClassName
+    }, 'Budgeting style'), React.createElement('select', {
+      id: 'settings-budget-mode',
+      value: draft.budgetMode,
+      onChange: (e) => update('budgetMode', e.target.value),
+      className: fieldClassName
+    }, React.createElement('option', {
+      value: BUDGET_MODE_GOAL
+    }, 'Plan against an income goal'), React.createElement('option', {
+      value: BUDGET_MODE_ZERO_BASED
+    }, 'Zero-based: assign the income received')))), React.createElement('div', {
+      className: 'flex justify-end space-x-4 mt-6'
     }, React.createElement('button', {
       type: 'button',
       onClick: onClose,
@@ -864,107 +5570,619 @@
       type: 'button',
       onClick: handleSave,
       className: 'bg-emerald-600 hover:bg-emerald-700 text-white font-bold py-2 px-6 rounded-md transition duration-300'
-    }, 'Save Budget'))));
+    }, 'Save Settings'))));
   };
 
-  const SavingsGoal = ({ budget, actualIncome, actualExpenses }) => {
-    const currentSavings = actualIncome - actualExpenses;
-    const { savingsGoal } = budget;
-    const progress = savingsGoal > 0 ? Math.max(0, currentSavings / savingsGoal * 100) : 0;
-    const progressClamped = Math.min(progress, 100);
-    const formatCurrency = (amount) => amount.toLocaleString('he-IL', {
-      style: 'currency',
-      currency: 'ILS'
-    });
-    const getProgressColor = () => {
-      if (progress >= 100) return 'bg-emerald-500';
-      if (progress > 50) return 'bg-sky-500';
-      return 'bg-sky-600';
+  // The viewed month as a grid of days, each with its spending and entries. Entries count on the day they were made.
+  const CalendarView = ({ monthDate, entries, selectedDay, onSelectDay, weekStart, currency, onEdit, onDelete }) => {
+    const todayKey = toDateKey(new Date());
+    const daysInMonth = new Date(monthDate.getFullYear(), monthDate.getMonth() + 1, 0).getDate();
+    const leadingBlanks = (new Date(monthDate.getFullYear(), monthDate.getMonth(), 1).getDay() - weekStart + 7) % 7;
+    const byDay = useMemo(() => {
+      const days = {};
+      [...entries].sort((a, b) => a.date.localeCompare(b.date)).forEach(t => {
+        (days[t.date] || (days[t.date] = [])).push(t);
+      });
+      return days;
+    }, [entries]);
+    const spentOn = (dayEntries) => currencyService.round(dayEntries.filter(t => t.type === TRANSACTION_TYPE_EXPENSE).reduce((sum, t) => sum + t.amount, 0));
+    const selectedEntries = byDay[selectedDay] || [];
+    const typeColor = (type) => type === TRANSACTION_TYPE_INCOME ? 'text-emerald-400' : type === TRANSACTION_TYPE_TRANSFER ? 'text-sky-400' : 'text-rose-400';
+    const cells = [...Array(leadingBlanks).fill(null), ...Array.from({
+      length: daysInMonth
+    }, (_, index) => toDateKey(new Date(monthDate.getFullYear(), monthDate.getMonth(), index + 1)))];
+    return React.createElement('div', {
+      className: 'bg-gray-800 p-6 rounded-xl shadow-lg'
+    }, React.createElement('h2', {
+      className: 'text-xl font-semibold text-sky-400 mb-4'
+    }, 'Calendar'), React.createElement('div', {
+      className: 'grid grid-cols-7 gap-1 text-center text-xs text-gray-400 mb-1'
+    }, Array.from({
+      length: 7
+    }, (_, index) => (weekStart + index) % 7).map(day => React.createElement('div', {
+      key: day
+    }, formatService.weekdayName(day, {
+      short: true
+    })))), React.createElement('div', {
+      className: 'grid grid-cols-7 gap-1'
+    }, cells.map((key, index) => {
+      if (!key) return React.createElement('div', {
+        key: `blank-${index}`
+      });
+      const dayEntries = byDay[key] || [];
+      const spent = spentOn(dayEntries);
+      const isSelected = key === selectedDay;
+      return React.createElement('button', {
+        key,
+        type: 'button',
+        onClick: () => onSelectDay(key),
+        'aria-pressed': isSelected,
+        'aria-label': `${formatService.date(fromDateKey(key))}: ${dayEntries.length} ${dayEntries.length === 1 ? 'entry' : 'entries'}, ${formatService.money(spent, currency)} spent`,
+        className: `min-h-[5.5rem] p-1 rounded-md text-left align-top flex flex-col transition ${isSelected ? 'bg-gray-600 ring-2 ring-emerald-400' : 'bg-gray-700/50 hover:bg-gray-700'} ${key === todayKey ? 'border border-sky-400' : ''}`
+      }, React.createElement('span', {
+        className: 'flex justify-between text-xs'
+      }, React.createElement('span', {
+        className: 'font-semibold text-gray-200'
+      }, fromDateKey(key).getDate()), spent > 0 && React.createElement('span', {
+        className: 'text-rose-400 font-semibold'
+      }, formatService.money(spent, currency, {
+        whole: true
+      }))), dayEntries.slice(0, 2).map(t => React.createElement('span', {
+        key: t.id,
+        className: `block truncate text-[11px] ${typeColor(t.type)}`
+      }, t.description)), dayEntries.length > 2 && React.createElement('span', {
+        className: 'block text-[11px] text-gray-400'
+      }, `+${dayEntries.length - 2} more`));
+    })), React.createElement('div', {
+      className: 'mt-6'
+    }, React.createElement('div', {
+      className: 'flex justify-between items-center mb-2'
+    }, React.createElement('h3', {
+      className: 'font-semibold text-gray-200'
+    }, formatService.date(fromDateKey(selectedDay))), React.createElement('span', {
+      className: 'text-sm text-gray-400'
+    }, `Spent ${formatService.money(spentOn(selectedEntries), currency)}`)), selectedEntries.length > 0 ? React.createElement('ul', {
+      className: 'space-y-2'
+    }, selectedEntries.map(t => React.createElement('li', {
+      key: t.id,
+      className: 'flex justify-between items-center p-2 bg-gray-700/50 rounded-md text-sm group'
+    }, React.createElement('span', {
+      className: 'text-gray-200'
+    }, t.description, React.createElement('span', {
+      className: 'block text-xs text-gray-400'
+    }, t.type === TRANSACTION_TYPE_TRANSFER ? t.type : t.splits ? `Split: ${[...new Set(t.splits.map(split => split.category))].join(', ')}` : t.category)), React.createElement('span', {
+      className: 'flex items-center space-x-2'
+    }, React.createElement('span', {
+      className: `font-semibold ${typeColor(t.type)}`
+    }, formatService.money(t.amount, currency)), React.createElement('button', {
+      type: 'button',
+      onClick: () => onEdit(t),
+      className: 'text-gray-500 hover:text-sky-400 focus:outline-none focus:text-sky-400',
+      'aria-label': `Edit ${t.description}`
+    }, 'Edit'), React.createElement('button', {
+      type: 'button',
+      onClick: () => onDelete(t),
+      className: 'text-gray-500 hover:text-rose-500 focus:outline-none focus:text-rose-500',
+      'aria-label': `Delete ${t.description}`
+    }, 'Delete'))))) : React.createElement('p', {
+      className: 'text-sm text-gray-500'
+    }, 'Nothing recorded on this day. Use the form to add an entry for it.')));
+  };
+
+  // Month-over-month trends across a range of budget months. `data` is { transactions, recurrences, accounts }.
+  const ReportsView = ({ data, budgets, budgetBasis, categories, currency }) => {
+    const today = new Date();
+    const [rangeId, setRangeId] = useState('12');
+    const [custom, setCustom] = useState(() => reportService.range('12', today));
+    const [seriesId, setSeriesId] = useState('');
+    const range = reportService.range(rangeId, today, custom);
+    const isValidRange = /^\d{4}-\d{2}$/.test(range.from) && /^\d{4}-\d{2}$/.test(range.to) && range.from <= range.to;
+    const rows = useMemo(() => isValidRange ? reportService.monthlyTotals(data, budgetBasis, categories, reportService.monthKeys(range.from, range.to)) : [], [data, budgetBasis, categories, range.from, range.to, isValidRange]);
+    const seriesList = reportService.series(rows, categories);
+    const categorySeries = seriesList.filter(series => series.category);
+    const selectedSeries = categorySeries.find(series => series.id === seriesId);
+    const changes = reportService.biggestChanges(rows, seriesList);
+    const variance = useMemo(() => reportService.variance(rows, budgets, categories), [rows, budgets, categories]);
+    const handleExportVariance = () => {
+      downloadBlob(new Blob(['\uFEFF' + reportService.varianceCsv(variance)], {
+        type: 'text/csv;charset=utf-8'
+      }), `budget-variance-${range.from}-to-${range.to}.csv`);
+    };
+    const percentText = (percent) => percent === null ? '—' : `${percent > 0 ? '+' : ''}${percent.toFixed(1)}%`;
+    const chartRows = rows.map(row => ({ ...row,
+      label: formatService.shortMonth(fromDateKey(`${row.monthKey}-01`))
+    }));
+    const monthLabel = (monthKey) => formatService.monthYear(fromDateKey(`${monthKey}-01`));
+    const money = (value) => formatService.money(value, currency, { whole: true });
+    const axisProps = {
+      stroke: '#9CA3AF',
+      fontSize: 12
+    };
+    const tooltipProps = {
+      formatter: (value) => formatService.money(value, currency),
+      contentStyle: {
+        backgroundColor: '#374151',
+        border: '1px solid #4B5563'
+      },
+      labelStyle: {
+        color: '#E5E7EB'
+      }
     };
-    return React.createElement('div', {
+    const chartCard = (title, chart, extra = null) => React.createElement('div', {
       className: 'bg-gray-800 p-6 rounded-xl shadow-lg'
+    }, React.createElement('div', {
+      className: 'flex justify-between items-center mb-4'
     }, React.createElement('h2', {
-      className: 'text-xl font-semibold mb-4 text-sky-400'
-    }, 'Monthly Savings Goal'), React.createElement('div', {
-      className: 'space-y-3'
+      className: 'text-xl font-semibold text-sky-400'
+    }, title), extra), React.createElement('div', {
+      style: {
+        width: '100%',
+        height: 300
+      }
+    }, React.createElement(ResponsiveContainer, null, chart)));
+    const fieldClassName = 'bg-gray-700 border-gray-600 rounded-md p-2 text-gray-100 focus:ring-2 focus:ring-emerald-500 outline-none';
+    return React.createElement('main', {
+      className: 'space-y-8'
     }, React.createElement('div', {
-      className: 'flex justify-between items-baseline'
-    }, React.createElement('span', {
-      className: 'font-medium text-gray-200'
-    }, 'Current Savings:'), React.createElement('span', {
-      className: `text-2xl font-bold ${currentSavings >= 0 ? 'text-white' : 'text-rose-400'}`
-    }, formatCurrency(currentSavings))), React.createElement('div', {
-      className: 'flex justify-between items-baseline'
-    }, React.createElement('span', {
-      className: 'font-medium text-gray-400'
-    }, 'Goal:'), React.createElement('span', {
-      className: 'font-semibold text-gray-400'
-    }, formatCurrency(savingsGoal))), React.createElement('div', {
-      className: 'w-full bg-gray-700 rounded-full h-4'
+      className: 'bg-gray-800 p-4 rounded-xl shadow-lg flex flex-wrap items-center gap-3'
+    }, React.createElement('label', {
+      htmlFor: 'report-range',
+      className: 'text-sm font-medium text-gray-300'
+    }, 'Range'), React.createElement('select', {
+      id: 'report-range',
+      value: rangeId,
+      onChange: (e) => setRangeId(e.target.value),
+      className: fieldClassName
+    }, REPORT_RANGES.map(r => React.createElement('option', {
+      key: r.id,
+      value: r.id
+    }, r.label))), rangeId === 'custom' && React.createElement('input', {
+      type: 'month',
+      value: custom.from,
+      onChange: (e) => setCustom({ ...custom,
+        from: e.target.value
+      }),
+      'aria-label': 'First month',
+      className: fieldClassName
+    }), rangeId === 'custom' && React.createElement('input', {
+      type: 'month',
+      value: custom.to,
+      onChange: (e) => setCustom({ ...custom,
+        to: e.target.value
+      }),
+      'aria-label': 'Last month',
+      className: fieldClassName
+    }), React.createElement('span', {
+      className: 'text-sm text-gray-400'
+    }, isValidRange ? `${monthLabel(range.from)} – ${monthLabel(range.to)} · ${rows.length} months` : 'The first month must not be after the last one.')), rows.length > 0 && React.createElement('div', {
+      className: 'grid grid-cols-1 sm:grid-cols-3 gap-6'
+    }, seriesList.filter(series => !series.category).map(series => React.createElement('div', {
+      key: series.id,
+      className: 'bg-gray-800 p-6 rounded-xl shadow-lg text-center'
+    }, React.createElement('h3', {
+      className: 'text-lg font-medium text-gray-400 mb-2'
+    }, `Average ${series.label.toLowerCase()}`), React.createElement('p', {
+      className: `text-3xl font-bold ${series.id === 'income' ? 'text-emerald-400' : series.id === 'expenses' ? 'text-rose-400' : 'text-gray-100'}`
+    }, money(reportService.average(rows, series))), React.createElement('p', {
+      className: 'text-sm text-gray-500 mt-1'
+    }, `per month · ${money(rows.reduce((sum, row) => sum + series.value(row), 0))} in total`)))), rows.length > 0 && React.createElement('div', {
+      className: 'grid grid-cols-1 lg:grid-cols-2 gap-8'
+    }, chartCard('Income & Expenses', React.createElement(BarChart, {
+      data: chartRows
+    }, React.createElement(CartesianGrid, {
+      strokeDasharray: '3 3',
+      stroke: '#374151'
+    }), React.createElement(XAxis, {
+      dataKey: 'label',
+      ...axisProps
+    }), React.createElement(YAxis, axisProps), React.createElement(Tooltip, tooltipProps), React.createElement(Legend, null), React.createElement(Bar, {
+      dataKey: 'income',
+      name: 'Income',
+      fill: '#34D399'
+    }), React.createElement(Bar, {
+      dataKey: 'expenses',
+      name: 'Expenses',
+      fill: '#FB7185'
+    }))), chartCard('Savings', React.createElement(LineChart, {
+      data: chartRows
+    }, React.createElement(CartesianGrid, {
+      strokeDasharray: '3 3',
+      stroke: '#374151'
+    }), React.createElement(XAxis, {
+      dataKey: 'label',
+      ...axisProps
+    }), React.createElement(YAxis, axisProps), React.createElement(Tooltip, tooltipProps), React.createElement(ReferenceLine, {
+      y: 0,
+      stroke: '#6B7280'
+    }), React.createElement(Line, {
+      type: 'monotone',
+      dataKey: 'savings',
+      name: 'Savings',
+      stroke: '#38BDF8',
+      strokeWidth: 2
+    })))), rows.length > 0 && chartCard(selectedSeries ? `Spending: ${selectedSeries.label}` : 'Spending by Category', React.createElement(LineChart, {
+      data: chartRows
+    }, React.createElement(CartesianGrid, {
+      strokeDasharray: '3 3',
+      stroke: '#374151'
+    }), React.createElement(XAxis, {
+      dataKey: 'label',
+      ...axisProps
+    }), React.createElement(YAxis, axisProps), React.createElement(Tooltip, tooltipProps), React.createElement(Legend, null), selectedSeries && React.createElement(ReferenceLine, {
+      y: reportService.average(rows, selectedSeries),
+      stroke: '#FBBF24',
+      strokeDasharray: '4 4',
+      label: {
+        value: 'Average',
+        fill: '#FBBF24',
+        fontSize: 12
+      }
+    }), (selectedSeries ? [selectedSeries] : categorySeries).map((series, index) => React.createElement(Line, {
+      key: series.id,
+      type: 'monotone',
+      dataKey: series.value,
+      name: series.label,
+      stroke: categoryService.colorOf(categories, series.category, index),
+      strokeWidth: 2
+    }))), React.createElement('select', {
+      value: seriesId,
+      onChange: (e) => setSeriesId(e.target.value),
+      'aria-label': 'Category to chart',
+      className: `${fieldClassName} text-sm`
+    }, React.createElement('option', {
+      value: ''
+    }, 'All categories'), categorySeries.map(series => React.createElement('option', {
+      key: series.id,
+      value: series.id
+    }, series.label)))), rows.length > 0 && React.createElement('div', {
+      className: 'grid grid-cols-1 lg:grid-cols-2 gap-8'
     }, React.createElement('div', {
-      className: `h-4 rounded-full transition-all duration-500 ${getProgressColor()}`,
-      style: {
-        width: `${progressClamped}%`
-      },
-      role: 'progressbar',
-      'aria-valuenow': progress,
-      'aria-valuemin': 0,
-      'aria-valuemax': 100,
-      'aria-label': 'Savings goal progress'
-    })), React.createElement('div', {
-      className: 'text-right text-sm font-semibold text-gray-300'
-    }, `${progress.toFixed(0)}% Complete`)));
+      className: 'bg-gray-800 p-6 rounded-xl shadow-lg'
+    }, React.createElement('h2', {
+      className: 'text-xl font-semibold text-yellow-400 mb-4'
+    }, 'Monthly Averages'), React.createElement('table', {
+      className: 'w-full text-sm'
+    }, React.createElement('thead', null, React.createElement('tr', {
+      className: 'text-left text-gray-400'
+    }, React.createElement('th', {
+      className: 'pb-2 font-medium'
+    }, ''), React.createElement('th', {
+      className: 'pb-2 font-medium text-right'
+    }, 'Average'), React.createElement('th', {
+      className: 'pb-2 font-medium text-right'
+    }, monthLabel(range.to)))), React.createElement('tbody', null, seriesList.map(series => {
+      const average = reportService.average(rows, series);
+      const latest = series.value(rows[rows.length - 1]);
+      return React.createElement('tr', {
+        key: series.id,
+        className: 'border-t border-gray-700'
+      }, React.createElement('td', {
+        className: `py-2 ${series.category ? 'text-gray-300 pl-3' : 'text-gray-100 font-semibold'}`
+      }, series.label), React.createElement('td', {
+        className: 'py-2 text-right text-gray-300'
+      }, money(average)), React.createElement('td', {
+        className: `py-2 text-right ${series.category && latest > average ? 'text-rose-400' : 'text-gray-300'}`
+      }, money(latest)));
+    })))), React.createElement('div', {
+      className: 'bg-gray-800 p-6 rounded-xl shadow-lg'
+    }, React.createElement('h2', {
+      className: 'text-xl font-semibold text-yellow-400 mb-4'
+    }, 'Biggest Changes'), changes.length > 0 ? React.createElement('ul', {
+      className: 'space-y-3'
+    }, changes.map(({ series, from, to, change }) => React.createElement('li', {
+      key: `${series.id}-${to}`,
+      className: 'flex justify-between items-center text-sm'
+    }, React.createElement('span', null, React.createElement('span', {
+      className: 'block font-medium text-gray-200'
+    }, series.label), React.createElement('span', {
+      className: 'block text-xs text-gray-400'
+    }, `${monthLabel(from)} → ${monthLabel(to)}`)), React.createElement('span', {
+      className: `font-semibold ${(change > 0) === (series.id === 'income' || series.id === 'savings') ? 'text-emerald-400' : 'text-rose-400'}`
+    }, `${change > 0 ? '+' : ''}${money(change)}`)))) : React.createElement('p', {
+      className: 'text-gray-500'
+    }, 'No changes between months in this range.'))), variance.length > 0 && React.createElement('div', {
+      className: 'bg-gray-800 p-6 rounded-xl shadow-lg'
+    }, React.createElement('div', {
+      className: 'flex justify-between items-center mb-4'
+    }, React.createElement('h2', {
+      className: 'text-xl font-semibold text-yellow-400'
+    }, 'Budget vs Actual'), React.createElement('button', {
+      onClick: handleExportVariance,
+      className: 'text-sm bg-gray-700 hover:bg-gray-600 text-sky-400 font-semibold py-1 px-3 rounded-md transition duration-300'
+    }, 'Export CSV')), React.createElement('p', {
+      className: 'text-xs text-gray-500 mb-4'
+    }, `The difference is what was left of the budget. Categories over budget in ${REPEATED_OVERSPEND_MONTHS} or more months are highlighted.`), React.createElement('div', {
+      className: 'max-h-[480px] overflow-y-auto pr-2'
+    }, React.createElement('table', {
+      className: 'w-full text-sm'
+    }, React.createElement('thead', null, React.createElement('tr', {
+      className: 'text-left text-gray-400'
+    }, ['', 'Budgeted', 'Actual', 'Difference', '%'].map((heading, index) => React.createElement('th', {
+      key: index,
+      className: `pb-2 font-medium ${index > 0 ? 'text-right' : ''}`
+    }, heading)))), variance.map(({ category, months, years, overBudgetMonths }) => {
+      const isRepeatedOverspend = overBudgetMonths >= REPEATED_OVERSPEND_MONTHS;
+      const cells = (entry, isTotal) => [entry.budgeted, entry.actual].map((amount, index) => React.createElement('td', {
+        key: index,
+        className: 'py-1 text-right text-gray-300'
+      }, money(amount))).concat(React.createElement('td', {
+        key: 'difference',
+        className: `py-1 text-right ${entry.difference < 0 ? 'text-rose-400' : 'text-emerald-400'} ${isTotal ? 'font-semibold' : ''}`
+      }, money(entry.difference)), React.createElement('td', {
+        key: 'percent',
+        className: `py-1 text-right ${entry.difference < 0 ? 'text-rose-400' : 'text-gray-400'}`
+      }, percentText(entry.percent)));
+      return React.createElement('tbody', {
+        key: category,
+        className: isRepeatedOverspend ? 'bg-rose-900/20' : ''
+      }, React.createElement('tr', {
+        className: 'border-t border-gray-700'
+      }, React.createElement('td', {
+        colSpan: 5,
+        className: 'pt-3 pb-1 font-semibold text-gray-100'
+      }, category, isRepeatedOverspend && React.createElement('span', {
+        className: 'ml-2 text-xs font-semibold text-rose-300 bg-rose-900/60 rounded px-2 py-0.5'
+      }, `Over budget in ${overBudgetMonths} of ${months.length} months`))), months.map(month => React.createElement('tr', {
+        key: month.monthKey
+      }, React.createElement('td', {
+        className: 'py-1 pl-3 text-gray-400'
+      }, monthLabel(month.monthKey)), cells(month, false))), years.map(year => React.createElement('tr', {
+        key: year.year,
+        className: 'border-t border-gray-700/50'
+      }, React.createElement('td', {
+        className: 'py-1 pl-3 font-semibold text-gray-300'
+      }, `${year.year} total`), cells(year, true))));
+    })))));
   };
 
-  const BudgetProgress = ({ expenses, budget, onEditBudget }) => {
-    const ProgressBar = ({ value, max }) => {
-      const percentage = max > 0 ? value / max * 100 : 0;
-      const clampedPercentage = Math.min(percentage, 100);
-      const getColor = () => {
-        if (percentage >= 90) return 'bg-rose-500';
-        if (percentage >= 75) return 'bg-yellow-500';
-        return 'bg-emerald-500';
-      };
-      return React.createElement('div', {
-        className: 'w-full bg-gray-700 rounded-full h-2.5'
-      }, React.createElement('div', {
-        className: `h-2.5 rounded-full transition-all duration-500 ${getColor()}`,
-        style: {
-          width: `${clampedPercentage}%`
-        },
-        role: 'progressbar',
-        'aria-valuenow': percentage,
-        'aria-valuemin': 0,
-        'aria-valuemax': 100
+  // Search over every entry ever recorded, including recurring occurrences up to today.
+  const SearchView = ({ data, savedSearches, onSaveSearches, categories, currency, accounts, onEdit, onDelete }) => {
+    const [filters, setFilters] = useState(EMPTY_SEARCH_FILTERS);
+    const [sort, setSort] = useState({
+      field: 'date',
+      direction: 'desc'
+    });
+    const [savedId, setSavedId] = useState('');
+    const [searchName, setSearchName] = useState('');
+    const todayKey = toDateKey(new Date());
+    const entries = useMemo(() => searchService.entries(data, filters, fromDateKey(todayKey)), [data, filters.to, todayKey]);
+    const results = useMemo(() => searchService.search(entries, filters, categories), [entries, filters, categories]);
+    const sortedResults = useMemo(() => searchService.sort(results, sort.field, sort.direction), [results, sort]);
+    const totals = searchService.totals(results);
+    const setFilter = (field, value) => {
+      setFilters(prev => ({ ...prev,
+        [field]: value
       }));
+      setSavedId('');
     };
-    const actualSpending = useMemo(() => {
-      return expenses.reduce((acc, expense) => {
-        const category = expense.category || 'Other';
-        acc[category] = (acc[category] || 0) + expense.amount;
-        return acc;
-      }, {});
-    }, [expenses]);
-    const formatCurrency = (amount) => amount.toLocaleString('he-IL', {
-      style: 'currency',
-      currency: 'ILS',
-      minimumFractionDigits: 0,
-      maximumFractionDigits: 0
-    });
-    const budgetedCategories = Object.entries(budget.expenseBudgets).filter(([, budgetedAmount]) => budgetedAmount > 0).sort(([, a], [, b]) => b - a);
-    return React.createElement('div', {
-      className: 'bg-gray-800 p-6 rounded-xl shadow-lg h-full'
+    const handleTypeChange = (type) => {
+      const category = categories.find(c => c.name === filters.category);
+      setFilters(prev => ({ ...prev,
+        type,
+        category: type && category && category.kind !== type ? '' : prev.category
+      }));
+      setSavedId('');
+    };
+    const handleSort = (field) => {
+      setSort(prev => ({
+        field,
+        direction: prev.field === field && prev.direction === 'asc' ? 'desc' : prev.field === field ? 'asc' : field === 'date' || field === 'amount' ? 'desc' : 'asc'
+      }));
+    };
+    const handleLoadSearch = (id) => {
+      const search = savedSearches.find(s => s.id === id);
+      setSavedId(id);
+      if (search) {
+        setFilters({ ...EMPTY_SEARCH_FILTERS,
+          ...search.filters
+        });
+        setSearchName(search.name);
+      }
+    };
+    // Saving under an existing name replaces that search.
+    const handleSaveSearch = (e) => {
+      e.preventDefault();
+      const name = searchName.trim();
+      if (!name) return;
+      const existing = savedSearches.find(s => s.name === name);
+      const search = {
+        id: existing ? existing.id : uuidv4(),
+        name,
+        filters
+      };
+      onSaveSearches(existing ? savedSearches.map(s => s.id === existing.id ? search : s) : [...savedSearches, search]);
+      setSavedId(search.id);
+    };
+    const handleDeleteSearch = () => {
+      onSaveSearches(savedSearches.filter(s => s.id !== savedId));
+      setSavedId('');
+      setSearchName('');
+    };
+    const handleClear = () => {
+      setFilters(EMPTY_SEARCH_FILTERS);
+      setSavedId('');
+    };
+    const typeColor = (type) => type === TRANSACTION_TYPE_INCOME ? 'text-emerald-400' : type === TRANSACTION_TYPE_TRANSFER ? 'text-sky-400' : 'text-rose-400';
+    const categoryText = (transaction) => {
+      if (transaction.type === TRANSACTION_TYPE_TRANSFER) {
+        return `${accountService.nameOf(accounts, transaction.accountId)} → ${accountService.nameOf(accounts, transaction.toAccountId)}`;
+      }
+      return transaction.splits ? `Split: ${[...new Set(transaction.splits.map(split => split.category))].join(', ')}` : transaction.category;
+    };
+    const fieldClassName = 'w-full bg-gray-700 border-gray-600 rounded-md p-2 text-gray-100 focus:ring-2 focus:ring-emerald-500 outline-none';
+    const labelClassName = 'block text-sm font-medium text-gray-300 mb-1';
+    const field = (id, label, input) => React.createElement('div', null, React.createElement('label', {
+      htmlFor: id,
+      className: labelClassName
+    }, label), input);
+    const totalCard = (label, value, color) => React.createElement('div', null, React.createElement('p', {
+      className: 'text-xs text-gray-400'
+    }, label), React.createElement('p', {
+      className: `text-lg font-semibold ${color}`
+    }, value));
+    return React.createElement('main', {
+      className: 'space-y-8'
     }, React.createElement('div', {
-      className: 'flex justify-between items-center mb-4'
+      className: 'bg-gray-800 p-6 rounded-xl shadow-lg'
     }, React.createElement('h2', {
-      className: 'text-xl font-semibold text-yellow-400'
-    }, 'Budget Progress'), React.createElement('button', {
-      onClick: onEditBudget,
-      className: 'text-sm bg-gray-700 hover:bg-gray-600 text-sky-400 font-semibold py-1 px-3 rounded-md transition duration-300 flex items-center space-x-2',
-      'aria-label': 'Edit budget'
+      className: 'text-xl font-semibold text-sky-400 mb-4'
+    }, 'Search Transactions'), React.createElement('div', {
+      className: 'grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4'
+    }, field('search-text', 'Description contains', React.createElement('input', {
+      type: 'search',
+      id: 'search-text',
+      value: filters.text,
+      onChange: (e) => setFilter('text', e.target.value),
+      placeholder: 'e.g., Wolt',
+      className: fieldClassName
+    })), field('search-type', 'Type', React.createElement('select', {
+      id: 'search-type',
+      value: filters.type,
+      onChange: (e) => handleTypeChange(e.target.value),
+      className: fieldClassName
+    }, React.createElement('option', {
+      value: ''
+    }, 'All types'), TRANSACTION_TYPES.map(type => React.createElement('option', {
+      key: type,
+      value: type
+    }, type)))), field('search-category', 'Category', React.createElement('select', {
+      id: 'search-category',
+      value: filters.category,
+      onChange: (e) => setFilter('category', e.target.value),
+      disabled: filters.type === TRANSACTION_TYPE_TRANSFER,
+      className: fieldClassName
+    }, React.createElement('option', {
+      value: ''
+    }, 'All categories'), React.createElement(CategoryOptions, {
+      categories: filters.type ? categoryService.ofKind(categories, filters.type) : categories,
+      alsoInclude: categories.map(c => c.name)
+    }))), field('search-recurring', 'Recurring', React.createElement('select', {
+      id: 'search-recurring',
+      value: filters.recurring,
+      onChange: (e) => setFilter('recurring', e.target.value),
+      className: fieldClassName
+    }, React.createElement('option', {
+      value: ''
+    }, 'All entries'), React.createElement('option', {
+      value: SEARCH_RECURRING_ONLY
+    }, 'Recurring only'), React.createElement('option', {
+      value: SEARCH_ONE_OFF_ONLY
+    }, 'One-off only'))), field('search-min-amount', `Min amount (${currency})`, React.createElement('input', {
+      type: 'number',
+      id: 'search-min-amount',
+      value: filters.minAmount,
+      onChange: (e) => setFilter('minAmount', e.target.value),
+      min: '0',
+      step: '0.01',
+      className: fieldClassName
+    })), field('search-max-amount', `Max amount (${currency})`, React.createElement('input', {
+      type: 'number',
+      id: 'search-max-amount',
+      value: filters.maxAmount,
+      onChange: (e) => setFilter('maxAmount', e.target.value),
+      min: '0',
+      step: '0.01',
+      className: fieldClassName
+    })), field('search-from', 'From', React.createElement('input', {
+      type: 'date',
+      id: 'search-from',
+      value: filters.from,
+      onChange: (e) => setFilter('from', e.target.value),
+      className: fieldClassName
+    })), field('search-to', 'To', React.createElement('input', {
+      type: 'date',
+      id: 'search-to',
+      value: filters.to,
+      onChange: (e) => setFilter('to', e.target.value),
+      className: fieldClassName
+    }))), React.createElement('div', {
+      className: 'mt-4 flex flex-wrap items-center gap-3'
+    }, React.createElement('button', {
+      type: 'button',
+      onClick: handleClear,
+      disabled: searchService.isEmpty(filters),
+      className: 'bg-gray-600 hover:bg-gray-500 text-white font-semibold py-2 px-4 rounded-md transition duration-300 disabled:opacity-50 disabled:cursor-not-allowed'
+    }, 'Clear filters'), React.createElement('select', {
+      value: savedId,
+      onChange: (e) => handleLoadSearch(e.target.value),
+      'aria-label': 'Saved searches',
+      className: `${fieldClassName} sm:w-56`
+    }, React.createElement('option', {
+      value: ''
+    }, savedSearches.length > 0 ? 'Saved searches…' : 'No saved searches'), savedSearches.map(search => React.createElement('option', {
+      key: search.id,
+      value: search.id
+    }, search.name))), savedId && React.createElement('button', {
+      type: 'button',
+      onClick: handleDeleteSearch,
+      className: 'text-sm text-gray-400 hover:text-rose-400'
+    }, 'Delete saved search'), React.createElement('form', {
+      onSubmit: handleSaveSearch,
+      className: 'flex gap-2 sm:ml-auto'
+    }, React.createElement('input', {
+      type: 'text',
+      value: searchName,
+      onChange: (e) => setSearchName(e.target.value),
+      'aria-label': 'Search name',
+      placeholder: 'Name this search',
+      className: fieldClassName
+    }), React.createElement('button', {
+      type: 'submit',
+      disabled: !searchName.trim(),
+      className: 'whitespace-nowrap bg-emerald-500 hover:bg-emerald-600 text-white font-semibold py-2 px-4 rounded-md transition duration-300 disabled:opacity-50 disabled:cursor-not-allowed'
+    }, 'Save search')))), React.createElement('div', {
+      className: 'bg-gray-800 p-6 rounded-xl shadow-lg'
+    }, React.createElement('div', {
+      className: 'grid grid-cols-2 sm:grid-cols-4 gap-4 mb-6',
+      role: 'status',
+      'aria-live': 'polite'
+    }, totalCard('Matches', totals.count, 'text-gray-100'), totalCard('Income', formatService.money(totals.income, currency), 'text-emerald-400'), totalCard('Expenses', formatService.money(totals.expenses, currency), 'text-rose-400'), totalCard('Net', formatService.money(totals.net, currency), totals.net < 0 ? 'text-rose-400' : 'text-sky-400')), filters.category && React.createElement('p', {
+      className: 'text-xs text-gray-500 mb-4'
+    }, 'Split entries count only their lines in this category.'), sortedResults.length > 0 ? React.createElement('div', {
+      className: 'max-h-[600px] overflow-y-auto pr-2'
+    }, React.createElement('table', {
+      className: 'w-full text-sm'
+    }, React.createElement('thead', null, React.createElement('tr', {
+      className: 'text-left text-gray-400'
+    }, SEARCH_SORT_FIELDS.map(({ id, label }) => React.createElement('th', {
+      key: id,
+      className: `pb-2 font-medium ${id === 'amount' ? 'text-right' : ''}`,
+      'aria-sort': sort.field === id ? (sort.direction === 'asc' ? 'ascending' : 'descending') : 'none'
+    }, React.createElement('button', {
+      type: 'button',
+      onClick: () => handleSort(id),
+      className: `hover:text-gray-200 ${sort.field === id ? 'text-gray-100' : ''}`
+    }, label, sort.field === id && (sort.direction === 'asc' ? ' ▲' : ' ▼')))), React.createElement('th', {
+      className: 'pb-2'
+    }, React.createElement('span', {
+      className: 'sr-only'
+    }, 'Actions')))), React.createElement('tbody', null, sortedResults.map(({ transaction, amount }) => React.createElement('tr', {
+      key: transaction.id,
+      className: 'border-t border-gray-700 group'
+    }, React.createElement('td', {
+      className: 'py-2 pr-3 whitespace-nowrap text-gray-300'
+    }, formatService.date(transaction.date)), React.createElement('td', {
+      className: 'py-2 pr-3 text-gray-200'
+    }, transaction.description, transaction.occurrenceKey && React.createElement('span', {
+      className: 'ml-2 text-xs text-gray-500'
+    }, 'Recurring')), React.createElement('td', {
+      className: 'py-2 pr-3 text-gray-400'
+    }, categoryText(transaction)), React.createElement('td', {
+      className: `py-2 pr-3 ${typeColor(transaction.type)}`
+    }, transaction.type), React.createElement('td', {
+      className: `py-2 text-right font-semibold whitespace-nowrap ${typeColor(transaction.type)}`
+    }, formatService.money(amount, currency), amount !== transaction.amount && React.createElement('span', {
+      className: 'block text-xs font-normal text-gray-500'
+    }, `of ${formatService.money(transaction.amount, currency)}`)), React.createElement('td', {
+      className: 'py-2 pl-3 text-right whitespace-nowrap opacity-0 group-hover:opacity-100 focus-within:opacity-100 transition-opacity'
+    }, React.createElement('button', {
+      type: 'button',
+      onClick: () => onEdit(transaction),
+      className: 'p-1 text-gray-500 hover:text-sky-400 focus:outline-none focus:text-sky-400',
+      'aria-label': `Edit ${transaction.description}`
     }, React.createElement('svg', {
       xmlns: 'http://www.w3.org/2000/svg',
-      className: 'h-4 w-4',
+      className: 'h-5 w-5',
       fill: 'none',
       viewBox: '0 0 24 24',
       stroke: 'currentColor'
@@ -973,55 +6191,213 @@
       strokeLinejoin: 'round',
       strokeWidth: 2,
       d: 'M15.232 5.232l3.536 3.536m-2.036-5.036a2.5 2.5 0 113.536 3.536L6.5 21.036H3v-3.5L16.732 3.732z'
-    })), React.createElement('span', null, 'Edit'))), React.createElement('div', {
-      className: 'space-y-4 max-h-[380px] overflow-y-auto pr-2'
-    }, budgetedCategories.length > 0 ? budgetedCategories.map(([category, budgetedAmount]) => {
-      const spentAmount = actualSpending[category] || 0;
-      return React.createElement('div', {
-        key: category
-      }, React.createElement('div', {
-        className: 'flex justify-between items-center mb-1 text-sm'
-      }, React.createElement('span', {
-        className: 'font-medium text-gray-300'
-      }, category), React.createElement('span', {
-        className: 'text-gray-400'
-      }, React.createElement('span', {
-        className: spentAmount > budgetedAmount ? 'text-rose-400 font-bold' : 'text-gray-300'
-      }, formatCurrency(spentAmount)), ` / ${formatCurrency(budgetedAmount)}`)), React.createElement(ProgressBar, {
-        value: spentAmount,
-        max: budgetedAmount
-      }));
-    }) : React.createElement('div', {
+    }))), React.createElement('button', {
+      type: 'button',
+      onClick: () => onDelete(transaction),
+      className: 'p-1 text-gray-500 hover:text-rose-500 focus:outline-none focus:text-rose-500',
+      'aria-label': `Delete ${transaction.description}`
+    }, React.createElement('svg', {
+      xmlns: 'http://www.w3.org/2000/svg',
+      className: 'h-5 w-5',
+      fill: 'none',
+      viewBox: '0 0 24 24',
+      stroke: 'currentColor'
+    }, React.createElement('path', {
+      strokeLinecap: 'round',
+      strokeLinejoin: 'round',
+      strokeWidth: 2,
+      d: 'M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16'
+    }))))))))) : React.createElement('p', {
       className: 'text-center py-10 text-gray-500'
-    }, React.createElement('p', null, 'No expense budgets set for this month.'))));
+    }, 'No transactions match these filters.')));
   };
 
   // --- Main App Component ---
   const App = () => {
-    const emptyBudget = {
-      incomeGoal: 5000,
-      savingsGoal: 500,
-      expenseBudgets: {
-        'Household': 0,
-        'Groceries': 0,
-        'Subscriptions': 0,
-        'Dining Out': 0,
-        'Travel': 0,
-        'Other': 0
-      },
-      recurring: {},
-    };
-    const [transactions, setTransactions] = useState(() => storageService.getTransactions());
-    const [budgets, setBudgets] = useState(() => storageService.getBudgets());
+    const [isLoaded, setIsLoaded] = useState(false);
+    const [transactions, setTransactions] = useState([]);
+    const [budgets, setBudgets] = useState({});
+    const [settings, setSettings] = useState({});
+    const [categories, setCategories] = useState([]);
+    const [rules, setRules] = useState([]);
+    const [recurrences, setRecurrences] = useState([]);
+    const [rates, setRates] = useState({});
+    const [accounts, setAccounts] = useState([]);
+    const [statements, setStatements] = useState([]);
+    const [savedSearches, setSavedSearches] = useState([]);
+    const [history, setHistory] = useState({
+      undo: [],
+      redo: []
+    });
+    const [toast, setToast] = useState(null);
+    const [accountFilter, setAccountFilter] = useState('');
+    const [view, setView] = useState(VIEW_MONTH);
+    const [storageWarnings, setStorageWarnings] = useState([]);
     const [currentDate, setCurrentDate] = useState(new Date());
+    const [selectedDay, setSelectedDay] = useState('');
+    const [selectedIds, setSelectedIds] = useState([]);
     const [editingTransaction, setEditingTransaction] = useState(null);
     const [isBudgetSetupOpen, setIsBudgetSetupOpen] = useState(false);
+    const [isImportOpen, setIsImportOpen] = useState(false);
+    const [pendingDuplicates, setPendingDuplicates] = useState(null);
+    const [isBackupOpen, setIsBackupOpen] = useState(false);
+    const [isCategoryManagerOpen, setIsCategoryManagerOpen] = useState(false);
+    const [isRuleManagerOpen, setIsRuleManagerOpen] = useState(false);
+    const [isCurrencySettingsOpen, setIsCurrencySettingsOpen] = useState(false);
+    const [isSettingsOpen, setIsSettingsOpen] = useState(false);
+    const [isAccountManagerOpen, setIsAccountManagerOpen] = useState(false);
+    const [isReconcileOpen, setIsReconcileOpen] = useState(false);
+    useEffect(() => {
+      const applyData = (data) => {
+        setTransactions(data.transactions);
+        setBudgets(data.budgets);
+        setSettings(data.settings);
+        setCategories(data.categories);
+        setRules(data.rules);
+        setRecurrences(data.recurrences);
+        setRates(data.rates);
+        setAccounts(data.accounts);
+        setStatements(data.statements);
+        setSavedSearches(data.savedSearches);
+        setHistory(historyService.prune(data.history, new Date()));
+        setStorageWarnings(data.warnings);
+        setIsLoaded(true);
+      };
+      storageService.load().then(applyData).catch(error => {
+        console.error('Error loading saved data:', error);
+        applyData({ ...emptyStoredData(),
+          warnings: ['Your saved data could not be loaded. The app started without it, and changes will not be saved until it loads.']
+        });
+      });
+    }, []);
+    const reportSave = (name) => (saved) => {
+      if (saved) return;
+      const warning = `Saving your ${name} failed. Recent changes to ${name} may be lost when this page closes.`;
+      setStorageWarnings(prev => prev.includes(warning) ? prev : [...prev, warning]);
+    };
+    useEffect(() => {
+      if (isLoaded) storageService.saveTransactions(transactions).then(reportSave('transactions'));
+    }, [transactions, isLoaded]);
+    useEffect(() => {
+      if (isLoaded) storageService.saveValue('budgets', budgets).then(reportSave('budgets'));
+    }, [budgets, isLoaded]);
+    useEffect(() => {
+      if (isLoaded) storageService.saveValue('settings', settings).then(reportSave('settings'));
+    }, [settings, isLoaded]);
+    useEffect(() => {
+      if (isLoaded) storageService.saveValue('categories', categories).then(reportSave('categories'));
+    }, [categories, isLoaded]);
+    useEffect(() => {
+      if (isLoaded) storageService.saveValue('rules', rules).then(reportSave('rules'));
+    }, [rules, isLoaded]);
+    useEffect(() => {
+      if (isLoaded) storageService.saveValue('recurrences', recurrences).then(reportSave('recurrences'));
+    }, [recurrences, isLoaded]);
+    useEffect(() => {
+      if (isLoaded) storageService.saveValue('rates', rates).then(reportSave('rates'));
+    }, [rates, isLoaded]);
+    useEffect(() => {
+      if (isLoaded) storageService.saveValue('accounts', accounts).then(reportSave('accounts'));
+    }, [accounts, isLoaded]);
+    useEffect(() => {
+      if (isLoaded) storageService.saveValue('statements', statements).then(reportSave('statements'));
+    }, [statements, isLoaded]);
+    useEffect(() => {
+      if (isLoaded) storageService.saveValue('savedSearches', savedSearches).then(reportSave('savedSearches'));
+    }, [savedSearches, isLoaded]);
+    useEffect(() => {
+      if (isLoaded) storageService.saveValue('history', history).then(reportSave('history'));
+    }, [history, isLoaded]);
+    const historyValues = {
+      transactions,
+      budgets,
+      settings,
+      categories,
+      rules,
+      recurrences,
+      rates,
+      accounts,
+      statements
+    };
+    const historySetters = {
+      transactions: setTransactions,
+      budgets: setBudgets,
+      settings: setSettings,
+      categories: setCategories,
+      rules: setRules,
+      recurrences: setRecurrences,
+      rates: setRates,
+      accounts: setAccounts,
+      statements: setStatements
+    };
+    // Handlers call this before changing data. Once the change renders, the values it replaced are recorded for undo;
+    // a handler that ends up changing nothing records nothing.
+    const pendingChange = useRef(null);
+    const recordChange = (label) => {
+      pendingChange.current = {
+        label,
+        before: historyValues
+      };
+    };
+    useEffect(() => {
+      const pending = pendingChange.current;
+      if (!pending) return;
+      pendingChange.current = null;
+      const changed = HISTORY_VALUE_NAMES.filter(name => pending.before[name] !== historyValues[name]);
+      if (changed.length === 0) return;
+      const pick = (values) => Object.fromEntries(changed.map(name => [name, values[name]]));
+      const entry = historyService.createEntry(pending.label, pick(pending.before), pick(historyValues), new Date());
+      setHistory(prev => historyService.record(prev, entry));
+      if (entry.size > HISTORY_MAX_SIZE) {
+        setToast({
+          id: uuidv4(),
+          message: `This change is too large to undo: ${entry.label}`
+        });
+      }
+    }, HISTORY_VALUE_NAMES.map(name => historyValues[name]));
+    const handleHistoryStep = (from) => {
+      if (history[from].length === 0) return;
+      const { history: nextHistory, label, values } = historyService.step(history, from, historyValues);
+      pendingChange.current = null;
+      Object.entries(values).forEach(([name, value]) => historySetters[name](value));
+      setHistory(nextHistory);
+      setToast({
+        id: uuidv4(),
+        message: `${from === 'undo' ? 'Undone' : 'Redone'}: ${label}`
+      });
+    };
+    const isModalOpen = !!editingTransaction || !!pendingDuplicates || isBudgetSetupOpen || isImportOpen || isBackupOpen || isCategoryManagerOpen || isRuleManagerOpen || isCurrencySettingsOpen || isSettingsOpen || isAccountManagerOpen || isReconcileOpen;
+    // Text fields keep their own undo, and open dialogs hold unsaved edits.
     useEffect(() => {
-      storageService.saveTransactions(transactions);
-    }, [transactions]);
+      const handleKeyDown = (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey || isModalOpen) return;
+        if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+        const key = e.key.toLowerCase();
+        if (key === 'z' || key === 'y') {
+          e.preventDefault();
+          handleHistoryStep(key === 'y' || e.shiftKey ? 'redo' : 'undo');
+        }
+      };
+      window.addEventListener('keydown', handleKeyDown);
+      return () => {
+        window.removeEventListener('keydown', handleKeyDown);
+      };
+    });
+    const baseCurrency = settings.baseCurrency;
+    formatService.configure(settings);
     useEffect(() => {
-      storageService.saveBudgets(budgets);
-    }, [budgets]);
+      if (!isLoaded) return;
+      document.documentElement.lang = settings.locale;
+      document.documentElement.dir = formatService.direction(settings.locale);
+    }, [settings.locale, isLoaded]);
+    const emptyBudget = {
+      incomeGoal: 5000,
+      savingsGoal: 500,
+      expenseBudgets: Object.fromEntries(categoryService.activeNames(categoryService.ofKind(categories, TRANSACTION_TYPE_EXPENSE)).map(name => [name, 0])),
+      incomeTargets: {},
+      moves: {},
+      recurring: {},
+    };
     const {
       currentMonthKey,
       previousMonthKey
@@ -1041,16 +6417,36 @@
     }, [currentDate]);
     const currentBudget = useMemo(() => {
       return budgets[currentMonthKey] || emptyBudget;
-    }, [budgets, currentMonthKey]);
+    }, [budgets, currentMonthKey, categories]);
     const previousBudget = useMemo(() => {
       return budgets[previousMonthKey];
     }, [budgets, previousMonthKey]);
-    const filteredTransactions = useMemo(() => {
-      return transactions.filter(t => {
-        const transactionDate = new Date(t.date);
-        return transactionDate.getFullYear() === currentDate.getFullYear() && transactionDate.getMonth() === currentDate.getMonth();
-      });
-    }, [transactions, currentDate]);
+    const reportData = useMemo(() => ({
+      transactions,
+      recurrences,
+      accounts
+    }), [transactions, recurrences, accounts]);
+    // New entries default to today in the current month and to the 1st in any other.
+    const defaultEntryDate = monthKeyOf(new Date()) === currentMonthKey ? toDateKey(new Date()) : `${currentMonthKey}-01`;
+    const calendarDay = selectedDay.startsWith(currentMonthKey) ? selectedDay : defaultEntryDate;
+    const budgetMonthTransactions = (monthDate) => reportService.budgetMonth(reportData, settings.budgetBasis, monthDate);
+    const filteredTransactions = useMemo(() => budgetMonthTransactions(currentDate), [reportData, settings.budgetBasis, currentDate]);
+    const calendarEntries = useMemo(() => reportService.budgetMonth(reportData, BUDGET_BASIS_PURCHASE, currentDate), [reportData, currentDate]);
+    const carriedIn = useMemo(() => envelopeService.carriedIn(budgets, categories, currentMonthKey, (monthKey) => budgetMonthTransactions(fromDateKey(`${monthKey}-01`)).filter(t => t.type === TRANSACTION_TYPE_EXPENSE)), [budgets, categories, currentMonthKey, reportData, settings.budgetBasis]);
+    // Balances as of the end of the shown month, and the selected account's balance after each entry up to then.
+    const { accountBalances, accountChanges, runningBalances } = useMemo(() => {
+      const monthStart = new Date(currentDate.getFullYear(), currentDate.getMonth(), 1);
+      const monthEnd = new Date(currentDate.getFullYear(), currentDate.getMonth() + 1, 0);
+      const upToMonthEnd = [...transactions.filter(t => t.date <= toDateKey(monthEnd)), ...recurrenceService.expand(recurrences, new Date(0), monthEnd)];
+      const selectedAccount = accounts.find(a => a.id === accountFilter);
+      return {
+        accountBalances: accountService.balances(accounts, upToMonthEnd),
+        accountChanges: accountService.balances(accounts.map(a => ({ ...a,
+          openingBalance: 0
+        })), upToMonthEnd.filter(t => t.date >= toDateKey(monthStart))),
+        runningBalances: selectedAccount ? accountService.runningBalances(selectedAccount, upToMonthEnd) : null
+      };
+    }, [transactions, recurrences, accounts, accountFilter, currentDate]);
     const handleMonthChange = (direction) => {
       setCurrentDate(prevDate => {
         const newDate = new Date(prevDate);
@@ -1059,135 +6455,464 @@
         return newDate;
       });
     };
-    const handleAddTransaction = (transaction, recurrence) => {
-      if (recurrence > 0) {
-        const recurringId = uuidv4();
-        const newTransactions = [];
-        for (let i = 0; i <= recurrence; i++) {
-          const transactionDate = new Date(transaction.date);
-          transactionDate.setMonth(transactionDate.getMonth() + i);
-          newTransactions.push({ ...transaction,
-            id: uuidv4(),
-            recurringId: recurringId,
-            date: transactionDate.toISOString(),
-          });
+    const createTransaction = (transaction) => ({ ...transaction,
+      id: uuidv4(),
+    });
+    // Likely duplicates, including of recurring occurrences in the matching window, are held back for review, which
+    // records its own undo entry when applied. Otherwise the rows are added and recorded under `label`.
+    const addTransactions = (newTransactions, label) => {
+      const flagged = [];
+      const clean = [];
+      newTransactions.forEach((transaction, index) => {
+        const date = fromDateKey(transaction.date);
+        const from = new Date(date.getFullYear(), date.getMonth(), date.getDate() - DUPLICATE_MAX_DAYS_APART);
+        const to = new Date(date.getFullYear(), date.getMonth(), date.getDate() + DUPLICATE_MAX_DAYS_APART);
+        // Rows earlier in the same batch count too, so a statement listing one charge twice is caught.
+        const earlier = newTransactions.slice(0, index);
+        const [match] = duplicateService.findMatches(transaction, [...transactions, ...recurrenceService.expand(recurrences, from, to), ...earlier]);
+        if (match) {
+          flagged.push({ transaction, match, inBatch: earlier.includes(match) });
+        } else {
+          clean.push(transaction);
         }
-        setTransactions(prev => [...prev, ...newTransactions]);
+      });
+      if (flagged.length > 0) {
+        setPendingDuplicates({ flagged, clean });
+        return;
+      }
+      recordChange(label);
+      setTransactions(prev => [...prev, ...newTransactions]);
+    };
+    const handleAddTransaction = (transaction, recurrence, installmentCount) => {
+      // A new series skips duplicate review: its occurrences are not stored records that a merge could fold into.
+      if (recurrence) {
+        recordChange(`added recurring "${transaction.description}"`);
+        setRecurrences(prev => [...prev, recurrenceService.createSeries(transaction, recurrence)]);
+      } else if (installmentCount) {
+        addTransactions(installmentService.createPayments(transaction, installmentCount).map(createTransaction), `added "${transaction.description}" in ${installmentCount} payments`);
       } else {
-        const newTransaction = { ...transaction,
-          id: uuidv4(),
-        };
-        setTransactions(prev => [...prev, newTransaction]);
+        addTransactions([createTransaction(transaction)], `added "${transaction.description}"`);
       }
     };
+    const handleImportTransactions = (importedTransactions) => {
+      addTransactions(importedTransactions.map(createTransaction), `imported ${importedTransactions.length} transaction${importedTransactions.length === 1 ? '' : 's'}`);
+    };
+    const handleResolveDuplicates = (decisions) => {
+      const merged = {};
+      // New rows to add, by id. A row that matched an earlier new row merges into wherever that row went.
+      const added = new Map(pendingDuplicates.clean.map(t => [t.id, t]));
+      const mergedInto = {};
+      const discarded = new Set();
+      let mergedCount = 0;
+      pendingDuplicates.flagged.forEach(({ transaction, match }) => {
+        const decision = decisions[transaction.id];
+        let targetId = match.id;
+        while (mergedInto[targetId]) targetId = mergedInto[targetId];
+        if (decision === 'keep') {
+          added.set(transaction.id, transaction);
+        } else if (decision !== 'merge' || discarded.has(targetId)) {
+          discarded.add(transaction.id);
+        } else {
+          if (added.has(targetId)) {
+            added.set(targetId, duplicateService.merge(added.get(targetId), transaction));
+          } else {
+            merged[targetId] = duplicateService.merge(merged[targetId] || match, transaction);
+          }
+          mergedInto[transaction.id] = targetId;
+          mergedCount++;
+        }
+      });
+      const kept = [...added.values()];
+      recordChange(`added ${kept.length} transaction${kept.length === 1 ? '' : 's'}${mergedCount > 0 ? ` and merged ${mergedCount}` : ''}`);
+      const mergedOccurrences = Object.values(merged).filter(t => t.occurrenceKey);
+      if (mergedOccurrences.length > 0) {
+        setRecurrences(prev => mergedOccurrences.reduce(recurrenceService.saveOccurrence, prev));
+      }
+      setTransactions(prev => [...prev.map(t => merged[t.id] || t), ...kept]);
+      setPendingDuplicates(null);
+    };
+    // Occurrences of a series are stored as exceptions ('this') or split the series ('future').
     const handleUpdateTransaction = (updatedTransaction, scope) => {
-      if (scope === 'future' && updatedTransaction.recurringId) {
-        const originalTransaction = transactions.find(t => t.id === updatedTransaction.id);
-        if (!originalTransaction) return;
-        const originalTransactionDate = new Date(originalTransaction.date);
-        setTransactions(prev => {
-          const futureTransactions = prev.filter(t => t.recurringId === updatedTransaction.recurringId && new Date(t.date) >= originalTransactionDate).sort((a, b) => new Date(a.date).getTime() - new Date(b.date).getTime());
-          const updatedFutureTransactions = futureTransactions.map((t, index) => {
-            const newDate = new Date(updatedTransaction.date);
-            newDate.setMonth(newDate.getMonth() + index);
-            return { ...t,
-              description: updatedTransaction.description,
-              amount: updatedTransaction.amount,
-              type: updatedTransaction.type,
-              category: updatedTransaction.category,
-              date: newDate.toISOString(),
-            };
-          });
-          return prev.map(t => {
-            const updatedVersion = updatedFutureTransactions.find(uft => uft.id === t.id);
-            return updatedVersion || t;
-          });
-        });
+      recordChange(`edited "${updatedTransaction.description}"${updatedTransaction.occurrenceKey && scope === 'future' ? ' and its future occurrences' : ''}`);
+      if (updatedTransaction.occurrenceKey) {
+        setRecurrences(prev => scope === 'future' ? recurrenceService.split(prev, updatedTransaction) : recurrenceService.saveOccurrence(prev, updatedTransaction));
+      } else if (updatedTransaction.installmentId) {
+        setTransactions(prev => installmentService.update(prev, updatedTransaction, new Date()));
       } else {
         setTransactions(prev => prev.map(t => t.id === updatedTransaction.id ? updatedTransaction : t));
       }
       setEditingTransaction(null);
     };
-    const handleDeleteTransaction = (id, recurringId) => {
-      if (recurringId) {
-        if (window.confirm('This is a recurring transaction. Do you want to delete all future occurrences (including this one)? OK for all future, Cancel for only this one.')) {
-          const transactionToDelete = transactions.find(t => t.id === id);
-          if (!transactionToDelete) return;
-          const transactionDate = new Date(transactionToDelete.date);
-          setTransactions(prev => prev.filter(t => !(t.recurringId === recurringId && new Date(t.date) >= transactionDate)));
-        } else {
-          setTransactions(prev => prev.filter(t => t.id !== id));
-        }
+    const handleDeleteTransaction = (transaction) => {
+      if (transaction.occurrenceKey) {
+        const andFuture = window.confirm('This is a recurring transaction. Do you want to delete all future occurrences (including this one)? OK for all future, Cancel for only this one.');
+        recordChange(andFuture ? `deleted "${transaction.description}" and its future occurrences` : `deleted "${transaction.description}"`);
+        setRecurrences(prev => recurrenceService.removeOccurrence(prev, transaction, andFuture));
+      } else if (transaction.installmentId) {
+        const allPayments = window.confirm(`This is payment ${transaction.installmentNumber} of ${transaction.installmentCount}. Do you want to delete all payments of this purchase? OK for all payments, Cancel for only this one.`);
+        recordChange(allPayments ? `deleted ${transactions.filter(t => t.installmentId === transaction.installmentId).length} payments of "${transaction.description}"` : `deleted "${transaction.description}"`);
+        setTransactions(prev => allPayments ? prev.filter(t => t.installmentId !== transaction.installmentId) : installmentService.remove(prev, new Set([transaction.id])));
       } else {
-        setTransactions(prev => prev.filter(t => t.id !== id));
+        recordChange(`deleted "${transaction.description}"`);
+        setTransactions(prev => prev.filter(t => t.id !== transaction.id));
       }
     };
     const handleSaveBudget = (newBudget) => {
+      recordChange(`saved the budget for ${formatService.monthYear(currentDate)}`);
       setBudgets(prev => ({ ...prev,
         [currentMonthKey]: newBudget
       }));
     };
+    const handleMoveMoney = (from, to, amount) => {
+      recordChange(`moved ${formatService.money(amount, baseCurrency)} from ${from} to ${to}`);
+      setBudgets(prev => ({ ...prev,
+        [currentMonthKey]: envelopeService.move(prev[currentMonthKey] || emptyBudget, from, to, amount)
+      }));
+    };
+    const handleRestoreBackup = (restored) => {
+      recordChange('restored a backup');
+      setTransactions(restored.transactions);
+      setBudgets(restored.budgets);
+      setSettings(restored.settings);
+      setCategories(restored.categories);
+      setRules(restored.rules);
+      setRecurrences(restored.recurrences);
+      setRates(restored.rates);
+      setAccounts(restored.accounts);
+      setStatements(restored.statements);
+      setSavedSearches(restored.savedSearches);
+    };
+    const handleSaveStatement = (statement) => {
+      recordChange('reconciled a statement');
+      setStatements(prev => [...prev.filter(st => st.id !== statement.id), statement]);
+    };
+    // Renames are matched by category id and carried into every transaction, series, month's budget and rule.
+    const handleSaveCategories = (nextCategories) => {
+      recordChange('changed categories');
+      const renames = {};
+      categories.forEach(category => {
+        const next = nextCategories.find(c => c.id === category.id);
+        if (next && next.name !== category.name) {
+          renames[category.name] = next.name;
+        }
+      });
+      if (Object.keys(renames).length > 0) {
+        setTransactions(prev => categoryService.renameInTransactions(prev, renames));
+        setBudgets(prev => categoryService.renameInBudgets(prev, renames));
+        setRules(prev => ruleService.renameCategories(prev, renames));
+        setRecurrences(prev => recurrenceService.renameCategories(prev, renames));
+      }
+      setCategories(nextCategories);
+    };
+    // A new base currency converts every stored base amount at the rate table's rate for it.
+    const handleSaveSettings = (nextSettings) => {
+      recordChange('changed settings');
+      const nextBase = nextSettings.baseCurrency;
+      setSettings(nextSettings);
+      if (nextBase === baseCurrency) return;
+      const { rates: rebasedRates, factor } = currencyService.rebase(rates, baseCurrency, nextBase);
+      const converted = currencyService.convertData({
+        transactions,
+        recurrences,
+        budgets,
+        rules,
+        accounts,
+        statements
+      }, factor, nextBase);
+      setTransactions(converted.transactions);
+      setRecurrences(converted.recurrences);
+      setBudgets(converted.budgets);
+      setRules(converted.rules);
+      setAccounts(converted.accounts);
+      setStatements(converted.statements);
+      setRates(rebasedRates);
+    };
+    const handleSaveRules = (nextRules, applyToUncategorized) => {
+      recordChange(applyToUncategorized ? 'changed rules and recategorized transactions' : 'changed rules');
+      setRules(nextRules);
+      if (applyToUncategorized) {
+        setTransactions(prev => ruleService.applyToUncategorized(nextRules, prev));
+      }
+    };
+    const handleSaveRates = (nextRates) => {
+      recordChange('changed exchange rates');
+      setRates(nextRates);
+    };
+    const handleSaveAccounts = (nextAccounts) => {
+      recordChange('changed accounts');
+      setAccounts(nextAccounts);
+    };
+    const handleSelectionChange = (ids, isSelected) => {
+      setSelectedIds(prev => isSelected ? [...new Set([...prev, ...ids])] : prev.filter(id => !ids.includes(id)));
+    };
+    useEffect(() => {
+      setSelectedIds([]);
+    }, [currentMonthKey, accountFilter]);
     const incomeTransactions = filteredTransactions.filter(t => t.type === TRANSACTION_TYPE_INCOME);
     const expenseTransactions = filteredTransactions.filter(t => t.type === TRANSACTION_TYPE_EXPENSE);
     const totalIncome = incomeTransactions.reduce((sum, t) => sum + t.amount, 0);
+    const isZeroBased = settings.budgetMode === BUDGET_MODE_ZERO_BASED;
     const totalExpenses = expenseTransactions.reduce((sum, t) => sum + t.amount, 0);
+    const listedTransactions = accountFilter ? filteredTransactions.filter(t => accountService.involves(t, accountFilter)) : filteredTransactions;
+    const selectedTransactions = listedTransactions.filter(t => selectedIds.includes(t.id));
+    const handleBulkChange = (change) => {
+      const affected = bulkService.affected(selectedTransactions, change);
+      if (affected.length === 0) return;
+      const total = currencyService.round(affected.reduce((sum, t) => sum + t.amount, 0));
+      const { prompt, label } = bulkService.describe(change, `${affected.length} transaction${affected.length === 1 ? '' : 's'}`);
+      if (!window.confirm(`${prompt}\n\nThis affects ${formatService.money(total, baseCurrency)} in total.`)) return;
+      recordChange(label);
+      const next = bulkService.apply({
+        transactions,
+        recurrences
+      }, selectedTransactions, change, categories);
+      setTransactions(next.transactions);
+      setRecurrences(next.recurrences);
+      setSelectedIds([]);
+    };
+    if (!isLoaded) {
+      return React.createElement('div', {
+        className: 'bg-gray-900 text-gray-500 min-h-screen flex items-center justify-center'
+      }, 'Loading your budget…');
+    }
     return React.createElement('div', {
       className: 'bg-gray-900 text-gray-100 min-h-screen font-sans p-4 sm:p-8'
     }, React.createElement('div', {
       className: 'max-w-7xl mx-auto'
     }, React.createElement(Header, {
       currentDate: currentDate,
-      onMonthChange: handleMonthChange
-    }), React.createElement('main', null, React.createElement(Summary, {
+      onMonthChange: handleMonthChange,
+      view: view,
+      onViewChange: setView,
+      onUndo: () => handleHistoryStep('undo'),
+      onRedo: () => handleHistoryStep('redo'),
+      undoLabel: history.undo.length > 0 ? history.undo[history.undo.length - 1].label : null,
+      redoLabel: history.redo.length > 0 ? history.redo[history.redo.length - 1].label : null
+    }), React.createElement(StorageWarnings, {
+      warnings: storageWarnings,
+      onDismiss: () => setStorageWarnings([])
+    }), view === VIEW_REPORTS ? React.createElement(ReportsView, {
+      data: reportData,
+      budgets: budgets,
+      budgetBasis: settings.budgetBasis,
+      categories: categories,
+      currency: baseCurrency
+    }) : view === VIEW_CALENDAR ? React.createElement('main', {
+      className: 'grid grid-cols-1 lg:grid-cols-3 gap-8'
+    }, React.createElement('div', {
+      className: 'lg:col-span-2'
+    }, React.createElement(CalendarView, {
+      monthDate: currentDate,
+      entries: calendarEntries,
+      selectedDay: calendarDay,
+      onSelectDay: setSelectedDay,
+      weekStart: settings.weekStart,
+      currency: baseCurrency,
+      onEdit: setEditingTransaction,
+      onDelete: handleDeleteTransaction
+    })), React.createElement('div', null, React.createElement(TransactionForm, {
+      onAddTransaction: handleAddTransaction,
+      defaultDate: calendarDay,
+      categories: categories,
+      rules: rules,
+      rates: rates,
+      baseCurrency: baseCurrency,
+      accounts: accounts
+    }))) : view === VIEW_SEARCH ? React.createElement(SearchView, {
+      data: reportData,
+      savedSearches: savedSearches,
+      onSaveSearches: setSavedSearches,
+      categories: categories,
+      currency: baseCurrency,
+      accounts: accounts,
+      onEdit: setEditingTransaction,
+      onDelete: handleDeleteTransaction
+    }) : React.createElement('main', null, React.createElement(Summary, {
       transactions: filteredTransactions,
-      budget: currentBudget
+      budget: currentBudget,
+      categories: categories,
+      currency: baseCurrency,
+      isZeroBased: isZeroBased
     }), React.createElement('div', {
-      className: 'mb-8'
+      className: 'mb-8 flex flex-col sm:flex-row sm:flex-wrap gap-4'
     }, React.createElement('button', {
       onClick: () => setIsBudgetSetupOpen(true),
-      className: 'w-full bg-sky-600 hover:bg-sky-700 text-white font-bold py-3 px-4 rounded-md transition duration-300 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-offset-gray-900 focus:ring-sky-500'
-    }, 'Setup Monthly Budget')), React.createElement('div', {
+      className: 'flex-1 bg-sky-600 hover:bg-sky-700 text-white font-bold py-3 px-4 rounded-md transition duration-300 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-offset-gray-900 focus:ring-sky-500'
+    }, 'Setup Monthly Budget'), React.createElement('button', {
+      onClick: () => setIsImportOpen(true),
+      className: 'sm:w-56 bg-gray-700 hover:bg-gray-600 text-sky-400 font-bold py-3 px-4 rounded-md transition duration-300 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-offset-gray-900 focus:ring-sky-500'
+    }, 'Import CSV'), React.createElement('button', {
+      onClick: () => setIsBackupOpen(true),
+      className: 'sm:w-56 bg-gray-700 hover:bg-gray-600 text-sky-400 font-bold py-3 px-4 rounded-md transition duration-300 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-offset-gray-900 focus:ring-sky-500'
+    }, 'Backup & Restore'), React.createElement('button', {
+      onClick: () => setIsCategoryManagerOpen(true),
+      className: 'sm:w-56 bg-gray-700 hover:bg-gray-600 text-sky-400 font-bold py-3 px-4 rounded-md transition duration-300 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-offset-gray-900 focus:ring-sky-500'
+    }, 'Categories'), React.createElement('button', {
+      onClick: () => setIsRuleManagerOpen(true),
+      className: 'sm:w-56 bg-gray-700 hover:bg-gray-600 text-sky-400 font-bold py-3 px-4 rounded-md transition duration-300 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-offset-gray-900 focus:ring-sky-500'
+    }, 'Rules'), React.createElement('button', {
+      onClick: () => setIsCurrencySettingsOpen(true),
+      className: 'sm:w-56 bg-gray-700 hover:bg-gray-600 text-sky-400 font-bold py-3 px-4 rounded-md transition duration-300 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-offset-gray-900 focus:ring-sky-500'
+    }, 'Currencies'), React.createElement('button', {
+      onClick: () => setIsSettingsOpen(true),
+      className: 'sm:w-56 bg-gray-700 hover:bg-gray-600 text-sky-400 font-bold py-3 px-4 rounded-md transition duration-300 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-offset-gray-900 focus:ring-sky-500'
+    }, 'Settings')), React.createElement('div', {
       className: 'grid grid-cols-1 lg:grid-cols-2 gap-8 mb-8'
     }, React.createElement(TransactionForm, {
       onAddTransaction: handleAddTransaction,
-      currentDate: currentDate
+      defaultDate: defaultEntryDate,
+      categories: categories,
+      rules: rules,
+      rates: rates,
+      baseCurrency: baseCurrency,
+      accounts: accounts
     }), React.createElement(BudgetProgress, {
       expenses: expenseTransactions,
       budget: currentBudget,
-      onEditBudget: () => setIsBudgetSetupOpen(true)
+      carriedIn: carriedIn,
+      onEditBudget: () => setIsBudgetSetupOpen(true),
+      onMoveMoney: handleMoveMoney,
+      categories: categories,
+      currency: baseCurrency
     })), React.createElement('div', {
-      className: 'grid grid-cols-1 lg:grid-cols-2 gap-8 mb-8'
+      className: 'grid grid-cols-1 lg:grid-cols-3 gap-8 mb-8'
     }, React.createElement(CategoryChart, {
-      expenses: expenseTransactions
+      transactions: expenseTransactions,
+      type: TRANSACTION_TYPE_EXPENSE,
+      categories: categories,
+      currency: baseCurrency
+    }), React.createElement(CategoryChart, {
+      transactions: incomeTransactions,
+      type: TRANSACTION_TYPE_INCOME,
+      categories: categories,
+      currency: baseCurrency,
+      targets: currentBudget.incomeTargets
     }), React.createElement(SavingsGoal, {
       budget: currentBudget,
       actualIncome: totalIncome,
-      actualExpenses: totalExpenses
-    })), React.createElement('div', {
-      className: 'grid grid-cols-1 md:grid-cols-2 gap-8'
-    }, React.createElement(TransactionList, {
-      title: 'Income',
-      transactions: incomeTransactions,
-      onDelete: handleDeleteTransaction,
-      onEdit: setEditingTransaction,
-      type: TRANSACTION_TYPE_INCOME
-    }), React.createElement(TransactionList, {
-      title: 'Expenses',
-      transactions: expenseTransactions,
+      actualExpenses: totalExpenses,
+      currency: baseCurrency
+    })), React.createElement(AccountBalances, {
+      accounts: accounts,
+      balances: accountBalances,
+      changes: accountChanges,
+      currency: baseCurrency,
+      selectedId: accountFilter,
+      onSelect: setAccountFilter,
+      onManage: () => setIsAccountManagerOpen(true),
+      onReconcile: () => setIsReconcileOpen(true)
+    }), React.createElement(BulkActions, {
+      selected: selectedTransactions,
+      categories: categories,
+      currency: baseCurrency,
+      onApply: handleBulkChange,
+      onClear: () => setSelectedIds([])
+    }), React.createElement('div', {
+      className: 'grid grid-cols-1 md:grid-cols-3 gap-8'
+    }, [['Income', TRANSACTION_TYPE_INCOME], ['Expenses', TRANSACTION_TYPE_EXPENSE], ['Transfers', TRANSACTION_TYPE_TRANSFER]].map(([title, type]) => React.createElement(TransactionList, {
+      key: type,
+      title: title,
+      transactions: listedTransactions.filter(t => t.type === type),
       onDelete: handleDeleteTransaction,
       onEdit: setEditingTransaction,
-      type: TRANSACTION_TYPE_EXPENSE
-    })))), React.createElement(EditTransactionModal, {
+      type: type,
+      currency: baseCurrency,
+      accounts: accounts,
+      runningBalances: runningBalances,
+      selectedIds: selectedIds,
+      onSelectionChange: handleSelectionChange
+    }))))), React.createElement(EditTransactionModal, {
       isOpen: !!editingTransaction,
       onClose: () => setEditingTransaction(null),
       transaction: editingTransaction,
-      onUpdateTransaction: handleUpdateTransaction
+      onUpdateTransaction: handleUpdateTransaction,
+      categories: categories,
+      rates: rates,
+      baseCurrency: baseCurrency,
+      accounts: accounts,
+      installmentPayments: editingTransaction && editingTransaction.installmentId ? transactions.filter(t => t.installmentId === editingTransaction.installmentId) : []
     }), React.createElement(BudgetSetup, {
       isOpen: isBudgetSetupOpen,
       onClose: () => setIsBudgetSetupOpen(false),
       initialBudget: currentBudget,
-      onSave: handleSave,
-      previousBudget: previousBudget
+      onSave: handleSaveBudget,
+      previousBudget: previousBudget,
+      categories: categories,
+      currency: baseCurrency,
+      receivedIncome: isZeroBased ? totalIncome : null
+    }), React.createElement(CsvImportModal, {
+      isOpen: isImportOpen,
+      onClose: () => setIsImportOpen(false),
+      onImport: handleImportTransactions,
+      categories: categories,
+      rules: rules,
+      rates: rates,
+      baseCurrency: baseCurrency,
+      accounts: accounts
+    }), React.createElement(DuplicateReviewModal, {
+      pending: pendingDuplicates,
+      onResolve: handleResolveDuplicates,
+      onCancel: () => setPendingDuplicates(null),
+      currency: baseCurrency
+    }), React.createElement(BackupModal, {
+      isOpen: isBackupOpen,
+      onClose: () => setIsBackupOpen(false),
+      data: {
+        transactions,
+        budgets,
+        settings,
+        categories,
+        rules,
+        recurrences,
+        rates,
+        accounts,
+        statements,
+        savedSearches
+      },
+      onRestore: handleRestoreBackup
+    }), React.createElement(CategoryManager, {
+      isOpen: isCategoryManagerOpen,
+      onClose: () => setIsCategoryManagerOpen(false),
+      categories: categories,
+      onSave: handleSaveCategories
+    }), React.createElement(RuleManager, {
+      isOpen: isRuleManagerOpen,
+      onClose: () => setIsRuleManagerOpen(false),
+      rules: rules,
+      categories: categories,
+      transactions: transactions,
+      currency: baseCurrency,
+      onSave: handleSaveRules
+    }), React.createElement(CurrencySettings, {
+      isOpen: isCurrencySettingsOpen,
+      onClose: () => setIsCurrencySettingsOpen(false),
+      baseCurrency: baseCurrency,
+      rates: rates,
+      onSave: handleSaveRates
+    }), React.createElement(SettingsModal, {
+      isOpen: isSettingsOpen,
+      onClose: () => setIsSettingsOpen(false),
+      settings: settings,
+      rates: rates,
+      onSave: handleSaveSettings
+    }), React.createElement(AccountManager, {
+      isOpen: isAccountManagerOpen,
+      onClose: () => setIsAccountManagerOpen(false),
+      accounts: accounts,
+      currency: baseCurrency,
+      onSave: handleSaveAccounts
+    }), React.createElement(ReconcileModal, {
+      isOpen: isReconcileOpen,
+      onClose: () => setIsReconcileOpen(false),
+      accounts: accounts,
+      transactions: transactions,
+      recurrences: recurrences,
+      statements: statements,
+      currency: baseCurrency,
+      onSave: handleSaveStatement
+    }), React.createElement(Toast, {
+      toast: toast,
+      onDismiss: () => setToast(null)
     }));
   };
 